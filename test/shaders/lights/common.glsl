@@ -0,0 +1 @@
+#define LIGHT_SCALE 2.0
@@ -0,0 +1,3 @@
+#include "common.glsl"
+#include "../noise.glsl"
+vec3 pointLight() { return vec3(LIGHT_SCALE * noise()); }
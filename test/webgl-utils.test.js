@@ -25,6 +25,110 @@ describe("Utils.initWebGL", function() {
 	});
 });
 
+describe("Utils.createContext", function() {
+	let failing = {getContext: () => null};
+	let webglOnly = {getContext: (name) => (name === "webgl") ? {} : null};
+
+	it("returns report with context and its version", function() {
+		let report = Utils.createContext(document.createElement("canvas"));
+		expect(typeof report.gl).toBe("object");
+		expect(report.version).toBe(report.contextName === Utils.WebGL2 ? 2 : 1);
+	});
+
+	it("falls back to next context name", function() {
+		let report = Utils.createContext(webglOnly);
+		expect(report.contextName).toBe("webgl");
+		expect(report.version).toBe(1);
+	});
+
+	it("calls error callback instead of alert", function() {
+		let error;
+		let report = Utils.createContext(failing, {error: (e) => error = e});
+		expect(report).toBe(null);
+		expect(error instanceof Error).toBe(true);
+		expect(error.tried).toEqual(Utils.contextFallback);
+	});
+
+	it("async variant resolves", function(done) {
+		Utils.createContextAsync(webglOnly, {versions: [Utils.WebGL2, "webgl"]}).then((report) => {
+			expect(report.contextName).toBe("webgl");
+			done();
+		});
+	});
+
+	it("async variant rejects", function(done) {
+		Utils.createContextAsync(failing).catch((e) => {
+			expect(e instanceof Error).toBe(true);
+			done();
+		});
+	});
+});
+
+describe("Utils.getCapabilities", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas, Utils.WebGL2);
+	let capabilities = Utils.getCapabilities(gl);
+
+	it("reports version and limits", function() {
+		expect(capabilities.version).toBe(2);
+		expect(capabilities.limits.MAX_TEXTURE_SIZE).toBeGreaterThan(0);
+		expect(capabilities.limits.MAX_VIEWPORT_DIMS instanceof Array).toBe(true);
+	});
+
+	it("reports extensions and precision", function() {
+		expect(capabilities.extensions instanceof Array).toBe(true);
+		expect(capabilities.precision.fragment.highFloat.precision).toBeGreaterThan(0);
+	});
+
+	it("reports float render target support", function() {
+		expect(typeof capabilities.floatRenderTarget).toBe("boolean");
+		expect(typeof capabilities.halfFloatRenderTarget).toBe("boolean");
+	});
+
+	it("can be serialized", function() {
+		expect(JSON.parse(JSON.stringify(capabilities)).version).toBe(2);
+	});
+});
+
+describe("Utils.checkRenderTarget", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas, Utils.WebGL2);
+
+	it("checks renderable format", function() {
+		expect(Utils.checkRenderTarget(gl, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE)).toBe(true);
+		expect(gl.getError()).toBe(gl.NO_ERROR);
+	});
+
+	it("reports errors of previous calls", function() {
+		spyOn(window.console, "warn");
+		gl.bindTexture(0, null);
+		expect(Utils.checkRenderTarget(gl, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE)).toBe(null);
+		expect(window.console.warn).toHaveBeenCalledWith(jasmine.stringMatching(/0x500/));
+		expect(gl.getError()).toBe(gl.NO_ERROR);
+	});
+});
+
+describe("Utils.requireExtensions", function() {
+	// mock context supporting just one extension
+	let gl = {getExtension: (name) => (name === "OES_element_index_uint") ? {} : null};
+
+	it("returns enabled extensions", function() {
+		let extensions = Utils.requireExtensions(gl, ["OES_element_index_uint"]);
+		expect(typeof extensions.OES_element_index_uint).toBe("object");
+	});
+
+	it("reports missing extensions", function() {
+		let error;
+		try {
+			Utils.requireExtensions(gl, ["OES_element_index_uint", "EXT_color_buffer_float", "OES_texture_float"]);
+		} catch (e) {
+			error = e;
+		}
+		expect(error.missing).toEqual(["EXT_color_buffer_float", "OES_texture_float"]);
+		expect(error.message).toContain("EXT_color_buffer_float, OES_texture_float");
+	});
+});
+
 describe("Utils.initRequestAnimationFrame", function() {
 
 	it("initialize requestAnimFrame to be function", function() {
@@ -40,6 +144,457 @@ describe("Utils.initRequestAnimationFrame", function() {
 	});
 });
 
+describe("Utils.initShadersAsync", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas);
+	let vs = "attribute vec3 position; void main(void) { gl_Position = vec4(position, 1.0); }";
+	let fs = "precision mediump float; void main(void) { gl_FragColor = vec4(1.0); }";
+
+	it("resolves with linked program from strings", function(done) {
+		Utils.initShadersAsync(gl, gl.createProgram(), vs, fs, {source: "string"}).then((program) => {
+			expect(program instanceof WebGLProgram).toBe(true);
+			expect(gl.getProgramParameter(program, gl.LINK_STATUS)).toBe(true);
+			done();
+		});
+	});
+
+	it("rejects with SyntaxError on compilation error", function(done) {
+		Utils.initShadersAsync(gl, gl.createProgram(), vs, "void main(void) { error }", {source: "string"}).catch((e) => {
+			expect(e instanceof SyntaxError).toBe(true);
+			expect(e.message).toContain("Fragment shader error");
+			done();
+		});
+	});
+
+	it("rejects when element does not exist", function(done) {
+		Utils.initShadersAsync(gl, gl.createProgram(), "no-vs", "no-fs").catch((e) => {
+			expect(e.message).toContain("'no-vs' was not found");
+			done();
+		});
+	});
+});
+
+describe("Utils.initShaders", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas);
+	let vs, fs;
+
+	// the spec is loaded in head, so body does not exist yet when suites are declared
+	beforeAll(function() {
+		vs = document.createElement("script");
+		vs.id = "test-vs";
+		vs.type = "x-shader/x-vertex";
+		vs.textContent = "void main(void) {\n\tgl_Position = vec4(0.0);\n}";
+		fs = document.createElement("script");
+		fs.id = "test-fs";
+		fs.type = "x-shader/x-fragment";
+		fs.textContent = "precision mediump float;\nvoid main(void) {\n\tgl_FragColor = color;\n}";
+		document.head.appendChild(vs);
+		document.head.appendChild(fs);
+	});
+
+	afterAll(function() {
+		document.head.removeChild(vs);
+		document.head.removeChild(fs);
+	});
+
+	it("throws error with structured entries without alert", function() {
+		let error;
+		try {
+			Utils.initShaders(gl, gl.createProgram(), "test-vs", "test-fs", false, {alert: false});
+		} catch (e) {
+			error = e;
+		}
+		expect(error instanceof SyntaxError).toBe(true);
+		expect(error.errors.length).toBeGreaterThan(0);
+		expect(error.errors[0].shader).toBe("fragment");
+		expect(error.errors[0].file).toBe("test-fs");
+		expect(error.errors[0].line).toBe(3);
+	});
+});
+
+describe("Utils.resolveInclude", function() {
+
+	it("resolves names relative to directory of the file", function() {
+		expect(Utils.resolveInclude("", "common.glsl")).toBe("common.glsl");
+		expect(Utils.resolveInclude("lights/point.glsl", "common.glsl")).toBe("lights/common.glsl");
+		expect(Utils.resolveInclude("lights/point.glsl", "../noise.glsl")).toBe("noise.glsl");
+		expect(Utils.resolveInclude("point.glsl", "../lib/noise.glsl")).toBe("../lib/noise.glsl");
+	});
+});
+
+describe("Utils.preprocessShader", function() {
+	let includes = {
+		"light.glsl": "#include \"common.glsl\"\nvec3 light() { return vec3(ONE); }",
+		"common.glsl": "#define ONE 1.0",
+		"a.glsl": "#include \"b.glsl\"",
+		"b.glsl": "#include \"a.glsl\""
+	};
+
+	it("resolves includes only once", function() {
+		let source = "#include \"light.glsl\"\n#include \"common.glsl\"\nvoid main(void) {}";
+		let result = Utils.preprocessShader(source, {includes: includes});
+		expect(result.source).toBe("#define ONE 1.0\nvec3 light() { return vec3(ONE); }\nvoid main(void) {}");
+	});
+
+	it("keeps line map to original files", function() {
+		let result = Utils.preprocessShader("#include \"light.glsl\"\nvoid main(void) {}", {name: "shader.frag", includes: includes});
+		expect(result.lineMap.length).toBe(3);
+		expect(result.lineMap[0]).toEqual({file: "common.glsl", line: 1});
+		expect(result.lineMap[1]).toEqual({file: "light.glsl", line: 2});
+		expect(result.lineMap[2]).toEqual({file: "shader.frag", line: 2});
+	});
+
+	it("accepts function for includes", function() {
+		let result = Utils.preprocessShader("#include <common.glsl>", {includes: (name) => includes[name]});
+		expect(result.source).toBe("#define ONE 1.0");
+	});
+
+	it("injects defines after version directive", function() {
+		let result = Utils.preprocessShader("#version 300 es\nvoid main(void) {}", {
+			defines: {WITH_TEXTURE: true, WITH_FOG: false, LIGHTS: 4}
+		});
+		// sorted by names
+		expect(result.source).toBe("#version 300 es\n#define LIGHTS 4\n#define WITH_TEXTURE\nvoid main(void) {}");
+		expect(result.lineMap[1]).toEqual({file: "defines", line: 1});
+		expect(result.lineMap[3]).toEqual({file: "main", line: 2});
+	});
+
+	it("resolves nested includes relative to the included file", function() {
+		let result = Utils.preprocessShader("#include \"lights/point.glsl\"", {includes: {
+			"lights/point.glsl": "#include \"common.glsl\"\nvec3 point() { return vec3(0.0); }",
+			"lights/common.glsl": "#define LIGHT 1"
+		}});
+		expect(result.source).toBe("#define LIGHT 1\nvec3 point() { return vec3(0.0); }");
+		expect(result.lineMap[0]).toEqual({file: "lights/common.glsl", line: 1});
+	});
+
+	it("detects circular includes", function() {
+		expect(() => Utils.preprocessShader("#include \"a.glsl\"", {includes: includes})).toThrowError(/a.glsl -> b.glsl -> a.glsl/);
+	});
+
+	it("throws when included file is missing", function() {
+		expect(() => Utils.preprocessShader("#include \"missing.glsl\"")).toThrowError(/missing.glsl/);
+	});
+});
+
+describe("Utils.translateShader", function() {
+	let vs1 = "attribute vec3 position;\nvarying vec2 uv;\nvoid main(void) {\n\tuv = position.xy;\n\tgl_Position = vec4(position, 1.0);\n}";
+	let fs1 = "precision mediump float;\nvarying vec2 uv;\nuniform sampler2D image;\nuniform samplerCube sky;\n" +
+		"void main(void) {\n\tgl_FragColor = texture2D(image, uv) + textureCube(sky, vec3(uv, 1.0));\n}";
+
+	it("translates vertex shader to GLSL ES 3.00", function() {
+		let lines = Utils.translateShader(vs1, "vertex", 2).split("\n");
+		expect(lines[0]).toBe("#version 300 es");
+		expect(lines[1]).toBe("#line 1");
+		expect(lines[2]).toBe("in vec3 position;");
+		expect(lines[3]).toBe("out vec2 uv;");
+	});
+
+	it("translates fragment shader to GLSL ES 3.00", function() {
+		let source = Utils.translateShader(fs1, "fragment", 2);
+		expect(source).toContain("out highp vec4 utils_FragColor;");
+		expect(source).toContain("in vec2 uv;");
+		expect(source).toContain("utils_FragColor = texture(image, uv) + texture(sky, vec3(uv, 1.0));");
+		expect(source).not.toContain("gl_FragColor");
+	});
+
+	it("translates fragment shader back to GLSL ES 1.00", function() {
+		let source = Utils.translateShader(Utils.translateShader(fs1, "fragment", 2), "fragment", 1);
+		expect(source).toContain("#version 100");
+		expect(source).toContain("varying vec2 uv;");
+		expect(source).toContain("gl_FragColor = texture2D(image, uv) + textureCube(sky, vec3(uv, 1.0));");
+	});
+
+	it("keeps lines when translating to GLSL ES 1.00", function() {
+		let vs3 = "#version 300 es\nin vec3 position;\nout vec3 color;\nvoid set(in vec3 a, out vec3 b) { b = a; }\n" +
+			"void main(void) {\n\tset(position, color);\n\tgl_Position = vec4(position, 1.0);\n}";
+		let lines = Utils.translateShader(vs3, "vertex", 1).split("\n");
+		expect(lines.length).toBe(8);
+		expect(lines[1]).toBe("attribute vec3 position;");
+		expect(lines[2]).toBe("varying vec3 color;");
+		expect(lines[3]).toBe("void set(in vec3 a, out vec3 b) { b = a; }");
+	});
+
+	it("translates textureLod in fragment shader to extension", function() {
+		let fs3 = "#version 300 es\nprecision mediump float;\nuniform samplerCube sky;\nout vec4 color;\n" +
+			"void main(void) {\n\tcolor = textureLod(sky, vec3(1.0), 2.0);\n}";
+		let lines = Utils.translateShader(fs3, "fragment", 1).split("\n");
+		expect(lines[1]).toBe("#extension GL_EXT_shader_texture_lod : enable");
+		expect(lines[2]).toBe("#line 1");
+		expect(lines[7]).toBe("\tgl_FragColor = textureCubeLodEXT(sky, vec3(1.0), 2.0);");
+	});
+
+	it("does not change shader in requested version", function() {
+		expect(Utils.translateShader(vs1, "vertex", 1)).toBe(vs1);
+	});
+});
+
+describe("Utils.parseShaderLog", function() {
+
+	it("parses entries of info log", function() {
+		let entries = Utils.parseShaderLog("ERROR: 0:3: 'color' : undeclared identifier\nWARNING: 0:1: 'x' : unused\n\0");
+		expect(entries.length).toBe(2);
+		expect(entries[0]).toEqual({type: "ERROR", file: null, line: 3, sourceLine: 3, message: "'color' : undeclared identifier"});
+		expect(entries[1].type).toBe("WARNING");
+	});
+
+	it("parses other format of info log", function() {
+		let entries = Utils.parseShaderLog("0(7) : error C1008: undefined variable \"color\"");
+		expect(entries[0].line).toBe(7);
+		expect(entries[0].type).toBe("ERROR");
+	});
+
+	it("maps lines to original files", function() {
+		let result = Utils.preprocessShader("#include \"light.glsl\"\nvoid main(void) {}", {
+			name: "main.frag",
+			includes: {"light.glsl": "float a;\nfloat b = c;"}
+		});
+		let entries = Utils.parseShaderLog("ERROR: 0:2: 'c' : undeclared identifier", result.lineMap);
+		expect(entries[0].file).toBe("light.glsl");
+		expect(entries[0].line).toBe(2);
+		expect(entries[0].sourceLine).toBe(2);
+	});
+
+	it("keeps unknown lines as messages", function() {
+		let entries = Utils.parseShaderLog("Internal compiler error");
+		expect(entries[0].line).toBe(null);
+		expect(entries[0].message).toBe("Internal compiler error");
+	});
+});
+
+describe("Utils.formatShaderErrors", function() {
+
+	it("prints failing line with context", function() {
+		let source = "line 1\nline 2\nline 3\nline 4\nline 5\nline 6\nline 7\nline 8\nline 9\nline 10";
+		let text = Utils.formatShaderErrors(source, Utils.parseShaderLog("ERROR: 0:9: bad"), 1);
+		expect(text).toBe("ERROR: 9: bad\n   8 | line 8\n>  9 | line 9\n  10 | line 10\n");
+	});
+});
+
+describe("Utils.Program", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas);
+	let vs = "attribute vec3 position; uniform mat4 uModel; uniform vec3 uOffset[2];" +
+		"void main(void) { gl_Position = uModel * vec4(position + uOffset[0] + uOffset[1], 1.0); }";
+	let fs = "precision mediump float; uniform sampler2D uTexture; uniform float uAlpha;" +
+		"void main(void) { gl_FragColor = texture2D(uTexture, vec2(0.0)) * uAlpha; }";
+
+	let create = function(fragment) {
+		let program = gl.createProgram();
+		gl.attachShader(program, Utils.compileShader(gl, gl.VERTEX_SHADER, vs));
+		gl.attachShader(program, Utils.compileShader(gl, gl.FRAGMENT_SHADER, fragment));
+		return new Utils.Program(gl, program);
+	};
+
+	it("links the program and reflects attributes", function() {
+		let program = create(fs);
+		expect(gl.getProgramParameter(program.program, gl.LINK_STATUS)).toBe(true);
+		expect(program.attributes.position.type).toBe("vec3");
+		expect(program.getAttribLocation("position")).toBeGreaterThan(-1);
+		expect(program.getAttribLocation("missing")).toBe(-1);
+	});
+
+	it("reflects uniforms", function() {
+		let program = create(fs);
+		expect(program.uniforms.uModel.type).toBe("mat4");
+		expect(program.uniforms.uTexture.type).toBe("sampler2D");
+		expect(program.uniforms.uOffset.size).toBe(2);
+	});
+
+	it("sets uniforms according to their types", function() {
+		let program = create(fs).use();
+		let a = new Point3D(1, 0, 0, 0);
+		let b = new Point3D(0, 2, 0, 0);
+		let c = new Point3D(0, 0, 3, 0);
+		let d = new Point3D(4, 5, 6, 1);
+		expect(program.set("uModel", new Mat4(a, b, c, d))).toBe(true);
+		expect(gl.getUniform(program.program, program.uniforms.uModel.location)[13]).toBe(5);
+		program.setUniforms({uAlpha: 0.5, uTexture: 1, uOffset: [1, 2, 3, 4, 5, 6]});
+		expect(gl.getUniform(program.program, program.uniforms.uAlpha.location)).toBe(0.5);
+		expect(gl.getUniform(program.program, program.uniforms.uTexture.location)).toBe(1);
+		expect(program.set("missing", 1)).toBe(false);
+	});
+
+	it("validates program before drawing", function() {
+		let cube = "precision mediump float; uniform sampler2D uTexture; uniform samplerCube uCube;" +
+			"void main(void) { gl_FragColor = texture2D(uTexture, vec2(0.0)) + textureCube(uCube, vec3(1.0)); }";
+		// both samplers use unit 0 after linking
+		let program = create(cube).use();
+		expect(() => program.validate()).toThrowError(SyntaxError);
+		program.set("uCube", 1);
+		expect(program.validate()).toBe(program);
+	});
+
+	it("throws SyntaxError when linking fails", function() {
+		let missingVarying = "precision mediump float; varying vec3 vNormal; void main(void) { gl_FragColor = vec4(vNormal, 1.0); }";
+		expect(() => create(missingVarying)).toThrowError(SyntaxError);
+	});
+});
+
+describe("Utils.ShaderCache", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas);
+	let vs = "attribute vec3 position; void main(void) { gl_Position = vec4(position, 1.0); }";
+	let fs = "precision mediump float; void main(void) {\n#ifdef RED\ngl_FragColor = vec4(1, 0, 0, 1);\n#else\ngl_FragColor = vec4(1);\n#endif\n}";
+
+	it("returns one cache for a context", function() {
+		expect(Utils.ShaderCache.get(gl)).toBe(Utils.ShaderCache.get(gl));
+		expect(Utils.ShaderCache.get(gl) instanceof Utils.ShaderCache).toBe(true);
+	});
+
+	it("deduplicates shaders and programs", function() {
+		let cache = new Utils.ShaderCache(gl);
+		let a = cache.getProgram(vs, fs);
+		let b = cache.getProgram(vs, fs);
+		let c = cache.getProgram(vs, fs, {defines: {RED: true, GREEN: false}});
+		let d = cache.getProgram(vs, fs, {defines: {GREEN: false, RED: true}});
+		expect(a).toBe(b);
+		expect(a instanceof Utils.Program).toBe(true);
+		expect(c).not.toBe(a);
+		expect(d).toBe(c);
+		// defines are injected into both shaders
+		expect(cache.shaders.size).toBe(4);
+		expect(cache.programs.size).toBe(2);
+		let shader = cache.getShader(gl.VERTEX_SHADER, vs);
+		expect(gl.getAttachedShaders(a.program)).toContain(shader);
+		cache.release(shader);
+		[a, b, c, d].forEach((program) => cache.release(program));
+		expect(cache.shaders.size).toBe(0);
+	});
+
+	it("deletes objects when they are released", function() {
+		let cache = new Utils.ShaderCache(gl);
+		let a = cache.getProgram(vs, fs);
+		cache.getProgram(vs, fs);
+		expect(cache.release(a)).toBe(true);
+		expect(cache.programs.size).toBe(1);
+		expect(cache.release(a.program)).toBe(true);
+		expect(cache.programs.size).toBe(0);
+		expect(cache.shaders.size).toBe(0);
+		expect(cache.release(a)).toBe(false);
+	});
+
+	it("is used by Utils.Axis", function() {
+		Utils.Axis.init(gl);
+		let program = Utils.Axis.axisProgram;
+		Utils.Axis.init(gl);
+		expect(Utils.Axis.axisProgram).toBe(program);
+	});
+});
+
+describe("Utils.FeedbackKernel", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas, Utils.WebGL2);
+	let source = "#version 300 es\n" +
+		"in float value;\n" +
+		"in vec2 offset;\n" +
+		"uniform float factor;\n" +
+		"out float result;\n" +
+		"out vec2 moved;\n" +
+		"void main(void) {\n" +
+		"	result = value * factor;\n" +
+		"	moved = offset + vec2(value);\n" +
+		"}";
+
+	it("computes outputs for every element", function() {
+		let kernel = new Utils.FeedbackKernel(gl, source, ["result", "moved"]);
+		kernel.setInput("value", new Float32Array([1, 2, 3]), 1);
+		kernel.setInput("offset", new Float32Array([0, 0, 1, 1, 2, 2]), 2);
+		kernel.set("factor", 2).run();
+		expect(Array.from(kernel.read("result"))).toEqual([2, 4, 6]);
+		expect(Array.from(kernel.read("moved"))).toEqual([1, 1, 3, 3, 5, 5]);
+		kernel.dispose();
+	});
+
+	it("feeds output back as input", function() {
+		let kernel = new Utils.FeedbackKernel(gl, source, ["result", "moved"]);
+		kernel.setInput("value", new Float32Array([1, 2]), 1);
+		kernel.setInput("offset", new Float32Array([0, 0, 0, 0]), 2);
+		kernel.set("factor", 3).run().feed("result", "value").run();
+		expect(Array.from(kernel.read("result"))).toEqual([9, 18]);
+		kernel.dispose();
+	});
+});
+
+describe("Utils.GridKernel", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas, Utils.WebGL2);
+	let source = "#version 300 es\n" +
+		"precision highp float;\n" +
+		"uniform sampler2D state;\n" +
+		"in vec2 uv;\n" +
+		"out vec4 color;\n" +
+		"void main(void) {\n" +
+		"	color = texture(state, uv) + vec4(1.0, 2.0, 0.5, 0.0);\n" +
+		"}";
+
+	it("computes new state in iterations", function() {
+		if (!gl.getExtension("EXT_color_buffer_float")) {
+			pending("EXT_color_buffer_float is not supported");
+		}
+		let kernel = new Utils.GridKernel(gl, source, 2, 2);
+		kernel.setData(new Float32Array(16).fill(1));
+		let data = kernel.run(3).read();
+		expect(data.length).toBe(16);
+		expect(Array.from(data.subarray(0, 4))).toEqual([4, 7, 2.5, 1]);
+		expect(kernel.getTexture() instanceof WebGLTexture).toBe(true);
+		kernel.dispose();
+	});
+});
+
+describe("Utils.ContextManager", function() {
+
+	let create = function() {
+		let canvas = document.createElement("canvas");
+		// mock context, the events are dispatched on a real canvas
+		let manager = new Utils.ContextManager({canvas: canvas});
+		let created = 0;
+		let resource = manager.register(() => ++created);
+		return {canvas: canvas, manager: manager, resource: resource};
+	};
+
+	it("creates resource on register", function() {
+		let t = create();
+		expect(t.resource.value).toBe(1);
+		expect(t.manager.isContextLost()).toBe(false);
+		t.manager.dispose();
+	});
+
+	it("handles lost and restored context", function() {
+		let t = create();
+		let event = new Event("webglcontextlost", {cancelable: true});
+		t.canvas.dispatchEvent(event);
+		expect(event.defaultPrevented).toBe(true);
+		expect(t.manager.isContextLost()).toBe(true);
+		expect(t.resource.value).toBe(null);
+
+		t.manager.start(() => {});
+		expect(t.manager.framePending).toBe(false);
+
+		t.canvas.dispatchEvent(new Event("webglcontextrestored"));
+		expect(t.manager.isContextLost()).toBe(false);
+		expect(t.resource.value).toBe(2);
+		expect(t.manager.framePending).toBe(true);
+		t.manager.dispose();
+	});
+
+	it("calls lost and restored callbacks", function() {
+		let canvas = document.createElement("canvas");
+		let lost = 0;
+		let restored = 0;
+		let manager = new Utils.ContextManager({canvas: canvas}, {
+			lost: () => lost++,
+			restored: () => restored++
+		});
+		canvas.dispatchEvent(new Event("webglcontextlost", {cancelable: true}));
+		canvas.dispatchEvent(new Event("webglcontextrestored"));
+		expect(lost).toBe(1);
+		expect(restored).toBe(1);
+		manager.dispose();
+	});
+});
+
 describe("Utils.getMousePoint", function() {
 	let element = document.createElement("div");
 
@@ -238,6 +793,257 @@ describe("Utils.convert", function() {
 	});
 });
 
+describe("Utils.Drawable", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas);
+	let vs = "attribute vec3 position; attribute vec3 color; varying vec3 vColor; " +
+		"void main(void) { vColor = color; gl_Position = vec4(position, 1.0); }";
+	let fs = "precision mediump float; varying vec3 vColor; void main(void) { gl_FragColor = vec4(vColor, 1.0); }";
+
+	function createScene() {
+		let scene = new Utils.Scene();
+		return scene.add(new Utils.Block(1, 1, 1, 0, 0, 0, {sharedVertices: false})).add(new Utils.Face(1, 1, 0, 0, 0, {strip: false}));
+	}
+
+	it("uploads scene into separate buffers", function() {
+		let drawable = createScene().upload(gl);
+		expect(drawable instanceof Utils.Drawable).toBe(true);
+		expect(drawable.count).toBe(42);
+		expect(drawable.indexType).toBe(gl.UNSIGNED_SHORT);
+		expect(drawable.attributes.map((a) => a.name)).toEqual(
+			["position", "color", "normal", "textureCoord", "tangent", "bitangent"]
+		);
+		expect(drawable.attributes[0].buffer).not.toBe(drawable.attributes[1].buffer);
+		drawable.dispose();
+	});
+
+	it("skips data which does not belong to all vertices", function() {
+		// object with positions and colors only
+		let triangle = {vertices: [0, 0, 0, 1, 0, 0, 0, 1, 0], colors: [1, 1, 1, 1, 1, 1, 1, 1, 1], indices: [0, 1, 2]};
+		let drawable = createScene().add(triangle).upload(gl, {attributes: {colors: null}});
+		expect(drawable.attributes.map((a) => a.name)).toEqual(["position"]);
+		drawable.dispose();
+	});
+
+	it("uploads scene into interleaved buffer", function() {
+		let drawable = createScene().upload(gl, {interleaved: true});
+		let texture = drawable.attributes[3];
+		expect(texture.buffer).toBe(drawable.attributes[0].buffer);
+		expect(texture.stride).toBe(68);
+		expect(texture.offset).toBe(36);
+		drawable.dispose();
+	});
+
+	it("draws with Utils.Program and WebGLProgram", function() {
+		let program = Utils.ShaderCache.get(gl).getProgram(vs, fs);
+		let drawable = createScene().upload(gl);
+		program.use();
+		drawable.draw(program);
+		drawable.draw(program.program);
+		expect(gl.getError()).toBe(gl.NO_ERROR);
+		if (drawable.hasVAO()) expect(drawable.vaos.size).toBe(1);
+		drawable.dispose();
+	});
+
+	it("draws submeshes with their primitives", function() {
+		let program = Utils.ShaderCache.get(gl).getProgram(vs, fs);
+		let scene = new Utils.Scene();
+		let face = new Utils.Face(1, 1, 0, 0, 0);
+		scene.add(new Utils.Block(1, 1, 1, 0, 0, 0)).add(face);
+		let drawable = scene.upload(gl);
+		expect(drawable.submeshes).toEqual(scene.submeshes);
+		expect(drawable.submeshes[1]).toBe(scene.submeshes[1]);
+
+		spyOn(gl, "drawElements").and.callThrough();
+		program.use();
+		drawable.draw(program);
+		expect(gl.drawElements.calls.allArgs()).toEqual([
+			[gl.TRIANGLES, 36, gl.UNSIGNED_SHORT, 0],
+			[gl.TRIANGLE_STRIP, 6, gl.UNSIGNED_SHORT, 72]
+		]);
+
+		gl.drawElements.calls.reset();
+		scene.setVisible(face, false);
+		drawable.draw(program);
+		expect(gl.drawElements.calls.count()).toBe(1);
+		drawable.draw(program, 1);
+		expect(gl.drawElements.calls.mostRecent().args[0]).toBe(gl.TRIANGLE_STRIP);
+		drawable.dispose();
+	});
+});
+
+describe("Utils.GrowableArray", function() {
+
+	it("grows geometrically", function() {
+		let array = new Utils.GrowableArray(Float32Array, 4);
+		array.append([1, 2, 3]);
+		array.append(new Float32Array([4, 5]));
+		expect(array.array.length).toBe(8);
+		array.push(6);
+		expect(array.view()).toEqual(new Float32Array([1, 2, 3, 4, 5, 6]));
+		array.append(new Float32Array(20));
+		expect(array.array.length).toBe(32);
+		expect(array.length).toBe(26);
+	});
+
+	it("changes indices to 32 bits when needed", function() {
+		let array = new Utils.GrowableArray(Uint16Array);
+		array.append([0, 1, 2], 65530);
+		expect(array.array instanceof Uint16Array).toBe(true);
+		array.append([0, 1, 2], 65534);
+		expect(array.array instanceof Uint32Array).toBe(true);
+		expect(Array.from(array.view())).toEqual([65530, 65531, 65532, 65534, 65535, 65536]);
+	});
+});
+
+describe("Utils.Geometry", function() {
+
+	it("keeps data in typed arrays", function() {
+		let sphere = new Utils.Sphere(0, 0, 0, 1, 8);
+		expect(sphere.data.vertices instanceof Float32Array).toBe(true);
+		expect(sphere.data.indices instanceof Uint16Array).toBe(true);
+		expect(sphere.getData("normals")).toBe(sphere.data.normals);
+
+		let big = new Utils.Sphere(0, 0, 0, 1, 256);
+		expect(big.data.indices instanceof Uint32Array).toBe(true);
+	});
+
+	it("provides arrays for compatibility", function() {
+		let face = new Utils.Face(1, 2, 4, 5, 6);
+		expect(face.vertices instanceof Array).toBe(true);
+		expect(face.vertices).toBe(face.vertices);
+		face.vertices = [1, 2, 3];
+		expect(face.data.vertices).toEqual(new Float32Array([1, 2, 3]));
+		expect(face.vertices).toEqual([1, 2, 3]);
+	});
+
+	it("removes data of scene", function() {
+		let scene = new Utils.Scene().add(new Utils.Face(1, 2, 4, 5, 6));
+		scene.normals = undefined;
+		expect(scene.normals).toEqual([]);
+		scene.add(new Utils.Face(1, 2, 4, 5, 6));
+		expect(scene.getData("vertices").length).toBe(24);
+	});
+});
+
+describe("Utils.computeBounds", function() {
+
+	it("computes box and sphere", function() {
+		let bounds = Utils.computeBounds([1, 2, 3, -1, 0, 5, 3, 2, 3]);
+		expect(bounds.min).toEqual([-1, 0, 3]);
+		expect(bounds.max).toEqual([3, 2, 5]);
+		expect(bounds.center).toEqual([1, 1, 4]);
+		expect(bounds.radius).toBeCloseTo(Math.sqrt(6), 5);
+		expect(Utils.computeBounds([1, 2, 3, -1, 0, 5, 3, 2, 3], 1, 1).max).toEqual([-1, 0, 5]);
+		expect(Utils.computeBounds([])).toBe(null);
+	});
+
+	it("is available for every primitive", function() {
+		let sphere = new Utils.Sphere(1, 2, 3, 2, 8).getBounds();
+		expect(sphere.center[2]).toBeCloseTo(3, 5);
+		expect(sphere.radius).toBeCloseTo(2, 5);
+		expect(new Utils.Face(1, 2, 4, 5, 6).getBounds().max).toEqual([5, 7, 6]);
+		expect(new Utils.Torus(0, 0, 0, 2, 0.5, 8).getBounds().max[0]).toBeCloseTo(2.5, 5);
+	});
+});
+
+describe("Utils.transformBounds", function() {
+
+	it("transforms box and sphere", function() {
+		let bounds = Utils.computeBounds(new Utils.Block(1, 2, 3, 0, 0, 0).vertices);
+		let transformed = Utils.transformBounds(bounds, new Mat4RotZ(Math.PI / 2).mul(new Mat4Scale(2, 2, 2)));
+		expect(transformed.max[0]).toBeCloseTo(4, 5);
+		expect(transformed.max[1]).toBeCloseTo(2, 5);
+		expect(transformed.radius).toBeCloseTo(2 * bounds.radius, 5);
+	});
+});
+
+describe("Utils.Frustum", function() {
+	let frustum = new Utils.Frustum(new Mat4Transl(0, 0, -10).mul(new Mat4PerspRH(Math.PI / 2, 1, 1, 100)));
+
+	it("tests spheres", function() {
+		expect(frustum.intersectsSphere([0, 0, 0], 1)).toBe(true);
+		expect(frustum.intersectsSphere([0, 0, 20], 1)).toBe(false);
+		expect(frustum.intersectsSphere([12, 0, 0], 1)).toBe(false);
+		expect(frustum.intersectsSphere([10.5, 0, 0], 1)).toBe(true);
+	});
+
+	it("tests boxes", function() {
+		expect(frustum.intersectsBox([-1, -1, -1], [1, 1, 1])).toBe(true);
+		expect(frustum.intersectsBox([0, 0, -200], [1, 1, -150])).toBe(false);
+		expect(frustum.intersectsBox([-100, -1, -1], [100, 1, 1])).toBe(true);
+	});
+});
+
+describe("Utils.invertMatrix", function() {
+
+	it("inverts matrix", function() {
+		let matrix = new Mat4RotZ(0.5).mul(new Mat4Transl(1, 2, 3)).mul(new Mat4Scale(2, 3, 4));
+		let inverse = Utils.invertMatrix(matrix);
+		let m = Utils.convert(matrix);
+		for (let i = 0; i < 4; i++) {
+			for (let j = 0; j < 4; j++) {
+				let value = 0;
+				for (let k = 0; k < 4; k++) value += m[i * 4 + k] * inverse[k * 4 + j];
+				expect(value).toBeCloseTo((i === j) ? 1 : 0, 5);
+			}
+		}
+		expect(Utils.invertMatrix(new Mat4Scale(0, 1, 1))).toBe(null);
+	});
+});
+
+describe("Utils.screenToRay", function() {
+	let canvas = document.createElement("canvas");
+	canvas.width = 200;
+	canvas.height = 100;
+	let projection = new Mat4PerspRH(Math.PI / 2, 0.5, 1, 100);
+
+	it("creates ray through center of canvas", function() {
+		let ray = Utils.screenToRay({x: 100, y: 50}, canvas, new Mat4Transl(0, 0, -10), projection);
+		expect(ray.direction[0]).toBeCloseTo(0, 5);
+		expect(ray.direction[1]).toBeCloseTo(0, 5);
+		expect(ray.direction[2]).toBeCloseTo(-1, 5);
+		// camera is at z = 10
+		expect(ray.origin[2]).toBeLessThan(10);
+		expect(ray.origin[2]).toBeGreaterThan(8.9);
+	});
+
+	it("creates ray through corner of canvas", function() {
+		let ray = Utils.screenToRay({x: 200, y: 0}, canvas, new Mat4Identity(), projection);
+		// field of view is 90° vertically, the canvas is twice as wide
+		expect(ray.direction[0]).toBeCloseTo(-2 * ray.direction[2], 5);
+		expect(ray.direction[1]).toBeCloseTo(-ray.direction[2], 5);
+	});
+});
+
+describe("Utils.intersectRayTriangle", function() {
+	let ray = {origin: [0.25, 0.25, 5], direction: [0, 0, -1]};
+
+	it("returns distance and barycentric coordinates", function() {
+		let hit = Utils.intersectRayTriangle(ray, [0, 0, 0], [1, 0, 0], [0, 1, 0]);
+		expect(hit.distance).toBeCloseTo(5, 5);
+		expect(hit.barycentric[0]).toBeCloseTo(0.5, 5);
+		expect(hit.barycentric[1]).toBeCloseTo(0.25, 5);
+		expect(hit.barycentric[2]).toBeCloseTo(0.25, 5);
+	});
+
+	it("misses", function() {
+		expect(Utils.intersectRayTriangle(ray, [1, 1, 0], [2, 1, 0], [1, 2, 0])).toBe(null);
+		expect(Utils.intersectRayTriangle(ray, [0, 0, 10], [1, 0, 10], [0, 1, 10])).toBe(null);
+	});
+});
+
+describe("Utils.intersectRayBounds", function() {
+
+	it("returns distance to box", function() {
+		let bounds = Utils.computeBounds([-1, -1, -1, 1, 1, 1]);
+		expect(Utils.intersectRayBounds({origin: [0, 0, 5], direction: [0, 0, -1]}, bounds)).toBeCloseTo(4, 5);
+		expect(Utils.intersectRayBounds({origin: [0, 0, 0], direction: [0, 0, -1]}, bounds)).toBe(0);
+		expect(Utils.intersectRayBounds({origin: [0, 0, 5], direction: [0, 0, 1]}, bounds)).toBe(null);
+		expect(Utils.intersectRayBounds({origin: [3, 0, 5], direction: [0, 0, -1]}, bounds)).toBe(null);
+	});
+});
+
 describe("Utils.Scene", function() {
 
 	it("constructor works correctly", function() {
@@ -272,21 +1078,165 @@ describe("Utils.Scene", function() {
 		expect(scene.vertices[58]).toBe(7);
 
 		expect(scene.colors.length).toBe(84);
-		expect(scene.colors[50]).toBe(0.2);
+		expect(scene.colors[50]).toBeCloseTo(0.2, 6);
 		expect(scene.colors[60]).toBe(1);
 
 		expect(scene.textureCoords.length).toBe(56);
 		expect(scene.textureCoords[10]).toBe(1);
 		expect(scene.textureCoords[11]).toBe(0);
 
-		expect(scene.normals.length).toBe(12);
-		expect(scene.normals[6]).toBeCloseTo(-0.4472135901451111, 5);
-		expect(scene.normals[8]).toBeCloseTo(0, 5);
+		expect(scene.normals.length).toBe(84);
+		expect(scene.normals[7]).toBe(-1);
+		expect(scene.normals[80]).toBe(1);
+
+		expect(scene.tangents.length).toBe(84);
+		expect(scene.bitangents.length).toBe(84);
 
 		expect(scene.indices.length).toBe(42);
 		expect(scene.indices[10]).toBe(7);
 		expect(scene.indices[41]).toBe(26);
 	});
+
+	it("records submeshes", function() {
+		let scene = new Utils.Scene();
+		let a = new Utils.Block(1, 2, 3, 4, 5, 6);
+		let b = new Utils.Face(1, 2, 4, 5, 6);
+		scene.add(a).add(b);
+
+		expect(scene.submeshes.length).toBe(2);
+		expect(scene.getSubmesh(a)).toEqual({
+			object: a, offset: 0, count: 36, mode: Utils.TRIANGLES, visible: true, culled: false, bounds: jasmine.any(Object)
+		});
+		expect(scene.getSubmesh(b)).toEqual({
+			object: b, offset: 36, count: 6, mode: Utils.TRIANGLE_STRIP, visible: true, culled: false, bounds: jasmine.any(Object)
+		});
+
+		scene.setVisible(b, false);
+		expect(scene.submeshes[1].visible).toBe(false);
+	});
+
+	it("stores data in typed arrays", function() {
+		let scene = new Utils.Scene();
+		let block = new Utils.Block(1, 2, 3, 4, 5, 6);
+		for (let i = 0; i < 100; i++) {
+			scene.add(block);
+		}
+		expect(scene.getData("vertices") instanceof Float32Array).toBe(true);
+		expect(scene.getData("vertices").length).toBe(2400);
+		expect(scene.getData("indices").length).toBe(3600);
+		expect(scene.getData("indices")[3599]).toBe(797);
+		expect(scene.vertices.length).toBe(2400);
+		// views are updated after adding
+		scene.add(block);
+		expect(scene.vertices.length).toBe(2424);
+	});
+
+	it("does not change added object", function() {
+		let scene = new Utils.Scene();
+		let sphere = new Utils.Sphere(0, 0, 0, 1, 4);
+		let indices = sphere.indices.slice();
+		scene.add(sphere).add(sphere);
+		expect(sphere.indices).toEqual(indices);
+		expect(scene.indices.slice(indices.length)).toEqual(indices.map((i) => i + sphere.vertices.length / 3));
+	});
+
+	it("adds transformed copies of object", function() {
+		let scene = new Utils.Scene();
+		let face = new Utils.Face(1, 1, 0, 0, 0);
+		scene.add(face, new Mat4Transl(5, 0, 0)).add(face, new Mat4RotZ(Math.PI / 2).mul(new Mat4Transl(0, 0, 2)));
+
+		expect(face.vertices.slice(0, 3)).toEqual([-1, -1, 0]);
+		expect(scene.vertices.slice(0, 3)).toEqual([4, -1, 0]);
+		expect(scene.vertices[12]).toBeCloseTo(1, 5);
+		expect(scene.vertices[13]).toBeCloseTo(-1, 5);
+		expect(scene.vertices[14]).toBeCloseTo(2, 5);
+		expect(scene.tangents[13]).toBeCloseTo(1, 5);
+		expect(scene.getSubmesh(face).offset).toBe(0);
+		expect(scene.submeshes[1].object).toBe(face);
+	});
+
+	it("transforms normals by normal matrix", function() {
+		let scene = new Utils.Scene();
+		let sphere = new Utils.Sphere(0, 0, 0, 1, 4);
+		scene.add(sphere, new Mat4Scale(1, 4, 1));
+		// normal of vertex (cos 45°, sin 45°, 0) stretched to (0.707, 2.83, 0)
+		let n = sphere.vertices.length / 3;
+		let index = [...Array(n).keys()].find((i) => Math.abs(sphere.vertices[i * 3] - sphere.vertices[i * 3 + 1]) < 1e-6 &&
+			sphere.vertices[i * 3] > 0.5 && Math.abs(sphere.vertices[i * 3 + 2]) < 1e-6);
+		expect(scene.normals[index * 3]).toBeCloseTo(4 / Math.sqrt(17), 5);
+		expect(scene.normals[index * 3 + 1]).toBeCloseTo(1 / Math.sqrt(17), 5);
+	});
+
+	it("keeps front faces when transform mirrors", function() {
+		let scene = new Utils.Scene();
+		scene.add(new Utils.Block(1, 1, 1, 0, 0, 0), new Mat4Scale(-1, 1, 1));
+		expect(scene.indices.slice(0, 3)).toEqual([0, 2, 1]);
+		scene.add(new Utils.Face(1, 1, 0, 0, 0), new Mat4Scale(-1, 1, 1));
+		expect(scene.indices.slice(36)).toEqual([8, 8, 8, 9, 10, 11, 11]);
+		expect(scene.normals[26]).toBeCloseTo(1, 5);
+	});
+
+	it("computes bounds of submeshes", function() {
+		let scene = new Utils.Scene();
+		let block = new Utils.Block(1, 2, 3, 0, 0, 0);
+		scene.add(block).add(block, new Mat4Transl(10, 0, 0));
+		expect(scene.submeshes[0].bounds.min).toEqual([-1, -2, -3]);
+		expect(scene.submeshes[1].bounds.min).toEqual([9, -2, -3]);
+		expect(scene.submeshes[1].bounds.center).toEqual([10, 0, 0]);
+		expect(scene.getBounds().max).toEqual([11, 2, 3]);
+	});
+
+	it("culls submeshes outside of the view", function() {
+		let scene = new Utils.Scene();
+		let sphere = new Utils.Sphere(0, 0, 0, 1, 4);
+		scene.add(sphere, new Mat4Transl(0, 0, -5)).add(sphere, new Mat4Transl(0, 0, 5)).add(sphere, new Mat4Transl(50, 0, -5));
+		let visible = scene.cull(new Mat4PerspRH(Math.PI / 2, 1, 0.1, 100));
+		expect(visible).toEqual([scene.submeshes[0]]);
+		expect(scene.submeshes.map((submesh) => submesh.culled)).toEqual([false, true, true]);
+	});
+
+	it("picks the closest object", function() {
+		let scene = new Utils.Scene();
+		let block = new Utils.Block(1, 1, 1, 0, 0, 0);
+		let sphere = new Utils.Sphere(0, 0, 0, 1, 8);
+		scene.add(block, new Mat4Transl(0, 0, -10)).add(sphere, new Mat4Transl(0, 0, -5)).add(block, new Mat4Transl(3, 0, 0));
+
+		let hit = scene.pick({origin: [0.1, 0.1, 0], direction: [0, 0, -1]});
+		expect(hit.object).toBe(sphere);
+		expect(hit.submesh).toBe(scene.submeshes[1]);
+		expect(hit.distance).toBeCloseTo(4.01, 1);
+		expect(hit.point[2]).toBeCloseTo(-hit.distance, 5);
+		let weights = hit.barycentric.reduce((sum, value) => sum + value, 0);
+		expect(weights).toBeCloseTo(1, 5);
+
+		scene.setVisible(sphere, false);
+		hit = scene.pick({origin: [0.1, 0.1, 0], direction: [0, 0, -1]});
+		expect(hit.object).toBe(block);
+		expect(hit.distance).toBeCloseTo(9, 5);
+		// front face of the block
+		expect(hit.triangle === 0 || hit.triangle === 1).toBe(true);
+
+		expect(scene.pick({origin: [0, 5, 0], direction: [0, 0, -1]})).toBe(null);
+	});
+
+	it("converts strips", function() {
+		let scene = new Utils.Scene({convertStrips: true});
+		let a = new Utils.Block(1, 2, 3, 4, 5, 6);
+		let b = new Utils.Face(1, 2, 4, 5, 6);
+		scene.add(a).add(b);
+
+		expect(scene.submeshes.every((submesh) => submesh.mode === Utils.TRIANGLES)).toBe(true);
+		expect(scene.indices.length).toBe(42);
+		expect(scene.indices.slice(36)).toEqual([9, 8, 10, 9, 10, 11]);
+	});
+});
+
+describe("Utils.stripToList", function() {
+
+	it("keeps orientation and skips degenerate triangles", function() {
+		expect(Utils.stripToList([0, 0, 1, 2, 3, 3])).toEqual([1, 0, 2, 1, 2, 3]);
+		expect(Utils.stripToList([2, 0, 3, 1, 1, 4, 4, 2, 5, 3])).toEqual([2, 0, 3, 3, 0, 1, 4, 2, 5, 5, 2, 3]);
+	});
 });
 
 describe("Utils.Block", function() {
@@ -312,10 +1262,10 @@ describe("Utils.Block", function() {
 
 		let block3 = new Utils.Block(1, 2, 3, 4, 5, 6, {color: [0.3, 0.5, 0.7, 0.1]});
 		expect(block3.colors.length).toBe(32);
-		expect(block3.colors[4]).toBe(0.3);
+		expect(block3.colors[4]).toBeCloseTo(0.3, 6);
 		expect(block3.colors[5]).toBe(0.5);
-		expect(block3.colors[6]).toBe(0.7);
-		expect(block3.colors[7]).toBe(0.1);
+		expect(block3.colors[6]).toBeCloseTo(0.7, 6);
+		expect(block3.colors[7]).toBeCloseTo(0.1, 6);
 
 		let block4 = new Utils.Block(1, 2, 3, 4, 5, 6, {color: [1, 0.5, 0], sharedVertices: false});
 		expect(block4.colors.length).toBe(72);
@@ -326,15 +1276,33 @@ describe("Utils.Block", function() {
 
 	it("texture coordinates work", function() {
 		let block1 = new Utils.Block(1, 2, 3, 4, 5, 6);
-		expect(block1.textureCoords).toBe(undefined);
+		expect(block1.textureCoords.length).toBe(16);
 
 		let block2 = new Utils.Block(1, 2, 3, 4, 5, 6, {sharedVertices: false});
 		expect(block2.textureCoords.length).toBe(48);
 	});
 
-	/*it("normals work", function() {
-		// TODO
-	});*/
+	it("normals work", function() {
+		let block1 = new Utils.Block(1, 2, 3, 4, 5, 6);
+		expect(block1.normals.length).toBe(24);
+		expect(block1.normals[21]).toBeCloseTo(-1 / Math.sqrt(3), 5);
+
+		let block2 = new Utils.Block(1, 2, 3, 4, 5, 6, {sharedVertices: false});
+		expect(block2.normals.length).toBe(72);
+		// right face
+		expect(block2.normals.slice(12, 15)).toEqual([1, 0, 0]);
+		// top face
+		expect(block2.normals.slice(45, 48)).toEqual([0, 0, 1]);
+	});
+
+	it("tangents work", function() {
+		let block = new Utils.Block(1, 2, 3, 4, 5, 6, {sharedVertices: false});
+		expect(block.tangents.length).toBe(72);
+		expect(block.bitangents.length).toBe(72);
+		// front face, texture coordinate u goes along x and v along z
+		expect(block.tangents.slice(0, 3)).toEqual([1, 0, 0]);
+		expect(block.bitangents[2]).toBeCloseTo(1, 5);
+	});
 
 	it("indices work", function() {
 		let block1 = new Utils.Block(1, 2, 3, 4, 5, 6);
@@ -371,7 +1339,7 @@ describe("Utils.Face", function() {
 		let face2 = new Utils.Face(1, 2, 4, 5, 6, {color: [0.3, 0.5, 0.7, 0.1]});
 		expect(face2.colors.length).toBe(16);
 		expect(face2.colors[9]).toBe(0.5);
-		expect(face2.colors[10]).toBe(0.7);
+		expect(face2.colors[10]).toBeCloseTo(0.7, 6);
 	});
 
 	it("texture coordinates work", function() {
@@ -379,9 +1347,21 @@ describe("Utils.Face", function() {
 		expect(face1.textureCoords.length).toBe(8);
 	});
 
-	/*it("normals work", function() {
-		// TODO
-	});*/
+	it("normals work", function() {
+		let face1 = new Utils.Face(1, 2, 4, 5, 6);
+		expect(face1.normals).toEqual([0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]);
+
+		let face2 = new Utils.Face(1, 2, 4, 5, 6, {orientation: new Mat3RotX(Math.PI / 2)});
+		expect(face2.normals[1]).toBeCloseTo(-1, 5);
+		expect(face2.normals[2]).toBeCloseTo(0, 5);
+	});
+
+	it("tangents work", function() {
+		let face1 = new Utils.Face(1, 2, 4, 5, 6);
+		expect(face1.tangents.slice(0, 3)).toEqual([1, 0, 0]);
+		// texture coordinate v goes down
+		expect(face1.bitangents[1]).toBeCloseTo(-1, 5);
+	});
 
 	it("indices work", function() {
 		let face1 = new Utils.Face(1, 2, 4, 5, 6);
@@ -394,6 +1374,790 @@ describe("Utils.Face", function() {
 	});
 });
 
+describe("Utils.createGridIndices", function() {
+
+	it("creates triangles", function() {
+		expect(Utils.createGridIndices(2, 1, false)).toEqual([0, 1, 3, 1, 4, 3, 1, 2, 4, 2, 5, 4]);
+		expect(Utils.createGridIndices(1, 1, false, 10)).toEqual([10, 11, 12, 11, 13, 12]);
+	});
+
+	it("creates triangle strip", function() {
+		expect(Utils.createGridIndices(1, 2, true)).toEqual([2, 0, 3, 1, 1, 4, 4, 2, 5, 3]);
+	});
+});
+
+describe("Utils.joinStrips", function() {
+
+	it("keeps orientation of the second strip", function() {
+		expect(Utils.joinStrips([0, 1, 2, 3], [4, 5, 6])).toEqual([0, 1, 2, 3, 3, 4, 4, 5, 6]);
+		expect(Utils.joinStrips([0, 1, 2], [4, 5, 6])).toEqual([0, 1, 2, 2, 2, 4, 4, 5, 6]);
+		expect(Utils.joinStrips([], [4, 5, 6])).toEqual([4, 5, 6]);
+	});
+});
+
+describe("Utils.Cylinder", function() {
+
+	it("creates side and caps", function() {
+		let cylinder = new Utils.Cylinder(1, 2, 3, 1, 4, 8);
+		// side and two caps have 2 * 9 vertices each
+		expect(cylinder.vertices.length).toBe(162);
+		expect(cylinder.colors.length).toBe(162);
+		expect(cylinder.normals.length).toBe(162);
+		expect(cylinder.textureCoords.length).toBe(108);
+		expect(cylinder.vertices.slice(0, 3)).toEqual([2, 2, 1]);
+		expect(cylinder.normals.slice(0, 3)).toEqual([1, 0, 0]);
+		// center of the top cap
+		expect(cylinder.vertices.slice(81, 84)).toEqual([1, 2, 5]);
+		expect(cylinder.normals.slice(81, 84)).toEqual([0, 0, 1]);
+
+		let side = new Utils.Cylinder(1, 2, 3, 1, 4, 8, {caps: false, strip: false});
+		expect(side.vertices.length).toBe(54);
+		expect(side.indices.length).toBe(48);
+	});
+
+	it("can be oriented", function() {
+		let cylinder = new Utils.Cylinder(0, 0, 0, 1, 4, 8, {orientation: new Mat3RotX(Math.PI / 2), caps: false});
+		// axis goes along y axis
+		expect(cylinder.vertices[1]).toBeCloseTo(2, 5);
+		expect(cylinder.vertices[2]).toBeCloseTo(0, 5);
+	});
+});
+
+describe("Utils.Cone", function() {
+
+	it("creates side and base", function() {
+		let cone = new Utils.Cone(0, 0, 0, 1, 2, 4, {strip: false});
+		expect(cone.vertices.length).toBe(60);
+		// apex
+		expect(cone.vertices.slice(15, 18)).toEqual([0, 0, 1]);
+		expect(cone.normals[2]).toBeCloseTo(1 / Math.sqrt(5), 5);
+		// triangles without area in the apex and the center of the base are skipped
+		expect(cone.indices.length).toBe(24);
+	});
+});
+
+describe("Utils.Torus", function() {
+
+	it("creates tube", function() {
+		let torus = new Utils.Torus(0, 0, 0, 2, 0.5, 8, {tubePrecision: 4, strip: false});
+		expect(torus.vertices.length).toBe(135);
+		expect(torus.indices.length).toBe(192);
+		expect(torus.vertices.slice(0, 3)).toEqual([2.5, 0, 0]);
+		// first vertex of the second row is on the top of the tube
+		expect(torus.normals[9 * 3 + 2]).toBeCloseTo(1, 5);
+	});
+});
+
+describe("Utils.Capsule", function() {
+
+	it("has poles in the right distance", function() {
+		let capsule = new Utils.Capsule(0, 0, 0, 1, 2, 8);
+		const z = [];
+		for (let i = 2; i < capsule.vertices.length; i += 3) z.push(capsule.vertices[i]);
+		expect(Math.min.apply(null, z)).toBeCloseTo(-2, 5);
+		expect(Math.max.apply(null, z)).toBeCloseTo(2, 5);
+		expect(capsule.tangents.length).toBe(capsule.vertices.length);
+	});
+});
+
+describe("Utils.Plane", function() {
+
+	it("creates grid", function() {
+		let plane = new Utils.Plane(1, 2, 4, 5, 6, 4, 2, {strip: false});
+		expect(plane.vertices.length).toBe(45);
+		expect(plane.indices.length).toBe(48);
+		expect(plane.vertices.slice(0, 3)).toEqual([3, 3, 6]);
+		expect(plane.vertices.slice(42, 45)).toEqual([5, 7, 6]);
+		expect(plane.textureCoords.slice(0, 2)).toEqual([0, 1]);
+		expect(plane.normals.slice(0, 3)).toEqual([0, 0, 1]);
+	});
+});
+
+describe("Utils.Icosphere", function() {
+
+	it("creates icosahedron", function() {
+		let sphere = new Utils.Icosphere(0, 0, 0, 1, 0);
+		expect(sphere.indices.length).toBe(60);
+	});
+
+	it("subdivides triangles", function() {
+		let sphere = new Utils.Icosphere(1, 2, 3, 2, 2);
+		expect(sphere.indices.length).toBe(960);
+		for (let i = 0; i < sphere.vertices.length; i += 3) {
+			let d = Math.hypot(sphere.vertices[i] - 1, sphere.vertices[i + 1] - 2, sphere.vertices[i + 2] - 3);
+			expect(d).toBeCloseTo(2, 5);
+		}
+	});
+});
+
+describe("Utils.Terrain", function() {
+
+	it("creates grid from heights", function() {
+		let heights = new Float32Array([0, 0, 0, 1, 1, 1, 2, 2, 2]);
+		let terrain = new Utils.Terrain(heights, 1, 2, 3, {scale: 2, heightScale: 3, strip: false});
+		expect(terrain.vertices.length).toBe(27);
+		expect(terrain.indices.length).toBe(24);
+		expect(terrain.vertices.slice(0, 3)).toEqual([-1, 0, 9]);
+		expect(terrain.vertices.slice(12, 15)).toEqual([1, 2, 6]);
+		expect(terrain.textureCoords.slice(0, 2)).toEqual([0, 1]);
+		expect(terrain.normals[12]).toBeCloseTo(0, 5);
+		expect(terrain.normals[13]).toBeCloseTo(1.5 / Math.sqrt(3.25), 5);
+		expect(terrain.normals[14]).toBeCloseTo(1 / Math.sqrt(3.25), 5);
+	});
+
+	it("reads heights from image data", function() {
+		let image = {width: 2, height: 2, data: [255, 255, 255, 255,  51, 102, 153, 255,  0, 0, 0, 255,  0, 0, 0, 255]};
+		let terrain = new Utils.Terrain(image, 0, 0, 0);
+		expect(terrain.vertices[8]).toBeCloseTo(1, 5);
+		expect(terrain.vertices[11]).toBeCloseTo(0.4, 5);
+		expect(terrain.vertices[2]).toBe(0);
+	});
+
+	it("creates chunks with levels of detail", function() {
+		let terrain = new Utils.Terrain(new Float32Array(81), 0, 0, 0, {chunkSize: 4, strip: false});
+		expect(terrain.chunks.length).toBe(4);
+		expect(terrain.chunks[0].levels.map((level) => level.length)).toEqual([96, 24, 6]);
+		expect(terrain.chunks[3].bounds.center).toEqual([2, 2, 0]);
+		expect(terrain.getLevelIndices([-2, -2, 0], 1).length).toBe(96 + 3 * 6);
+		expect(terrain.getLevelIndices([100, 100, 0], 1).length).toBe(4 * 6);
+	});
+
+	it("reads heights from image", function(done) {
+		let image = new Image();
+		image.onload = () => {
+			let terrain = new Utils.Terrain(image, 0, 0, 0);
+			expect(terrain.vertices.length).toBe(image.width * image.height * 3);
+			done();
+		};
+		image.src = "test.png";
+	});
+});
+
+describe("Utils.ParametricSurface", function() {
+
+	it("creates plane with normals by differences", function() {
+		let surface = new Utils.ParametricSurface((u, v) => [u, 2 * v, 0], 2, 2, {strip: false, position: [1, 0, 0]});
+		expect(surface.vertices.length).toBe(27);
+		expect(surface.indices.length).toBe(24);
+		expect(surface.vertices.slice(24, 27)).toEqual([2, 2, 0]);
+		expect(surface.textureCoords.slice(16, 18)).toEqual([1, 0]);
+		for (let i = 0; i < surface.normals.length; i += 3) {
+			expect(surface.normals[i + 2]).toBeCloseTo(1, 5);
+		}
+	});
+
+	it("creates sphere with outward normals", function() {
+		let sphere = new Utils.ParametricSurface((u, v) => [Math.cos(v) * Math.cos(u), Math.cos(v) * Math.sin(u), Math.sin(v)], 8, 6,
+			{uRange: [0, 2 * Math.PI], vRange: [-Math.PI / 2, Math.PI / 2]});
+		for (let i = 0; i < sphere.vertices.length; i++) {
+			expect(sphere.normals[i]).toBeCloseTo(sphere.vertices[i], 2);
+		}
+	});
+
+	it("uses given normals", function() {
+		let surface = new Utils.ParametricSurface((u, v) => [u, v, u * v], 1, 1, {normal: () => [0, 0, -2]});
+		expect(surface.normals.slice(0, 3)).toEqual([0, 0, -1]);
+	});
+});
+
+describe("Utils.Tube", function() {
+
+	it("sweeps circle along polyline", function() {
+		let tube = new Utils.Tube([[0, 0, 0], [1, 0, 0], [1, 1, 0]], 0.5, 6, {strip: false});
+		let v = tube.vertices, n = tube.normals;
+		expect(v.length).toBe(7 * 3 * 3);
+		// the middle ring lies in the plane perpendicular to the average direction
+		for (let i = 7 * 3; i < 14 * 3; i += 3) {
+			expect(Math.hypot(v[i] - 1, v[i + 1], v[i + 2])).toBeCloseTo(0.5, 5);
+			expect(v[i] - 1 + v[i + 1]).toBeCloseTo(0, 5);
+		}
+		// triangles are counter-clockwise from outside
+		for (let i = 0; i < tube.indices.length; i += 3) {
+			let [a, b, c] = [0, 1, 2].map((k) => tube.indices[i + k] * 3);
+			let e1 = [0, 1, 2].map((k) => v[b + k] - v[a + k]), e2 = [0, 1, 2].map((k) => v[c + k] - v[a + k]);
+			let normal = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+			expect(normal[0] * n[a] + normal[1] * n[a + 1] + normal[2] * n[a + 2]).toBeGreaterThan(0);
+		}
+	});
+
+	it("creates caps", function() {
+		let tube = new Utils.Tube([[0, 0, 0], [0, 0, 2]], 1, 4, {caps: true, strip: false});
+		expect(tube.vertices.length).toBe(30 * 3);
+		expect(tube.indices.length).toBe(24 + 2 * 12);
+		[0, 0, -1].forEach((value, k) => expect(tube.normals[10 * 3 + k]).toBeCloseTo(value, 6));
+		[0, 0, 1].forEach((value, k) => expect(tube.normals[29 * 3 + k]).toBeCloseTo(value, 6));
+		expect(tube.vertices.slice(29 * 3, 30 * 3)).toEqual([0, 0, 2]);
+	});
+});
+
+describe("Utils.computeTangents", function() {
+
+	it("creates orthonormal frames for sphere", function() {
+		let sphere = new Utils.Sphere(1, 2, 3, 2, 8, {strip: false});
+		let n = sphere.normals, t = sphere.tangents, b = sphere.bitangents;
+		expect(t.length).toBe(sphere.vertices.length);
+		for (let i = 0; i < n.length; i += 3) {
+			expect(n[i] * t[i] + n[i + 1] * t[i + 1] + n[i + 2] * t[i + 2]).toBeCloseTo(0, 5);
+			expect(b[i] * t[i] + b[i + 1] * t[i + 1] + b[i + 2] * t[i + 2]).toBeCloseTo(0, 5);
+			expect(Math.hypot(t[i], t[i + 1], t[i + 2])).toBeCloseTo(1, 5);
+		}
+	});
+
+	it("skips degenerate triangles of strips", function() {
+		let sphere = new Utils.Sphere(1, 2, 3, 2, 8);
+		expect(sphere.tangents.some(isNaN)).toBe(false);
+		expect(sphere.bitangents.some(isNaN)).toBe(false);
+	});
+});
+
+describe("Utils.computeNormals", function() {
+
+	it("averages normals of triangles", function() {
+		// two triangles of a roof, the ridge gets the average normal
+		let normals = Utils.computeNormals([0, 0, 1, 1, 0, 1, 0, -1, 0, 1, 1, 0], [0, 2, 1, 0, 1, 3]);
+		expect(Array.from(normals.slice(0, 6))).toEqual([0, 0, 1, 0, 0, 1]);
+		expect(normals[6]).toBeCloseTo(0, 5);
+		expect(normals[7]).toBeCloseTo(-Math.SQRT1_2, 5);
+		expect(normals[8]).toBeCloseTo(Math.SQRT1_2, 5);
+	});
+
+	it("keeps orientation of strips", function() {
+		let list = Utils.computeNormals([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0], [0, 1, 2, 2, 1, 3]);
+		let strip = Utils.computeNormals([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0], [0, 1, 2, 3], true);
+		expect(strip).toEqual(list);
+		expect(Array.from(strip.slice(0, 3))).toEqual([0, 0, 1]);
+	});
+});
+
+describe("Utils.Mesh", function() {
+
+	it("fills missing data", function() {
+		let mesh = new Utils.Mesh({vertices: [0, 0, 0, 1, 0, 0, 0, 1, 0], indices: [0, 1, 2]}, {color: [1, 0, 0], name: "triangle"});
+		expect(mesh.name).toBe("triangle");
+		expect(mesh.normals).toEqual([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+		expect(mesh.textureCoords).toEqual([0, 0, 0, 0, 0, 0]);
+		expect(mesh.colors).toEqual([1, 0, 0, 1, 0, 0, 1, 0, 0]);
+		expect(mesh.tangents.length).toBe(9);
+	});
+
+	it("can be added to scene", function() {
+		let scene = new Utils.Scene();
+		scene.add(new Utils.Block(1, 1, 1, 0, 0, 0));
+		scene.add(new Utils.Mesh({vertices: [0, 0, 0, 1, 0, 0, 0, 1, 0], indices: [0, 1, 2]}));
+		expect(scene.colors.length).toBe(scene.vertices.length);
+		expect(scene.textureCoords.length).toBe(scene.vertices.length / 3 * 2);
+		expect(scene.indices.slice(-3)).toEqual([8, 9, 10]);
+	});
+});
+
+describe("Utils.triangulatePolygon", function() {
+
+	it("splits convex polygon", function() {
+		let indices = Utils.triangulatePolygon([[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]]);
+		expect(indices.length).toBe(6);
+		expect(Utils.computeNormals([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0], indices)[2]).toBeCloseTo(1, 5);
+	});
+
+	it("splits concave polygon", function() {
+		// L shape in plane x = 0, clockwise when looking from +x
+		let points = [[0, 0, 0], [0, 0, 2], [0, 1, 2], [0, 1, 1], [0, 2, 1], [0, 2, 0]];
+		let indices = Utils.triangulatePolygon(points);
+		expect(indices.length).toBe(12);
+		let area = 0;
+		for (let i = 0; i < indices.length; i += 3) {
+			let a = points[indices[i]], b = points[indices[i + 1]], c = points[indices[i + 2]];
+			let cross = (b[1] - a[1]) * (c[2] - a[2]) - (b[2] - a[2]) * (c[1] - a[1]);
+			// every triangle has the orientation of the polygon
+			expect(cross).toBeLessThan(0);
+			area += -cross / 2;
+		}
+		expect(area).toBeCloseTo(3, 5);
+	});
+});
+
+describe("Utils.parseMTL", function() {
+
+	it("reads diffuse color and texture", function() {
+		let materials = Utils.parseMTL("newmtl red\nKd 1 0 0\nd 0.5\n\nnewmtl wood\nmap_Kd -s 2 2 1 wood.png", "models/");
+		expect(materials.red).toEqual({name: "red", color: [1, 0, 0], opacity: 0.5, texture: null});
+		expect(materials.wood.color).toEqual([1, 1, 1]);
+		expect(materials.wood.texture).toBe("models/wood.png");
+	});
+
+	it("reads texture path with spaces", function() {
+		let materials = Utils.parseMTL("newmtl wood\nmap_Kd -o 0.5 0.5 -clamp on -mm 0 1 My Textures/old wood.png");
+		expect(materials.wood.texture).toBe("My Textures/old wood.png");
+	});
+});
+
+describe("Utils.parseOBJ", function() {
+	let text = "v 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\nvt 0 0\nvt 1 0\nvt 1 1\nvt 0 1\nvn 0 0 1\n" +
+		"g first\nf 1/1/1 2/2/1 3/3/1 4/4/1\ng second\nusemtl red\nf -4//1 -3//1 -2//1\n";
+
+	it("triangulates faces and shares vertices", function() {
+		let objects = Utils.parseOBJ(text);
+		expect(objects.length).toBe(2);
+		expect(objects[0].name).toBe("first");
+		expect(objects[0].vertices.length).toBe(12);
+		expect(objects[0].indices.length).toBe(6);
+		expect(objects[0].textureCoords).toEqual([0, 0, 1, 0, 1, 1, 0, 1]);
+		expect(objects[0].normals.slice(0, 3)).toEqual([0, 0, 1]);
+	});
+
+	it("resolves negative indices and materials", function() {
+		let red = {name: "red", color: [1, 0, 0], opacity: 1, texture: null};
+		let objects = Utils.parseOBJ(text, {red: red});
+		expect(objects[1].name).toBe("second");
+		expect(objects[1].material).toBe(red);
+		expect(objects[1].vertices).toEqual([0, 0, 0, 1, 0, 0, 1, 1, 0]);
+		expect(objects[1].colors).toEqual([1, 0, 0, 1, 0, 0, 1, 0, 0]);
+	});
+
+	it("computes missing normals", function() {
+		let objects = Utils.parseOBJ("v 0 0 0\nv 0 1 0\nv 0 0 1\nf 1 2 3");
+		expect(objects.length).toBe(1);
+		expect(objects[0].name).toBe("");
+		expect(objects[0].normals).toEqual([1, 0, 0, 1, 0, 0, 1, 0, 0]);
+	});
+});
+
+describe("Utils.decodeDataUri", function() {
+
+	it("decodes base64 data", function() {
+		let data = Utils.decodeDataUri("data:application/octet-stream;base64,AQID/w==");
+		expect(Array.from(new Uint8Array(data))).toEqual([1, 2, 3, 255]);
+	});
+});
+
+describe("Utils.parseGLB", function() {
+
+	it("reads JSON and binary chunks", function() {
+		let json = new TextEncoder().encode("{\"asset\":{}}    ");
+		let data = new DataView(new ArrayBuffer(12 + 8 + json.length + 8 + 4));
+		data.setUint32(0, Utils.GLTF.MAGIC, true);
+		data.setUint32(4, 2, true);
+		data.setUint32(8, data.byteLength, true);
+		data.setUint32(12, json.length, true);
+		data.setUint32(16, 0x4E4F534A, true);
+		new Uint8Array(data.buffer).set(json, 20);
+		data.setUint32(20 + json.length, 4, true);
+		data.setUint32(24 + json.length, 0x004E4942, true);
+		data.setFloat32(28 + json.length, 1.5, true);
+		let glb = Utils.parseGLB(data.buffer);
+		expect(glb.json).toEqual({asset: {}});
+		expect(new Float32Array(glb.binary)[0]).toBe(1.5);
+	});
+
+	it("throws error for other data", function() {
+		expect(() => Utils.parseGLB(new ArrayBuffer(32))).toThrowError(/not binary glTF/);
+	});
+});
+
+describe("Utils.GLTF", function() {
+	// two triangles of a quad, positions are interleaved with normalized colors
+	let buffer = new ArrayBuffer(4 * 16 + 12 + 4);
+	let view = new DataView(buffer);
+	[[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]].forEach((p, i) => {
+		p.forEach((value, k) => view.setFloat32(i * 16 + k * 4, value, true));
+		view.setUint8(i * 16 + 12, 255);
+		view.setUint8(i * 16 + 13, (i % 2) * 255);
+	});
+	[0, 1, 2, 0, 2, 3].forEach((value, i) => view.setUint16(64 + i * 2, value, true));
+	// sparse data, the vertex 3 is moved
+	view.setUint8(76, 3);
+	let json = {
+		scene: 0,
+		scenes: [{nodes: [0]}],
+		nodes: [{translation: [0, 0, 1], children: [1]}, {name: "quad", mesh: 0, rotation: [0, 0, Math.SQRT1_2, Math.SQRT1_2]}],
+		meshes: [{name: "quad", primitives: [{attributes: {POSITION: 0, COLOR_0: 1}, indices: 2, material: 0}]}],
+		materials: [{pbrMetallicRoughness: {baseColorFactor: [1, 0.5, 1, 1], roughnessFactor: 0.25}}],
+		bufferViews: [{buffer: 0, byteLength: 64, byteStride: 16}, {buffer: 0, byteOffset: 64, byteLength: 12}, {buffer: 0, byteOffset: 76, byteLength: 1}],
+		accessors: [
+			{bufferView: 0, componentType: 5126, count: 4, type: "VEC3"},
+			{bufferView: 0, byteOffset: 12, componentType: 5121, normalized: true, count: 4, type: "VEC4"},
+			{bufferView: 1, componentType: 5123, count: 6, type: "SCALAR"},
+			{componentType: 5126, count: 4, type: "VEC2", sparse: {count: 1, indices: {bufferView: 2, componentType: 5121}, values: {bufferView: 0, byteOffset: 16}}}
+		]
+	};
+
+	it("reads accessors", function() {
+		let gltf = new Utils.GLTF(json, [buffer]);
+		expect(Array.from(gltf.getAccessor(0))).toEqual([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]);
+		expect(Array.from(gltf.getAccessor(1).slice(0, 8))).toEqual([1, 0, 0, 0, 1, 1, 0, 0]);
+		expect(gltf.getAccessor(2) instanceof Uint16Array).toBe(true);
+		expect(Array.from(gltf.getAccessor(3))).toEqual([0, 0, 0, 0, 0, 0, 1, 0]);
+	});
+
+	it("creates meshes with materials", function() {
+		let gltf = new Utils.GLTF(json, [buffer]);
+		let mesh = gltf.meshes[0][0];
+		expect(mesh instanceof Utils.Mesh).toBe(true);
+		expect(mesh.indices).toEqual([0, 1, 2, 0, 2, 3]);
+		expect(mesh.colors.slice(0, 6)).toEqual([1, 0, 0, 1, 0.5, 0]);
+		expect(mesh.normals.slice(0, 3)).toEqual([0, 0, 1]);
+		expect(mesh.material.roughnessFactor).toBe(0.25);
+		expect(mesh.material.metallicFactor).toBe(1);
+		expect(mesh.material.baseColorTexture).toBe(null);
+	});
+
+	it("adds nodes transformed by their parents to scene", function() {
+		let gltf = new Utils.GLTF(json, [buffer]);
+		expect(gltf.nodes[1].parent).toBe(gltf.nodes[0]);
+		let scene = gltf.addTo(new Utils.Scene());
+		// rotated by 90 degrees around z axis and moved by the parent
+		let vertices = scene.vertices;
+		[0, 0, 1, 0, 1, 1, -1, 1, 1].forEach((value, i) => expect(vertices[i]).toBeCloseTo(value, 5));
+		expect(scene.submeshes[0].object).toBe(gltf.meshes[0][0]);
+	});
+});
+
+describe("Utils.getTriangles", function() {
+
+	it("converts strips of scene", function() {
+		let scene = new Utils.Scene();
+		scene.add(new Utils.Face(1, 1, 0, 0, 0));
+		scene.add(new Utils.Face(1, 1, 0, 0, 0, {strip: false}));
+		expect(Utils.getTriangles(scene)).toEqual([1, 0, 2, 1, 2, 3, 4, 5, 6, 5, 7, 6]);
+	});
+});
+
+describe("Utils.formatFloat", function() {
+
+	it("gives the shortest string", function() {
+		expect(Utils.formatFloat(new Float32Array([0.3])[0])).toBe("0.3");
+		expect(Utils.formatFloat(-2)).toBe("-2");
+		expect(Utils.formatFloat(1 / 3)).toBe("0.33333333");
+	});
+});
+
+describe("Utils.parseSTL", function() {
+	let text = "solid part\n facet normal 0 0 1\n  outer loop\n   vertex 0 0 0\n   vertex 1 0 0\n   vertex 0 1 0\n  endloop\n endfacet\n" +
+		" facet normal 0 0 0\n  outer loop\n   vertex 0 0 0\n   vertex 0 0 1\n   vertex 1 0 0\n  endloop\n endfacet\nendsolid part\n";
+
+	it("reads ASCII file", function() {
+		let mesh = Utils.parseSTL(text);
+		expect(mesh.name).toBe("part");
+		expect(mesh.vertices.length).toBe(18);
+		expect(mesh.indices).toEqual([0, 1, 2, 3, 4, 5]);
+		expect(mesh.normals.slice(0, 3)).toEqual([0, 0, 1]);
+		// computed normal
+		expect(mesh.normals.slice(9, 12)).toEqual([0, 1, 0]);
+	});
+
+	it("reads ASCII file from ArrayBuffer", function() {
+		let mesh = Utils.parseSTL(new TextEncoder().encode(text).buffer, {color: [0, 1, 0, 0.5]});
+		expect(mesh.vertices.length).toBe(18);
+		expect(mesh.colors.length).toBe(18);
+		expect(mesh.colors.slice(0, 3)).toEqual([0, 1, 0]);
+	});
+});
+
+describe("Utils.writeSTL", function() {
+	let scene = new Utils.Scene();
+	scene.add(new Utils.Block(1, 2, 3, 0, 0, 0, {sharedVertices: false, color: [1, 0, 0]}));
+	scene.add(new Utils.Sphere(0, 0, 5, 1, 4));
+
+	it("writes binary file with colors", function() {
+		let data = Utils.writeSTL(scene);
+		let triangles = Utils.getTriangles(scene).length / 3;
+		expect(data.byteLength).toBe(84 + triangles * 50);
+		let mesh = Utils.parseSTL(data);
+		expect(mesh.vertices.length).toBe(triangles * 9);
+		expect(mesh.colors.slice(0, 3)).toEqual([1, 0, 0]);
+		expect(mesh.vertices.slice(0, 9)).toEqual(Utils.getTriangles(scene).slice(0, 3).map((i) => scene.vertices.slice(i * 3, i * 3 + 3)).flat());
+	});
+
+	it("writes ASCII file", function() {
+		let text = Utils.writeSTL(scene, {binary: false, name: "blocks"});
+		expect(text.indexOf("solid blocks\n")).toBe(0);
+		let mesh = Utils.parseSTL(text);
+		expect(mesh.vertices.length).toBe(Utils.getTriangles(scene).length * 3);
+		expect(mesh.normals.slice(0, 3)).toEqual(scene.normals.slice(0, 3));
+	});
+});
+
+describe("Utils.parsePLY", function() {
+
+	it("reads ASCII file with colors and polygons", function() {
+		let text = "ply\nformat ascii 1.0\ncomment square\nelement vertex 4\nproperty float x\nproperty float y\nproperty float z\n" +
+			"property uchar red\nproperty uchar green\nproperty uchar blue\nelement face 1\nproperty list uchar int vertex_indices\nend_header\n" +
+			"0 0 0 255 0 0\n1 0 0 255 0 0\n1 1 0 0 0 255\n0 1 0 0 0 255\n4 0 1 2 3\n";
+		let mesh = Utils.parsePLY(text);
+		expect(mesh.vertices.length).toBe(12);
+		expect(mesh.indices.length).toBe(6);
+		expect(mesh.colors.slice(6, 9)).toEqual([0, 0, 1]);
+		expect(mesh.normals.slice(0, 3)).toEqual([0, 0, 1]);
+	});
+
+	it("reads ASCII file with UTF-8 comment from ArrayBuffer", function() {
+		let text = "ply\nformat ascii 1.0\ncomment měření č. 5\nelement vertex 3\nproperty float x\nproperty float y\nproperty float z\n" +
+			"element face 1\nproperty list uchar int vertex_indices\nend_header\n7 8 9\n1 0 0\n0 1 0\n3 0 1 2\n";
+		let mesh = Utils.parsePLY(new TextEncoder().encode(text).buffer);
+		expect(mesh.vertices.slice(0, 3)).toEqual([7, 8, 9]);
+		expect(mesh.indices).toEqual([0, 1, 2]);
+	});
+
+	it("rejects big endian files", function() {
+		let text = "ply\nformat binary_big_endian 1.0\nelement vertex 0\nend_header\n";
+		expect(() => Utils.parsePLY(text)).toThrowError(/binary_big_endian/);
+	});
+});
+
+describe("Utils.writePLY", function() {
+	let scene = new Utils.Scene();
+	scene.add(new Utils.Sphere(0, 0, 0, 1, 6, {color: [0, 1, 0]}));
+	scene.add(new Utils.Block(1, 1, 1, 2, 0, 0, {color: [0.2, 0.4, 0.6]}));
+
+	it("writes ASCII file", function() {
+		let mesh = Utils.parsePLY(Utils.writePLY(scene));
+		expect(mesh.vertices).toEqual(scene.vertices);
+		expect(mesh.normals).toEqual(scene.normals);
+		expect(mesh.indices).toEqual(Utils.getTriangles(scene));
+		expect(mesh.colors.slice(0, 3)).toEqual([0, 1, 0]);
+	});
+
+	it("writes binary file", function() {
+		let data = Utils.writePLY(scene, {binary: true, normals: false});
+		let mesh = Utils.parsePLY(data);
+		expect(mesh.vertices).toEqual(scene.vertices);
+		expect(mesh.indices).toEqual(Utils.getTriangles(scene));
+		expect(mesh.colors.slice(-3)).toEqual([51 / 255, 102 / 255, 153 / 255].map(Math.fround));
+	});
+});
+
+describe("Utils.weldVertices", function() {
+	let block = new Utils.Block(1, 2, 3, 0, 0, 0, {sharedVertices: false});
+
+	it("merges vertices of block", function() {
+		let mesh = Utils.weldVertices(block);
+		expect(mesh.vertices.length).toBe(8 * 3);
+		expect(mesh.indices.length).toBe(36);
+		// normals of three faces are averaged
+		mesh.normals.forEach((value) => expect(Math.abs(value)).toBeCloseTo(1 / Math.sqrt(3), 5));
+	});
+
+	it("compares other data", function() {
+		let mesh = Utils.weldVertices(block, 1e-6, {attributes: true});
+		expect(mesh.vertices.length).toBe(24 * 3);
+	});
+
+	it("removes degenerate triangles", function() {
+		let obj = {vertices: [0, 0, 0, 1, 0, 0, 1, 0.0001, 0, 0, 1, 0], indices: [0, 1, 2, 0, 2, 3]};
+		let mesh = Utils.weldVertices(obj, 0.001);
+		expect(mesh.vertices.length).toBe(9);
+		expect(mesh.indices).toEqual([0, 1, 2]);
+	});
+});
+
+describe("Utils.smoothNormals", function() {
+	let block = new Utils.Block(1, 1, 1, 0, 0, 0, {sharedVertices: false});
+
+	it("keeps sharp edges", function() {
+		let mesh = Utils.smoothNormals(block, Math.PI / 4);
+		expect(mesh.vertices.length).toBe(24 * 3);
+		for (let i = 0; i < mesh.normals.length; i += 3) {
+			expect(Math.abs(mesh.normals[i]) + Math.abs(mesh.normals[i + 1]) + Math.abs(mesh.normals[i + 2])).toBeCloseTo(1, 5);
+		}
+	});
+
+	it("smooths all edges", function() {
+		// vertices with different texture coordinates are not merged
+		let mesh = Utils.smoothNormals(block);
+		expect(mesh.vertices.length).toBe(24 * 3);
+		mesh.normals.forEach((value) => expect(Math.abs(value)).toBeCloseTo(1 / Math.sqrt(3), 5));
+	});
+
+	it("smooths seam with positions differing a bit", function() {
+		let mesh = Utils.smoothNormals(new Utils.Cylinder(0, 0, 0, 1, 2, 16, {caps: false, strip: false}));
+		for (let i = 0; i < mesh.normals.length; i += 3) {
+			expect(mesh.normals[i]).toBeCloseTo(mesh.vertices[i], 5);
+			expect(mesh.normals[i + 1]).toBeCloseTo(mesh.vertices[i + 1], 5);
+		}
+	});
+});
+
+describe("Utils.splitVertices", function() {
+
+	it("creates vertices for every triangle", function() {
+		let sphere = new Utils.Sphere(0, 0, 0, 1, 6);
+		let mesh = Utils.splitVertices(sphere);
+		let triangles = Utils.getTriangles(sphere);
+		expect(mesh.vertices.length).toBe(triangles.length * 3);
+		expect(mesh.textureCoords.slice(0, 2)).toEqual(sphere.textureCoords.slice(triangles[0] * 2, triangles[0] * 2 + 2));
+		// all three vertices of triangle have the same normal
+		expect(mesh.normals.slice(0, 3)).toEqual(mesh.normals.slice(6, 9));
+	});
+});
+
+describe("Utils.optimizeIndices", function() {
+
+	it("reorders shuffled triangles", function() {
+		let grid = Utils.createGridIndices(40, 40, false);
+		let triangles = [];
+		for (let i = 0; i < grid.length; i += 3) {
+			triangles.push(grid.slice(i, i + 3));
+		}
+		// deterministic shuffle
+		triangles.sort((a, b) => ((a[0] * 7919 + a[1]) % 101) - ((b[0] * 7919 + b[1]) % 101));
+		let shuffled = [].concat.apply([], triangles);
+		let optimized = Utils.optimizeIndices(shuffled);
+		expect(optimized.length).toBe(shuffled.length);
+		expect(Utils.getCacheMissRatio(optimized)).toBeLessThan(Utils.getCacheMissRatio(shuffled) / 2);
+		expect(Utils.getCacheMissRatio(optimized)).toBeLessThan(1);
+		// the same triangles with the same orientation
+		let key = (t) => {
+			let i = t.indexOf(Math.min.apply(null, t));
+			return [t[i], t[(i + 1) % 3], t[(i + 2) % 3]].join(",");
+		};
+		let keys = (indices) => {
+			let result = [];
+			for (let i = 0; i < indices.length; i += 3) {
+				result.push(key(indices.slice(i, i + 3)));
+			}
+			return result.sort();
+		};
+		expect(keys(optimized)).toEqual(keys(shuffled));
+	});
+});
+
+describe("Utils.getCacheMissRatio", function() {
+
+	it("counts transformed vertices", function() {
+		expect(Utils.getCacheMissRatio([0, 1, 2])).toBe(3);
+		expect(Utils.getCacheMissRatio([0, 1, 2, 2, 1, 3])).toBe(2);
+		expect(Utils.getCacheMissRatio([0, 1, 2, 3, 4, 5, 0, 1, 2], 3)).toBe(3);
+	});
+});
+
+describe("Utils.createEdgeIndices", function() {
+
+	it("creates unique edges of triangles", function() {
+		let lines = Utils.createEdgeIndices(new Utils.Block(1, 1, 1, 0, 0, 0).indices);
+		// 12 edges and 6 diagonals
+		expect(lines.length).toBe(18 * 2);
+	});
+
+	it("skips degenerate triangles of strips", function() {
+		let strip = Utils.joinStrips([0, 1, 2, 3], [4, 5, 6, 7]);
+		let lines = Utils.createEdgeIndices(strip, true);
+		expect(lines).toEqual([0, 1, 1, 2, 2, 0, 2, 3, 3, 1, 4, 5, 5, 6, 6, 4, 6, 7, 7, 5]);
+	});
+});
+
+describe("Utils.createFeatureEdges", function() {
+
+	it("finds edges of block with separate faces", function() {
+		let block = new Utils.Block(1, 2, 3, 0, 0, 0, {sharedVertices: false});
+		expect(Utils.createFeatureEdges(block).length).toBe(12 * 2);
+	});
+
+	it("finds boundary edges", function() {
+		let plane = new Utils.Plane(2, 2, 0, 0, 0, 4, 4);
+		expect(Utils.createFeatureEdges(plane).length).toBe(16 * 2);
+		expect(Utils.createFeatureEdges(new Utils.Sphere(0, 0, 0, 1, 32)).length).toBe(0);
+	});
+});
+
+describe("Utils.Normals", function() {
+
+	it("creates lines of normals", function() {
+		let face = new Utils.Face(1, 1, 0, 0, 0);
+		let data = Utils.Normals.createData(face, 0.5, [1, 0, 0]);
+		expect(data.length).toBe(4 * 12);
+		let v = face.vertices, n = face.normals;
+		expect(Array.from(data.slice(0, 12))).toEqual([v[0], v[1], v[2], 1, 0, 0, v[0] + n[0] / 2, v[1] + n[1] / 2, v[2] + n[2] / 2, 1, 0, 0]);
+	});
+});
+
+describe("Utils.getDataFromFileAsync", function() {
+
+	it("resolves with content of the file", function(done) {
+		Utils.getDataFromFileAsync("webgl-utils.test.html").then((text) => {
+			expect(text).toContain("Jasmine tests");
+			done();
+		});
+	});
+
+	it("rejects when file does not exist", function(done) {
+		Utils.getDataFromFileAsync("missing.txt").catch((e) => {
+			expect(e.message).toContain("missing.txt");
+			done();
+		});
+	});
+});
+
+describe("Utils.loadShaderIncludes", function() {
+
+	it("loads nested includes from their directories", function(done) {
+		Utils.loadShaderIncludes("#include \"lights/point.glsl\"", "shaders/").then((includes) => {
+			expect(Object.keys(includes).sort()).toEqual(["lights/common.glsl", "lights/point.glsl", "noise.glsl"]);
+			let result = Utils.preprocessShader("#include \"lights/point.glsl\"", {includes: includes});
+			expect(result.source).toContain("#define LIGHT_SCALE 2.0");
+			expect(result.source).toContain("float noise() { return 0.5; }");
+			done();
+		});
+	});
+});
+
+describe("Utils.loadOBJ", function() {
+
+	it("loads objects with materials", function(done) {
+		Utils.loadOBJ("cube.obj", (objects) => {
+			expect(objects.length).toBe(2);
+			expect(objects[0].material.texture).toBe("test.png");
+			expect(objects[0].indices.length).toBe(12);
+			expect(objects[1].colors.slice(0, 3)).toEqual([1, 0, 0]);
+			expect(objects[1].vertices.length).toBe(16 * 3);
+			done();
+		});
+	});
+
+	it("skips missing MTL file", function(done) {
+		spyOn(console, "warn");
+		Utils.loadOBJ("triangle.obj", (objects) => {
+			expect(objects.length).toBe(1);
+			expect(objects[0].material).toBe(null);
+			expect(objects[0].colors.slice(0, 3)).toEqual([1, 1, 1]);
+			expect(console.warn).toHaveBeenCalled();
+			done();
+		});
+	});
+
+	it("reports missing OBJ file", function(done) {
+		Utils.loadOBJ("missing.obj", () => done.fail("loaded"), {error: (error) => {
+			expect(error instanceof Error).toBe(true);
+			done();
+		}});
+	});
+});
+
+describe("Utils.loadGLTF", function() {
+	let canvas = document.createElement("canvas");
+	let gl = Utils.initWebGL(canvas);
+
+	it("loads file with external buffer", function(done) {
+		Utils.loadGLTF("quad.gltf", {gl: gl}).then((gltf) => {
+			expect(gltf.meshes[0][0].vertices.length).toBe(12);
+			expect(gltf.materials[0].metallicFactor).toBe(0.5);
+			expect(gltf.materials[0].baseColorTexture.texture).toBe(gltf.textures[0]);
+			expect(gltf.textures[0] instanceof WebGLTexture).toBe(true);
+			expect(gltf.textures[0].image.complete).toBe(true);
+			expect(gltf.nodes[1].worldMatrix.mat[3][0]).toBe(1);
+			done();
+		});
+	});
+
+	it("loads binary file", function(done) {
+		Utils.loadGLTF("quad.glb", {gl: gl}).then((gltf) => {
+			expect(gltf.meshes[0][0].indices).toEqual([0, 1, 2, 0, 2, 3]);
+			expect(gltf.meshes[0][0].colors.slice(0, 3)).toEqual([1, 0, 0]);
+			expect(gltf.textures[0].image instanceof Image).toBe(true);
+			expect(gltf.textures[0].sampler.magFilter).toBe(9729);
+			done();
+		});
+	});
+});
+
 describe("Utils.replaceComma", function() {
 
 	it("correctly replaces comma in number", function() {
@@ -12,28 +12,303 @@
 const Utils = {};
 
 Utils.WebGL1 = "experimental-webgl";
+Utils.WebGL = "webgl";
 Utils.WebGL2 = "webgl2";
 
+/**
+ * Context names tried by Utils.createContext when no other list is given, the most capable first
+ * @since 2.4.0
+ * @type {(string)[]}
+ */
+Utils.contextFallback = [Utils.WebGL2, Utils.WebGL, Utils.WebGL1];
+
 /**
  * Initialization of WebGL
+ * Shows an alert when it fails, use Utils.createContext or Utils.createContextAsync for a non-blocking variant.
  * @param  {HTMLCanvasElement}              canvas canvas to draw on
  * @param  {string} version                 WebGL version to be initialized, since 2.1
  * @param  {Object} args                    optional parameter containing arguments for WebGL initialization
  * @return {WebGLRenderingContext,boolean}  WebGL context or false if error occurs
  */
 Utils.initWebGL = function(canvas, version, args) {
-	let gl;
-	try {
-		if (!version) version = Utils.WebGL1;
-		gl = canvas.getContext(version, args);
-	} catch(e) {
-		console.log(e);
-	}
-	if (!gl) {
+	if (!version) version = Utils.WebGL1;
+	const report = Utils.createContext(canvas, {
+		versions: [version],
+		attributes: args,
+		error: (e) => console.log(e)
+	});
+	if (report === null) {
 		window.alert("Initialization of WebGL was not successful. Your browser probably doesn't support it.");
 		return false;
 	}
-	return gl;
+	return report.gl;
+};
+
+/**
+ * Creation of WebGL context which tries several context names one after another.
+ * It never alerts, failure is reported through the error callback and the null return value.
+ * @since 2.4.0
+ * @param  {HTMLCanvasElement} canvas canvas to draw on
+ * @param  {Object} args              optional arguments
+ *                                    - versions {(string)[]} context names to try in this order (default Utils.contextFallback)
+ *                                    - attributes {Object} context attributes passed to getContext, e.g. {antialias: true}
+ *                                    - error {Function} called with an Error when no context could be created;
+ *                                                       the error has "tried" and "messages" properties with details
+ * @return {Object,null}              null if no context was created, otherwise an object with properties
+ *                                    - gl {WebGLRenderingContext,WebGL2RenderingContext} the context
+ *                                    - contextName {string} name the context was created with
+ *                                    - version {number} 1 or 2
+ */
+Utils.createContext = function(canvas, args) {
+	if (args === undefined) args = {};
+	if (args.versions === undefined) args.versions = Utils.contextFallback;
+
+	// browsers may explain the failure only through this event
+	let messages = [];
+	const onCreationError = function(e) {
+		if (e.statusMessage) messages.push(e.statusMessage);
+	};
+	if (canvas.addEventListener) canvas.addEventListener("webglcontextcreationerror", onCreationError, false);
+
+	let report = null;
+	for (let i = 0; i < args.versions.length && report === null; i++) {
+		const name = args.versions[i];
+		let gl = null;
+		try {
+			gl = canvas.getContext(name, args.attributes);
+		} catch (e) {
+			messages.push(name + ": " + e.message);
+		}
+		if (gl) {
+			report = {
+				gl: gl,
+				contextName: name,
+				// "experimental-webgl2" and similar names give WebGL 2 too
+				version: (typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext) ? 2 : 1
+			};
+		}
+	}
+
+	if (canvas.removeEventListener) canvas.removeEventListener("webglcontextcreationerror", onCreationError, false);
+
+	if (report === null) {
+		let x = "Utils.createContext: WebGL context could not be created. Tried: " + args.versions.join(", ") + ".";
+		if (messages.length > 0) x += "\n" + messages.join("\n");
+		const error = new Error(x);
+		error.tried = args.versions.slice();
+		error.messages = messages;
+		if (typeof args.error === "function") args.error(error);
+	}
+	return report;
+};
+
+/**
+ * Promise variant of Utils.createContext
+ * @since 2.4.0
+ * @param  {HTMLCanvasElement} canvas canvas to draw on
+ * @param  {Object} args              same arguments as for Utils.createContext, the error callback is still called if set
+ * @return {Promise}                  resolved with the same object Utils.createContext returns, rejected with the Error
+ */
+Utils.createContextAsync = function(canvas, args) {
+	if (args === undefined) args = {};
+	return new Promise((resolve, reject) => {
+		const errorCallback = args.error;
+		const report = Utils.createContext(canvas, Object.assign({}, args, {
+			error: (e) => {
+				if (typeof errorCallback === "function") errorCallback(e);
+				reject(e);
+			}
+		}));
+		if (report !== null) resolve(report);
+	});
+};
+
+/**
+ * Check if the context is WebGL 2 context
+ * @since 2.4.0
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @return {boolean}                  true for WebGL 2
+ */
+Utils.isWebGL2 = function(gl) {
+	if (typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext) return true;
+	const version = gl.getParameter(gl.VERSION);
+	return typeof version === "string" && version.indexOf("WebGL 2") === 0;
+};
+
+/**
+ * Get a report about the GPU, its limits and supported features; useful for choosing code paths and for bug reports.
+ * Extensions needed for testing of float render targets are enabled by this function.
+ * @since 2.4.0
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @return {Object}                   plain object with properties
+ *                                    - version {number} 1 or 2
+ *                                    - versionString, shadingLanguageVersion, vendor, renderer {string}
+ *                                    - unmaskedVendor, unmaskedRenderer {string,null} null if WEBGL_debug_renderer_info is not available
+ *                                    - limits {Object} values of getParameter, names of parameters are the keys
+ *                                    - extensions {(string)[]} supported extensions
+ *                                    - precision {Object} "vertex" and "fragment" objects with "lowFloat", "mediumFloat", "highFloat",
+ *                                                         "lowInt", "mediumInt" and "highInt" objects with rangeMin, rangeMax and precision
+ *                                    - floatTexture, halfFloatTexture {boolean} if float (half-float) textures can be created
+ *                                    - floatRenderTarget, halfFloatRenderTarget {boolean,null} if it is possible to render into them;
+ *                                                          null if WebGL errors of previous calls were pending, read gl.getError
+ *                                                          before calling this function (see Utils.checkRenderTarget)
+ */
+Utils.getCapabilities = function(gl) {
+	const webgl2 = Utils.isWebGL2(gl);
+	const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+
+	let capabilities = {
+		version: webgl2 ? 2 : 1,
+		versionString: gl.getParameter(gl.VERSION),
+		shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+		vendor: gl.getParameter(gl.VENDOR),
+		renderer: gl.getParameter(gl.RENDERER),
+		unmaskedVendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : null,
+		unmaskedRenderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null,
+		limits: {},
+		extensions: gl.getSupportedExtensions() || [],
+		precision: {}
+	};
+
+	let limits = [
+		"MAX_TEXTURE_SIZE", "MAX_CUBE_MAP_TEXTURE_SIZE", "MAX_RENDERBUFFER_SIZE", "MAX_VIEWPORT_DIMS",
+		"MAX_VERTEX_ATTRIBS", "MAX_VERTEX_UNIFORM_VECTORS", "MAX_FRAGMENT_UNIFORM_VECTORS", "MAX_VARYING_VECTORS",
+		"MAX_TEXTURE_IMAGE_UNITS", "MAX_VERTEX_TEXTURE_IMAGE_UNITS", "MAX_COMBINED_TEXTURE_IMAGE_UNITS",
+		"ALIASED_LINE_WIDTH_RANGE", "ALIASED_POINT_SIZE_RANGE", "SAMPLES"
+	];
+	if (webgl2) {
+		limits.push(
+			"MAX_3D_TEXTURE_SIZE", "MAX_ARRAY_TEXTURE_LAYERS", "MAX_DRAW_BUFFERS", "MAX_COLOR_ATTACHMENTS", "MAX_SAMPLES",
+			"MAX_UNIFORM_BUFFER_BINDINGS", "MAX_UNIFORM_BLOCK_SIZE", "MAX_ELEMENT_INDEX", "MAX_TEXTURE_LOD_BIAS",
+			"MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS", "MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS"
+		);
+	}
+	for (let i = 0; i < limits.length; i++) {
+		let value = gl.getParameter(gl[limits[i]]);
+		// typed arrays are converted so the report can be serialized with JSON.stringify
+		if (value !== null && typeof value === "object" && value.length !== undefined) value = Array.prototype.slice.call(value);
+		capabilities.limits[limits[i]] = value;
+	}
+	const anisotropic = gl.getExtension("EXT_texture_filter_anisotropic");
+	if (anisotropic) {
+		capabilities.limits.MAX_TEXTURE_MAX_ANISOTROPY_EXT = gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT);
+	}
+
+	const shaders = {vertex: gl.VERTEX_SHADER, fragment: gl.FRAGMENT_SHADER};
+	const precisions = {
+		lowFloat: gl.LOW_FLOAT, mediumFloat: gl.MEDIUM_FLOAT, highFloat: gl.HIGH_FLOAT,
+		lowInt: gl.LOW_INT, mediumInt: gl.MEDIUM_INT, highInt: gl.HIGH_INT
+	};
+	for (let shader in shaders) {
+		capabilities.precision[shader] = {};
+		for (let precision in precisions) {
+			const format = gl.getShaderPrecisionFormat(shaders[shader], precisions[precision]);
+			capabilities.precision[shader][precision] = (format === null) ? null : {
+				rangeMin: format.rangeMin,
+				rangeMax: format.rangeMax,
+				precision: format.precision
+			};
+		}
+	}
+
+	if (webgl2) {
+		// float textures are core in WebGL 2, rendering into them needs the extension
+		capabilities.floatTexture = true;
+		capabilities.halfFloatTexture = true;
+		const colorBufferFloat = gl.getExtension("EXT_color_buffer_float") !== null;
+		capabilities.floatRenderTarget = colorBufferFloat && Utils.checkRenderTarget(gl, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+		capabilities.halfFloatRenderTarget = colorBufferFloat && Utils.checkRenderTarget(gl, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
+	} else {
+		const textureFloat = gl.getExtension("OES_texture_float");
+		const textureHalfFloat = gl.getExtension("OES_texture_half_float");
+		gl.getExtension("WEBGL_color_buffer_float");
+		gl.getExtension("EXT_color_buffer_half_float");
+		capabilities.floatTexture = textureFloat !== null;
+		capabilities.halfFloatTexture = textureHalfFloat !== null;
+		capabilities.floatRenderTarget = textureFloat !== null && Utils.checkRenderTarget(gl, gl.RGBA, gl.RGBA, gl.FLOAT);
+		capabilities.halfFloatRenderTarget = textureHalfFloat !== null &&
+			Utils.checkRenderTarget(gl, gl.RGBA, gl.RGBA, textureHalfFloat.HALF_FLOAT_OES);
+	}
+	return capabilities;
+};
+
+/**
+ * Check if it is possible to render into a texture of given format by creating a 1x1 framebuffer.
+ * Bindings of texture and framebuffer are restored afterwards. Errors generated by the check are cleared.
+ * The check runs only if there are no WebGL errors of previous calls, because they could not be told apart
+ * from errors of the check. Pending errors are reported by console.warn (gl.getError does not return them any more)
+ * and the result is inconclusive then.
+ * @since 2.4.0
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @param  {number} internalFormat    internal format of the texture, e.g. gl.RGBA32F
+ * @param  {number} format            format of the texture, e.g. gl.RGBA
+ * @param  {number} type              type of the texture, e.g. gl.FLOAT
+ * @return {boolean,null}             true if the framebuffer is complete, null if errors of previous calls were pending
+ */
+Utils.checkRenderTarget = function(gl, internalFormat, format, type) {
+	const readErrors = () => {
+		let errors = [];
+		let error;
+		while ((error = gl.getError()) !== gl.NO_ERROR && !gl.isContextLost()) {
+			errors.push(error);
+		}
+		return errors;
+	};
+	const pending = readErrors();
+	if (pending.length > 0) {
+		window.console.warn("Utils.checkRenderTarget: WebGL errors of previous calls were pending, the format was not checked: " +
+			pending.map((error) => "0x" + error.toString(16)).join(", ") + ".");
+		return null;
+	}
+
+	const oldTexture = gl.getParameter(gl.TEXTURE_BINDING_2D);
+	const oldFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+
+	const texture = gl.createTexture();
+	gl.bindTexture(gl.TEXTURE_2D, texture);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+	gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, 1, 1, 0, format, type, null);
+	const framebuffer = gl.createFramebuffer();
+	gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+	gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+	const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+
+	gl.bindFramebuffer(gl.FRAMEBUFFER, oldFramebuffer);
+	gl.bindTexture(gl.TEXTURE_2D, oldTexture);
+	gl.deleteFramebuffer(framebuffer);
+	gl.deleteTexture(texture);
+	// unsupported format generates an error which should not leak to the application
+	readErrors();
+	return complete;
+};
+
+/**
+ * Enable extensions which are required by an application
+ * @since 2.4.0
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @param  {(string)[]} names         names of required extensions
+ * @return {Object}                   extension objects, names of extensions are the keys
+ * @throws {Error}                    If some of the extensions are not supported; list of them is in "missing" property
+ */
+Utils.requireExtensions = function(gl, names) {
+	let extensions = {};
+	let missing = [];
+	for (let i = 0; i < names.length; i++) {
+		const ext = gl.getExtension(names[i]);
+		if (ext) {
+			extensions[names[i]] = ext;
+		} else {
+			missing.push(names[i]);
+		}
+	}
+	if (missing.length > 0) {
+		const error = new Error("Utils.requireExtensions: required WebGL extensions are not supported: " + missing.join(", ") + ".");
+		error.missing = missing;
+		error.extensions = extensions;
+		throw error;
+	}
+	return extensions;
 };
 
 /**
@@ -53,6 +328,163 @@ Utils.initRequestAnimationFrame = function(fps) {
 	}
 };
 
+/**
+ * Object keeping WebGL resources alive across a loss of the context (e.g. after a GPU reset).
+ * Resources are registered with a function creating them, all of them are created again
+ * in order of registration when the context is restored. The render loop is paused while the context is lost.
+ * @since 2.4.0
+ * @param {WebGLRenderingContext} gl WebGL context, events are listened on its canvas
+ * @param {Object} args              optional arguments
+ *                                   - lost {Function} called with the event when the context is lost
+ *                                   - restored {Function} called with the event after all resources were created again
+ * @constructor
+ */
+Utils.ContextManager = function(gl, args) {
+	if (args === undefined) args = {};
+
+	this.gl = gl;
+	this.canvas = gl.canvas;
+	this.resources = [];
+	this.contextLost = false;
+	this.lostCallback = args.lost;
+	this.restoredCallback = args.restored;
+
+	this.render = null;
+	this.running = false;
+	this.framePending = false;
+
+	this.onContextLost = (e) => {
+		// without this the browser does not restore the context at all
+		e.preventDefault();
+		this.contextLost = true;
+		for (let i = 0; i < this.resources.length; i++) {
+			this.resources[i].value = null;
+		}
+		if (typeof this.lostCallback === "function") this.lostCallback(e);
+	};
+	this.onContextRestored = (e) => {
+		this.contextLost = false;
+		this.recreate();
+		if (typeof this.restoredCallback === "function") this.restoredCallback(e);
+		this.requestFrame();
+	};
+	this.canvas.addEventListener("webglcontextlost", this.onContextLost, false);
+	this.canvas.addEventListener("webglcontextrestored", this.onContextRestored, false);
+};
+
+/**
+ * Register a resource, it is created immediately (unless the context is lost now)
+ * @param  {Function} create  function called with the context, returns the resource (program, buffer, texture, ...)
+ * @param  {Function} destroy optional function called with the context and the resource on unregistering
+ * @return {Object}           handle of the resource, the current resource is in its "value" property
+ */
+Utils.ContextManager.prototype.register = function(create, destroy) {
+	const resource = {
+		value: null,
+		create: create,
+		destroy: destroy
+	};
+	if (!this.contextLost) resource.value = create(this.gl);
+	this.resources.push(resource);
+	return resource;
+};
+
+/**
+ * Remove a resource from the manager, its destroy function is called if the context is not lost
+ * @param {Object} resource handle returned by register method
+ */
+Utils.ContextManager.prototype.unregister = function(resource) {
+	const i = this.resources.indexOf(resource);
+	if (i === -1) return;
+	this.resources.splice(i, 1);
+	if (!this.contextLost && typeof resource.destroy === "function") {
+		resource.destroy(this.gl, resource.value);
+	}
+	resource.value = null;
+};
+
+/**
+ * Create again all registered resources, called automatically when the context is restored
+ */
+Utils.ContextManager.prototype.recreate = function() {
+	for (let i = 0; i < this.resources.length; i++) {
+		this.resources[i].value = this.resources[i].create(this.gl);
+	}
+};
+
+/**
+ * Check if the context is lost at this moment
+ * @return {boolean} true if lost
+ */
+Utils.ContextManager.prototype.isContextLost = function() {
+	return this.contextLost;
+};
+
+/**
+ * Start the render loop. Uses window.requestAnimFrame if initialized by Utils.initRequestAnimationFrame,
+ * otherwise window.requestAnimationFrame. No frames are requested while the context is lost.
+ * @param {Function} render function to call every frame
+ */
+Utils.ContextManager.prototype.start = function(render) {
+	this.render = render;
+	this.running = true;
+	this.requestFrame();
+};
+
+/**
+ * Stop the render loop
+ */
+Utils.ContextManager.prototype.stop = function() {
+	this.running = false;
+};
+
+/**
+ * Request next frame of the render loop if it is running, context is not lost and no frame is already requested
+ */
+Utils.ContextManager.prototype.requestFrame = function() {
+	if (!this.running || this.contextLost || this.framePending) return;
+	this.framePending = true;
+	const raf = window.requestAnimFrame || window.requestAnimationFrame;
+	raf((time) => {
+		this.framePending = false;
+		if (!this.running || this.contextLost) return;
+		this.render(time);
+		this.requestFrame();
+	});
+};
+
+/**
+ * Simulate loss of the context with WEBGL_lose_context extension, useful for testing
+ * @return {boolean} false if the extension is not available
+ */
+Utils.ContextManager.prototype.loseContext = function() {
+	const ext = this.gl.getExtension("WEBGL_lose_context");
+	if (!ext) return false;
+	this.loseContextExtension = ext;
+	ext.loseContext();
+	return true;
+};
+
+/**
+ * Restore the context lost by loseContext method
+ * @return {boolean} false if the context was not lost by loseContext method
+ */
+Utils.ContextManager.prototype.restoreContext = function() {
+	// the extension cannot be obtained from a lost context, so the one used for losing is kept
+	if (!this.loseContextExtension) return false;
+	this.loseContextExtension.restoreContext();
+	return true;
+};
+
+/**
+ * Stop the render loop and remove listeners from the canvas
+ */
+Utils.ContextManager.prototype.dispose = function() {
+	this.stop();
+	this.canvas.removeEventListener("webglcontextlost", this.onContextLost, false);
+	this.canvas.removeEventListener("webglcontextrestored", this.onContextRestored, false);
+};
+
 /**
  * Function for initialization of shaders
  * @param  {WebGLRenderingContext} gl WebGL context
@@ -60,12 +492,21 @@ Utils.initRequestAnimationFrame = function(fps) {
  * @param  {string} vsId              id of an element that contains vertex shader
  * @param  {string} fsId              id of an element that contains fragment shader
  * @param  {boolean} file             true/false if shaders should be loaded from file, since 2.1
+ * @param  {Object} args              optional arguments, since 2.4.0
+ *                                    - defines {Object} macros to inject, see Utils.preprocessShader
+ *                                    - includes {Object,Function} sources of included files, see Utils.preprocessShader
+ *                                    - alert {boolean} if errors should be alerted (default true)
+ *                                    - translate {boolean} if shaders should be translated to GLSL version of the context,
+ *                                                          see Utils.translateShader (default false)
  * @return {boolean}                  true if compilation was successful else it throws exception
- * @throws {SyntaxError}              If compilation of shaders failed or shaders were not found
+ * @throws {SyntaxError}              If compilation of shaders failed or shaders were not found,
+ *                                    entries of compilation errors are in "errors" property (see Utils.parseShaderLog)
  */
-Utils.initShaders = function(gl, program, vsId, fsId, file) {
+Utils.initShaders = function(gl, program, vsId, fsId, file, args) {
+	if (args === undefined) args = {};
+	if (args.alert === undefined) args.alert = true;
+	let errors = [];
 	let initShader = function(id, type, file) {
-		const shader = gl.createShader(type);
 		let value;
 		if (file) {
 			const request = new XMLHttpRequest();
@@ -87,358 +528,2712 @@ Utils.initShaders = function(gl, program, vsId, fsId, file) {
 			x += " shader was not found! Requested ";
 			x += (file) ? "file" : "element";
 			x += " '" + id + "' was not found.";
-			window.alert(x);
+			if (args.alert) window.alert(x);
 			throw new Error(x);
 		}
-		gl.shaderSource(shader, value);
-		gl.compileShader(shader);
-		// window.console.log(gl.getExtension('WEBGL_debug_shaders').getTranslatedShaderSource(shader));
-		if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-			let x = (type === gl.VERTEX_SHADER) ? "Vertex shader error\n" : "Fragment shader error\n";
-			x += gl.getShaderInfoLog(shader);
-			window.alert(x);
-			window.console.log(x);
-			return false;
-		} else {
-			gl.attachShader(program, shader);
+		let preprocessed;
+		try {
+			preprocessed = Utils.preprocessShader(value, {name: id, defines: args.defines, includes: args.includes});
+		} catch (e) {
+			if (args.alert) window.alert(e.message);
+			throw e;
+		}
+		try {
+			gl.attachShader(program, Utils.compileShader(gl, type, preprocessed.source, {
+				lineMap: preprocessed.lineMap,
+				translate: args.translate
+			}));
 			return true;
+		} catch (e) {
+			if (args.alert) window.alert(e.message);
+			errors.push(e);
+			return false;
 		}
 	};
 	// check FS even if VS compilation failed (so it shows errors for both at once)
 	const result = (initShader(vsId, gl.VERTEX_SHADER, file)) & (initShader(fsId, gl.FRAGMENT_SHADER, file));
 	if (!result) {
-		throw new SyntaxError("Shader syntax error.");
+		const error = new SyntaxError("Shader syntax error.\n" + errors.map((e) => e.message).join("\n"));
+		error.errors = errors.reduce((all, e) => all.concat(e.errors || []), []);
+		throw error;
 	} else {
 		return true;
 	}
 };
 
 /**
- * Function for initialization of a shader for compute program
- * @since 2.3.0
- * @param  {WebGL2ComputeRenderingContext} gl WebGL context
- * @param  {WebGLProgram} program    		  WebGL program
- * @param  {string} file              		  path to a file with the compute shader
- * @return {boolean}                  		  true if compilation was successful else it throws exception
- * @throws {SyntaxError}              		  If compilation of shaders failed or shaders were not found
+ * Asynchronous variant of Utils.initShaders, both shaders are loaded in parallel and the program is linked.
+ * Nothing is alerted, all errors are reported by rejecting the returned Promise.
+ * @since 2.4.0
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @param  {WebGLProgram} program     WebGL program
+ * @param  {string} vs                vertex shader: id of an element, path to a file or the source itself (see args.source)
+ * @param  {string} fs                fragment shader: id of an element, path to a file or the source itself (see args.source)
+ * @param  {Object} args              optional arguments
+ *                                    - source {string} where the shaders are: "element" (default), "file" or "string"
+ *                                    - defines {Object} macros to inject, see Utils.preprocessShader
+ *                                    - includes {Object,Function} sources of included files, see Utils.preprocessShader;
+ *                                                                 if not set and shaders are loaded from files,
+ *                                                                 included files are loaded relative to the shader
+ *                                    - translate {boolean} if shaders should be translated to GLSL version of the context,
+ *                                                          see Utils.translateShader (default false)
+ * @return {Promise}                  resolved with the linked program;
+ *                                    rejected with SyntaxError if compilation or linking failed (with "errors" property as Utils.initShaders),
+ *                                    with Error if shaders were not found
  */
-Utils.initComputeShader = function(gl, program, file) {
-	const shader = gl.createShader(gl.COMPUTE_SHADER);
-	let value;
-	const request = new XMLHttpRequest();
-	request.open('GET', file, false);
-	try {
-		request.send(null);
-		if (request.readyState === 4 && request.status === 200) {
-			value = request.responseText;
+Utils.initShadersAsync = function(gl, program, vs, fs, args) {
+	if (args === undefined) args = {};
+	if (args.source === undefined) args.source = "element";
+
+	// resolved with the source and sources of files it includes
+	let getSource = function(value, type) {
+		if (args.source === "file") {
+			return Utils.getDataFromFileAsync(value).then((text) => {
+				if (args.includes !== undefined) return {text: text, includes: args.includes};
+				return Utils.loadShaderIncludes(text, value.substring(0, value.lastIndexOf("/") + 1)).then((includes) => {
+					return {text: text, includes: includes};
+				});
+			});
+		} else if (args.source === "string") {
+			return Promise.resolve({text: value, includes: args.includes});
 		}
-	} catch (e) {}
+		const element = document.getElementById(value);
+		if (element === null || element.firstChild === null) {
+			let x = "Utils.initShadersAsync: ";
+			x += (type === gl.VERTEX_SHADER) ? "Vertex" : "Fragment";
+			x += " shader was not found! Requested element '" + value + "' was not found.";
+			return Promise.reject(new Error(x));
+		}
+		return Promise.resolve({text: element.firstChild.nodeValue, includes: args.includes});
+	};
 
-	if (!value) {
-		const x = "Utils.initComputeShader: Compute shader was not found! Requested file '" + id + "' was not found.";
-		window.alert(x);
-		throw new Error(x);
+	return Promise.all([
+		getSource(vs, gl.VERTEX_SHADER),
+		getSource(fs, gl.FRAGMENT_SHADER)
+	]).then((loaded) => {
+		const types = [gl.VERTEX_SHADER, gl.FRAGMENT_SHADER];
+		const names = (args.source === "string") ? ["vertex", "fragment"] : [vs, fs];
+		const sources = loaded.map((source, i) => Utils.preprocessShader(source.text, {
+			name: names[i],
+			defines: args.defines,
+			includes: source.includes
+		}));
+		let shaders = [];
+		let errors = [];
+		// compile FS even if VS compilation failed (so it reports errors for both at once)
+		for (let i = 0; i < types.length; i++) {
+			try {
+				shaders.push(Utils.compileShader(gl, types[i], sources[i].source, {
+					lineMap: sources[i].lineMap,
+					translate: args.translate
+				}));
+			} catch (e) {
+				errors.push(e);
+			}
+		}
+		if (errors.length > 0) {
+			shaders.forEach((shader) => gl.deleteShader(shader));
+			const error = new SyntaxError(errors.map((e) => e.message).join("\n"));
+			error.errors = errors.reduce((all, e) => all.concat(e.errors || []), []);
+			throw error;
+		}
+		shaders.forEach((shader) => gl.attachShader(program, shader));
+		Utils.linkProgram(gl, program);
+		return program;
+	});
+};
+
+/**
+ * Compile a shader. When compilation fails then the lines with errors are printed to the console with their surroundings.
+ * @since 2.4.0
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @param  {number} type              gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+ * @param  {string} source            source code of the shader
+ * @param  {Object} args              optional arguments
+ *                                    - lineMap {(Object)[]} line map from Utils.preprocessShader to report lines in original files
+ *                                    - log {boolean} if errors should be printed to the console (default true)
+ *                                    - translate {boolean} if the source should be translated to GLSL version
+ *                                                          of the context with Utils.translateShader (default false)
+ * @return {WebGLShader}              compiled shader
+ * @throws {SyntaxError}              If compilation failed; entries of the info log are in "errors" property (see Utils.parseShaderLog),
+ *                                    each of them has also "shader" property ("vertex" or "fragment"); the raw log is in "log" property
+ */
+Utils.compileShader = function(gl, type, source, args) {
+	if (args === undefined) args = {};
+	if (args.log === undefined) args.log = true;
+
+	const shader = gl.createShader(type);
+	if (args.translate) {
+		const shaderType = (type === gl.VERTEX_SHADER) ? "vertex" : "fragment";
+		const translated = Utils.translateShader(source, shaderType, Utils.isWebGL2(gl) ? 2 : 1);
+		// textureLod in fragment shader needs the extension in WebGL 1, compilation fails when it is not supported
+		if (/^#extension GL_EXT_shader_texture_lod\b/m.test(translated)) gl.getExtension("EXT_shader_texture_lod");
+		gl.shaderSource(shader, translated);
+	} else {
+		gl.shaderSource(shader, source);
 	}
-	gl.shaderSource(shader, value);
 	gl.compileShader(shader);
+	// window.console.log(gl.getExtension('WEBGL_debug_shaders').getTranslatedShaderSource(shader));
 	if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-		const x = "Compute shader error\n" + gl.getShaderInfoLog(shader);
-		window.alert(x);
-		window.console.log(x);
-		return false;
-	} else {
-		gl.attachShader(program, shader);
-		return true;
+		const log = gl.getShaderInfoLog(shader);
+		const errors = Utils.parseShaderLog(log, args.lineMap);
+		errors.forEach((entry) => entry.shader = (type === gl.VERTEX_SHADER) ? "vertex" : "fragment");
+
+		let x = (type === gl.VERTEX_SHADER) ? "Vertex shader error\n" : "Fragment shader error\n";
+		x += errors.map((entry) => {
+			let location = "";
+			if (entry.file !== null) location += entry.file + ":";
+			if (entry.line !== null) location += entry.line + ": ";
+			return entry.type + ": " + location + entry.message;
+		}).join("\n");
+		if (args.log) window.console.log(x + "\n\n" + Utils.formatShaderErrors(source, errors));
+		gl.deleteShader(shader);
+
+		const error = new SyntaxError(x);
+		error.errors = errors;
+		error.log = log;
+		throw error;
 	}
+	return shader;
 };
 
 /**
- * Get access to camera
- * @since 2.3.0
- * @see More info: {@link https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/getUserMedia}
- * @param {HTMLVideoElement} video
- * @param {number} width
- * @param {number} height
- * @param {string} facingMode
- * @param {HTMLElement} errorElement
+ * Translation of shader source between GLSL ES 1.00 (WebGL 1) and GLSL ES 3.00 (WebGL 2), so one shader can be used with both.
+ * Source which already is in the requested version is returned unchanged.
+ * Lines of the result correspond to lines of the source (#line directive is used when lines have to be inserted),
+ * so line numbers in the info log are still valid.
+ * Identifiers which are reserved in GLSL ES 3.00 (e.g. uniform named "texture") are not renamed.
+ * From GLSL ES 3.00 only one fragment output can be translated. In fragment shader textureLod is translated
+ * to functions of EXT_shader_texture_lod (e.g. texture2DLodEXT) and the extension is enabled by #extension directive,
+ * so the extension has to be enabled by gl.getExtension before compilation (Utils.compileShader does it).
+ * @since 2.4.0
+ * @param  {string} source source code of the shader
+ * @param  {string} type   "vertex" or "fragment"
+ * @param  {number} version target version of WebGL: 1 (GLSL ES 1.00) or 2 (GLSL ES 3.00)
+ * @return {string}        translated source
+ * @throws {Error}         If GLSL ES 3.00 fragment shader has more than one output
  */
-Utils.getCamera = function(video, width, height, facingMode, errorElement) {
-	navigator.mediaDevices.getUserMedia({
-		audio: false,
-		video: {width: width, height: height, facingMode: facingMode}
-		/*video: {
-			width: { min: 720, ideal: 1024, max: 1280 },
-			height: { min: 540, max: 720 },
-			//prefer rear camera
-			facingMode: "environment"
-		}*/
-	}).then((stream) => {
-		video.srcObject = stream;
-	}).catch((error) => {
-		let msg;
-		if (error.name === "ConstraintNotSatisfiedError" || error.name === "NotFoundError") {
-			msg = "Your camera does not meet required resolution for this application to work.";
-		} else if (error.name === "TrackStartError") {
-			msg = "Your camera is probably used by different application at this time.";
-		} else {
-			msg = "There was an unknown error when accessing your camera.\nError message:\n" + error;
+Utils.translateShader = function(source, type, version) {
+	const isVersion3 = /^\s*#version\s+300\s+es/m.test(source);
+	if (isVersion3 === (version === 2)) return source;
+
+	let lines = source.split(/\r?\n/);
+	const fragment = (type === "fragment");
+
+	if (version === 2) {
+		let replacements = [
+			[/\battribute\s+/g, "in "],
+			[/\bvarying\s+/g, fragment ? "in " : "out "],
+			[/\btexture(2D|Cube)(Proj)?(Lod|Grad)?(EXT)?\s*\(/g, (match, target, proj, lod) => "texture" + (proj || "") + (lod || "") + "("],
+			[/\bgl_FragDepthEXT\b/g, "gl_FragDepth"],
+			[/\bgl_FragColor\b/g, "utils_FragColor"],
+			[/\bgl_FragData\b/g, "utils_FragData"]
+		];
+		let versionLine = -1;
+		let lastExtension = -1;
+		let fragData = 0;
+		for (let i = 0; i < lines.length; i++) {
+			if (/^\s*#version\b/.test(lines[i])) {
+				versionLine = i;
+				lines[i] = "#version 300 es";
+				continue;
+			}
+			// these extensions are core in WebGL 2
+			if (/^\s*#extension\s+GL_(OES_standard_derivatives|EXT_shader_texture_lod|EXT_frag_depth|EXT_draw_buffers)\b/.test(lines[i])) {
+				lines[i] = "";
+				continue;
+			}
+			if (/^\s*#extension\b/.test(lines[i])) lastExtension = i;
+			const pattern = /\bgl_FragData\s*\[\s*(\d+)\s*\]/g;
+			let match;
+			while ((match = pattern.exec(lines[i])) !== null) {
+				fragData = Math.max(fragData, Number(match[1]) + 1);
+			}
+			for (let j = 0; j < replacements.length; j++) {
+				lines[i] = lines[i].replace(replacements[j][0], replacements[j][1]);
+			}
 		}
-		if (errorElement !== undefined) errorElement.innerHTML = msg;
-		alert(msg);
-		console.log("%cVideo Error: " + error, 'color: red');
-		console.log(msg);
-	});
+
+		let declarations = [];
+		if (fragment && /\butils_FragColor\b/.test(lines.join("\n"))) {
+			declarations.push("out highp vec4 utils_FragColor;");
+		}
+		if (fragment && fragData > 0) {
+			declarations.push("layout(location = 0) out highp vec4 utils_FragData[" + fragData + "];");
+		}
+		// lines are inserted after the last of these directives, #line directive keeps numbering of the following lines
+		const last = Math.max(versionLine, lastExtension);
+		let position = last + 1;
+		if (versionLine === -1) {
+			lines.unshift("#version 300 es");
+			position++;
+		}
+		// declarations have to be after #extension directives
+		if (declarations.length > 0 || versionLine === -1) {
+			lines.splice.apply(lines, [position, 0].concat(declarations, "#line " + (last + 2)));
+		}
+	} else {
+		let samplerCubes = [];
+		let output = null;
+		let versionLine = -1;
+		let lodEXT = false;
+		for (let i = 0; i < lines.length; i++) {
+			const match = lines[i].match(/\bsamplerCube\s+(\w+)/);
+			if (match !== null) samplerCubes.push(match[1]);
+		}
+		for (let i = 0; i < lines.length; i++) {
+			if (/^\s*#version\b/.test(lines[i])) {
+				versionLine = i;
+				lines[i] = "#version 100";
+				continue;
+			}
+			// only global declarations which fit on one line, not parameters of functions
+			const declaration = lines[i].match(/^(\s*)(?:layout\s*\([^)]*\)\s*)?(?:smooth\s+|centroid\s+)?(in|out)\s+([^;(]*;.*)$/);
+			if (declaration !== null) {
+				if (fragment && declaration[2] === "out") {
+					if (output !== null) {
+						throw new Error("Utils.translateShader: Only one output of fragment shader can be translated to GLSL ES 1.00.");
+					}
+					output = declaration[3].match(/(\w+)\s*;/)[1];
+					lines[i] = "";
+					continue;
+				}
+				let qualifier;
+				if (declaration[2] === "in") {
+					qualifier = fragment ? "varying" : "attribute";
+				} else {
+					qualifier = "varying";
+				}
+				lines[i] = declaration[1] + qualifier + " " + declaration[3];
+			}
+			lines[i] = lines[i].replace(/\btexture(Proj)?(Lod)?\s*\(\s*(\w+)/g, (match, proj, lod, sampler) => {
+				// GLSL ES 1.00 has Lod functions only in vertex shader
+				if (lod && fragment) {
+					lodEXT = true;
+					lod += "EXT";
+				}
+				return ((samplerCubes.indexOf(sampler) === -1) ? "texture2D" : "textureCube") + (proj || "") + (lod || "") + "(" + sampler;
+			});
+		}
+		if (output !== null) {
+			const pattern = new RegExp("\\b" + output + "\\b", "g");
+			for (let i = 0; i < lines.length; i++) {
+				lines[i] = lines[i].replace(pattern, "gl_FragColor");
+			}
+		}
+		if (lodEXT) {
+			// in GLSL ES 1.00 the line after #line directive has the given number + 1
+			lines.splice(versionLine + 1, 0, "#extension GL_EXT_shader_texture_lod : enable", "#line " + (versionLine + 1));
+		}
+	}
+	return lines.join("\n");
 };
 
 /**
- * Returns number of pixels mouse has moved
- * @param  {MouseEvent} e
- * @return {Object} object with "x" and "y" properties holding values
+ * Parse info log of shader compilation into structured entries
+ * @since 2.4.0
+ * @param  {string} log         info log from gl.getShaderInfoLog
+ * @param  {(Object)[]} lineMap optional line map from Utils.preprocessShader
+ * @return {(Object)[]}         objects with properties
+ *                              - type {string} "ERROR" or "WARNING"
+ *                              - file {string,null} name of the original file, null without line map
+ *                              - line {number,null} line in the original file (in the compiled source without line map)
+ *                              - sourceLine {number,null} line in the compiled source
+ *                              - message {string} the message itself
  */
-Utils.getMousePoint = function(e) {
-	let point = {};
-	point.x = e.offsetX || 0;
-	point.y = e.offsetY || 0;
-	return point;
+Utils.parseShaderLog = function(log, lineMap) {
+	let entries = [];
+	const lines = (log || "").replace(/\0/g, "").split(/\r?\n/);
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].trim();
+		if (line === "") continue;
+
+		let entry = {type: "ERROR", file: null, line: null, sourceLine: null, message: line};
+		// ANGLE and most of drivers: "ERROR: 0:12: message"
+		let match = line.match(/^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i);
+		if (match !== null) {
+			entry.type = match[1].toUpperCase();
+			entry.sourceLine = Number(match[2]);
+			entry.message = match[3];
+		} else {
+			// some drivers: "0(12) : error C0000: message"
+			match = line.match(/^\d+\((\d+)\)\s*:\s*(error|warning)\s*(.*)$/i);
+			if (match !== null) {
+				entry.type = match[2].toUpperCase();
+				entry.sourceLine = Number(match[1]);
+				entry.message = match[3];
+			}
+		}
+		entry.line = entry.sourceLine;
+		if (entry.sourceLine !== null && lineMap !== undefined && lineMap[entry.sourceLine - 1] !== undefined) {
+			entry.file = lineMap[entry.sourceLine - 1].file;
+			entry.line = lineMap[entry.sourceLine - 1].line;
+		}
+		entries.push(entry);
+	}
+	return entries;
 };
 
 /**
- * Returns number of virtual pixels mouse has moved when the pointer is locked
- * @param  {MouseEvent} e
- * @return {Object} object with "x" and "y" properties holding values
+ * Format entries of info log together with the lines of the source they belong to
+ * @since 2.4.0
+ * @param  {string} source      compiled source code
+ * @param  {(Object)[]} errors  entries from Utils.parseShaderLog
+ * @param  {number} context     number of lines printed before and after the line with an error (default 2)
+ * @return {string}             formatted text, the line with an error is marked with ">"
  */
-Utils.getLockedMousePoint = function(e) {
-	let point = {};
-	point.x = e.movementX || 0;
-	point.y = e.movementY || 0;
-	return point;
-};
+Utils.formatShaderErrors = function(source, errors, context) {
+	if (context === undefined) context = 2;
+	const lines = source.split(/\r?\n/);
+	const width = String(lines.length).length;
+	let output = [];
+	for (let i = 0; i < errors.length; i++) {
+		const entry = errors[i];
+		let header = entry.type + ": ";
+		if (entry.file !== null) header += entry.file + ":";
+		if (entry.line !== null) header += entry.line + ": ";
+		output.push(header + entry.message);
+		if (entry.sourceLine === null) continue;
 
-/**
- * Returns number of steps done by mouse wheel
- * @param  {MouseEvent} e
- * @return {number} number of steps
- */
-Utils.getWheelRotation = function(e) {
-	// FF doesn't know e.wheelDelta
-	return e.wheelDelta || e.detail;
+		const from = Math.max(1, entry.sourceLine - context);
+		const to = Math.min(lines.length, entry.sourceLine + context);
+		for (let j = from; j <= to; j++) {
+			let number = String(j);
+			while (number.length < width) number = " " + number;
+			output.push(((j === entry.sourceLine) ? "> " : "  ") + number + " | " + lines[j - 1]);
+		}
+		output.push("");
+	}
+	return output.join("\n");
 };
 
 /**
- * Encapsulation of assigning listener for mouse wheel
- * @param {HTMLElement} element to which assign the listener
- * @param {Function} callback with actual listener
+ * Link a program with attached shaders
+ * @since 2.4.0
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @param  {WebGLProgram} program     WebGL program
+ * @return {WebGLProgram}             the same program
+ * @throws {SyntaxError}              If linking failed, the message contains the info log
  */
-Utils.addMouseWheelListener = function(element, callback) {
-	// https://developer.mozilla.org/en-US/docs/Web/API/Element/wheel_event#Browser_compatibility
-	element.addEventListener("wheel", callback, false);
+Utils.linkProgram = function(gl, program) {
+	gl.linkProgram(program);
+	if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+		throw new SyntaxError("Program link error\n" + gl.getProgramInfoLog(program));
+	}
+	return program;
 };
 
 /**
- * Calculates distance between two points in 2D plane
- * @param  {number} x  1st point
- * @param  {number} y  1st point
- * @param  {number} x2 2nd point
- * @param  {number} y2 2nd point
- * @return {number}    distance
+ * Resolve name from #include directive, names in included files are relative to the directory of the file
+ * @since 2.4.0
+ * @param  {string} file name of the file with the directive relative to the main shader ("" for the main shader)
+ * @param  {string} name name from the directive
+ * @return {string}      name relative to the main shader, e.g. "lights/common.glsl" for file "lights/point.glsl"
+ *                       and name "common.glsl"; names starting with "/" are not changed
  */
-Utils.distance = function(x, y, x2, y2) {
-	return Math.sqrt(
-		Math.pow((y2 - y), 2) + Math.pow((x2 - x), 2)
-	);
+Utils.resolveInclude = function(file, name) {
+	if (name[0] === "/") return name;
+	let parts = file.split("/").slice(0, -1).concat(name.split("/"));
+	let result = [];
+	parts.forEach((part) => {
+		if (part === "..") {
+			if (result.length > 0 && result[result.length - 1] !== "..") {
+				result.pop();
+			} else {
+				result.push(part);
+			}
+		} else if (part !== "." && part !== "") {
+			result.push(part);
+		}
+	});
+	return result.join("/");
 };
 
 /**
- * Function for converting matrix or vector into Float32Array
- * @param  {Vec1D,Vec2D,Vec3D,Point3D,Mat3,Mat4} a
- * @return {Float32Array} flat array with values from the parameter
+ * Preprocessing of GLSL source. Resolves #include "file" directives and injects #define directives.
+ * Every file is included only once, repeated #include of the same file is skipped.
+ * Names in included files are relative to their directories (see Utils.resolveInclude).
+ * Defines are inserted after #version directive if there is one, so it stays on the first line.
+ * @since 2.4.0
+ * @param  {string} source source code of the shader
+ * @param  {Object} args   optional arguments
+ *                         - name {string} name of the source used in the line map and in errors (default "main")
+ *                         - defines {Object} macros, names are the keys; value true defines the macro without a value,
+ *                                            false, null and undefined values are skipped, any other value is used as it is;
+ *                                            they are injected sorted by their names
+ *                         - includes {Object,Function} sources of included files with their names relative to the main shader
+ *                                                      as the keys, or function called with the name and returning the source
+ * @return {Object}        object with properties
+ *                         - source {string} preprocessed source code
+ *                         - lineMap {(Object)[]} origin of every line of the result, lineMap[i] belongs to line i + 1;
+ *                                                objects with properties file (name of the source or "defines") and line
+ * @throws {Error}         If an included file was not found or if files include each other in a cycle
  */
-Utils.convert = function(a) {
-	if (a instanceof Vec1D) {
-		return new Float32Array([a.x]);
-	} else if (a instanceof Vec2D) {
-		return new Float32Array([a.x, a.y]);
-	} else if (a instanceof Vec3D) {
-		return new Float32Array([a.x, a.y, a.z]);
-	} else if (a instanceof Point3D) {
-		return new Float32Array([a.x, a.y, a.z, a.w]);
-	} else if (a instanceof Mat3) {
-		let temp = new Float32Array(9);
-		for (let i = 0; i < 3; i++) {
-			for (let j = 0; j < 3; j++) {
-				temp[i * 3 + j] = a.mat[i][j];
+Utils.preprocessShader = function(source, args) {
+	if (args === undefined) args = {};
+	if (args.name === undefined) args.name = "main";
+	if (args.defines === undefined) args.defines = {};
+	if (args.includes === undefined) args.includes = {};
+
+	let lines = [];
+	let lineMap = [];
+	let included = {};
+
+	const getInclude = function(name) {
+		const value = (typeof args.includes === "function") ? args.includes(name) : args.includes[name];
+		return (typeof value === "string") ? value : null;
+	};
+
+	// path is the name relative to the main shader, it is "" for the main shader
+	const expand = function(text, name, path, stack) {
+		const sourceLines = text.split(/\r?\n/);
+		for (let i = 0; i < sourceLines.length; i++) {
+			const match = sourceLines[i].match(/^\s*#include\s+["<]([^">]+)[">]/);
+			if (match === null) {
+				lines.push(sourceLines[i]);
+				lineMap.push({file: name, line: i + 1});
+				continue;
+			}
+			const file = Utils.resolveInclude(path, match[1]);
+			if (stack.indexOf(file) !== -1) {
+				throw new Error("Utils.preprocessShader: Circular #include: " + stack.concat(file).join(" -> ") + ".");
+			}
+			if (included[file]) continue;
+			const value = getInclude(file);
+			if (value === null) {
+				throw new Error("Utils.preprocessShader: Included file '" + file + "' was not found (" + name + ", line " + (i + 1) + ").");
 			}
+			included[file] = true;
+			expand(value, file, file, stack.concat(file));
 		}
-		return temp;
-	} else if (a instanceof Mat4) {
-		let temp = new Float32Array(16);
-		for (let i = 0; i < 4; i++) {
-			for (let j = 0; j < 4; j++) {
-				temp[i * 4 + j] = a.mat[i][j];
+	};
+	expand(source, args.name, "", [args.name]);
+
+	let defines = [];
+	// sorted, so the same defines give the same source (and the same entry of Utils.ShaderCache) in any order
+	const keys = Object.keys(args.defines).sort();
+	for (let i = 0; i < keys.length; i++) {
+		const key = keys[i];
+		const value = args.defines[key];
+		if (value === false || value === null || value === undefined) continue;
+		defines.push("#define " + key + ((value === true) ? "" : " " + value));
+	}
+	if (defines.length > 0) {
+		let position = 0;
+		for (let i = 0; i < lines.length; i++) {
+			if (/^\s*#version/.test(lines[i])) {
+				position = i + 1;
+				break;
 			}
 		}
-		return temp;
+		lines.splice.apply(lines, [position, 0].concat(defines));
+		lineMap.splice.apply(lineMap, [position, 0].concat(defines.map((define, i) => ({file: "defines", line: i + 1}))));
 	}
+
+	return {
+		source: lines.join("\n"),
+		lineMap: lineMap
+	};
 };
 
 /**
- * Object for working with objects in the scene
- * Allows generating of vertices, normals, colors, texture coordinates and indices for a few basic objects (currently Block, Face, Sphere)
+ * Load all files included (even indirectly) by a shader, the result can be used as includes argument of Utils.preprocessShader
+ * @since 2.4.0
+ * @param  {string} source  source code of the shader
+ * @param  {string} baseUrl address of the directory of the main shader, e.g. "shaders/"
+ * @param  {Object} loaded  optional already loaded files, names are the keys; it is extended and returned
+ * @param  {string} file    name of the file with the source relative to baseUrl, its includes are relative to its directory
+ *                          (default "", i.e. the main shader)
+ * @return {Promise}        resolved with object containing sources of the files, names relative to the main shader
+ *                          (see Utils.resolveInclude) are the keys
+ */
+Utils.loadShaderIncludes = function(source, baseUrl, loaded, file) {
+	if (loaded === undefined) loaded = {};
+	if (file === undefined) file = "";
+	const pattern = /^[ \t]*#include[ \t]+["<]([^">]+)[">]/gm;
+	let names = [];
+	let match;
+	while ((match = pattern.exec(source)) !== null) {
+		const name = Utils.resolveInclude(file, match[1]);
+		// null marks a file being loaded, so it is not requested twice (and circular includes do not loop)
+		if (loaded[name] === undefined) {
+			loaded[name] = null;
+			names.push(name);
+		}
+	}
+	return Promise.all(names.map((name) => {
+		const url = (name[0] === "/") ? name : baseUrl + name;
+		return Utils.getDataFromFileAsync(url).then((text) => {
+			loaded[name] = text;
+			return Utils.loadShaderIncludes(text, baseUrl, loaded, name);
+		});
+	})).then(() => loaded);
+};
+
+/**
+ * Wrapper of WebGL program. Links the program and reflects its active attributes and uniforms.
+ * @since 2.4.0
+ * @param {WebGLRenderingContext} gl WebGL context
+ * @param {WebGLProgram} program     program with attached shaders (e.g. by Utils.initShaders), it is linked unless it already is
+ * @param {Object} args              optional arguments
+ *                                   - validate {boolean} if the program should be validated by Utils.Program.prototype.validate
+ *                                                        before every draw call of Utils.Drawable.draw, it is slow,
+ *                                                        so it is meant for debugging (default false)
+ * @throws {SyntaxError}             If linking failed
  * @constructor
  */
-Utils.Scene = function() {
-	this.vertices = [];
-	this.colors = [];
-	this.textureCoords = [];
-	this.normals = [];
-	this.indices = [];
+Utils.Program = function(gl, program, args) {
+	if (args === undefined) args = {};
+	if (args.validate === undefined) args.validate = false;
+
+	this.gl = gl;
+	this.program = program;
+	this.validateOnDraw = args.validate;
+	if (!gl.getProgramParameter(program, gl.LINK_STATUS)) Utils.linkProgram(gl, program);
+	this.attributes = this.reflect(gl.ACTIVE_ATTRIBUTES, "getActiveAttrib", "getAttribLocation");
+	this.uniforms = this.reflect(gl.ACTIVE_UNIFORMS, "getActiveUniform", "getUniformLocation");
 };
 
 /**
- * Adding an object to the scene
- * @param {Block,Face,Sphere} obj an object to add
+ * Types of attributes and uniforms: names of WebGL constants, GLSL names and names of methods setting uniforms of the type
+ * @type {Object}
+ */
+Utils.Program.types = {
+	FLOAT: ["float", "uniform1fv"],
+	FLOAT_VEC2: ["vec2", "uniform2fv"],
+	FLOAT_VEC3: ["vec3", "uniform3fv"],
+	FLOAT_VEC4: ["vec4", "uniform4fv"],
+	INT: ["int", "uniform1iv"],
+	INT_VEC2: ["ivec2", "uniform2iv"],
+	INT_VEC3: ["ivec3", "uniform3iv"],
+	INT_VEC4: ["ivec4", "uniform4iv"],
+	BOOL: ["bool", "uniform1iv"],
+	BOOL_VEC2: ["bvec2", "uniform2iv"],
+	BOOL_VEC3: ["bvec3", "uniform3iv"],
+	BOOL_VEC4: ["bvec4", "uniform4iv"],
+	FLOAT_MAT2: ["mat2", "uniformMatrix2fv"],
+	FLOAT_MAT3: ["mat3", "uniformMatrix3fv"],
+	FLOAT_MAT4: ["mat4", "uniformMatrix4fv"],
+	SAMPLER_2D: ["sampler2D", "uniform1iv"],
+	SAMPLER_CUBE: ["samplerCube", "uniform1iv"],
+	// WebGL 2 only
+	UNSIGNED_INT: ["uint", "uniform1uiv"],
+	UNSIGNED_INT_VEC2: ["uvec2", "uniform2uiv"],
+	UNSIGNED_INT_VEC3: ["uvec3", "uniform3uiv"],
+	UNSIGNED_INT_VEC4: ["uvec4", "uniform4uiv"],
+	FLOAT_MAT2x3: ["mat2x3", "uniformMatrix2x3fv"],
+	FLOAT_MAT2x4: ["mat2x4", "uniformMatrix2x4fv"],
+	FLOAT_MAT3x2: ["mat3x2", "uniformMatrix3x2fv"],
+	FLOAT_MAT3x4: ["mat3x4", "uniformMatrix3x4fv"],
+	FLOAT_MAT4x2: ["mat4x2", "uniformMatrix4x2fv"],
+	FLOAT_MAT4x3: ["mat4x3", "uniformMatrix4x3fv"],
+	SAMPLER_3D: ["sampler3D", "uniform1iv"],
+	SAMPLER_2D_SHADOW: ["sampler2DShadow", "uniform1iv"],
+	SAMPLER_2D_ARRAY: ["sampler2DArray", "uniform1iv"],
+	SAMPLER_2D_ARRAY_SHADOW: ["sampler2DArrayShadow", "uniform1iv"],
+	SAMPLER_CUBE_SHADOW: ["samplerCubeShadow", "uniform1iv"],
+	INT_SAMPLER_2D: ["isampler2D", "uniform1iv"],
+	INT_SAMPLER_3D: ["isampler3D", "uniform1iv"],
+	INT_SAMPLER_CUBE: ["isamplerCube", "uniform1iv"],
+	INT_SAMPLER_2D_ARRAY: ["isampler2DArray", "uniform1iv"],
+	UNSIGNED_INT_SAMPLER_2D: ["usampler2D", "uniform1iv"],
+	UNSIGNED_INT_SAMPLER_3D: ["usampler3D", "uniform1iv"],
+	UNSIGNED_INT_SAMPLER_CUBE: ["usamplerCube", "uniform1iv"],
+	UNSIGNED_INT_SAMPLER_2D_ARRAY: ["usampler2DArray", "uniform1iv"]
+};
+
+/**
+ * Get information about active attributes or uniforms
+ * @param  {number} count       gl.ACTIVE_ATTRIBUTES or gl.ACTIVE_UNIFORMS
+ * @param  {string} getActive   name of method returning WebGLActiveInfo
+ * @param  {string} getLocation name of method returning location
+ * @return {Object}             objects with properties name, location, type (GLSL name), glType and size,
+ *                              uniforms also with setter (name of the method setting the value);
+ *                              names are the keys, "[0]" is removed from names of arrays
+ */
+Utils.Program.prototype.reflect = function(count, getActive, getLocation) {
+	const gl = this.gl;
+	let result = {};
+	const total = gl.getProgramParameter(this.program, count);
+	for (let i = 0; i < total; i++) {
+		const info = gl[getActive](this.program, i);
+		if (info === null) continue;
+		const name = info.name.replace(/\[0\]$/, "");
+		let type = null;
+		for (let key in Utils.Program.types) {
+			if (gl[key] === info.type) type = Utils.Program.types[key];
+		}
+		result[name] = {
+			name: name,
+			location: gl[getLocation](this.program, info.name),
+			type: (type !== null) ? type[0] : null,
+			glType: info.type,
+			size: info.size
+		};
+		if (getActive === "getActiveUniform") result[name].setter = (type !== null) ? type[1] : null;
+	}
+	return result;
+};
+
+/**
+ * Make the program the current one
+ * @return {Utils.Program} this
  */
-Utils.Scene.prototype.add = function(obj) {
-	let length = this.vertices.length / 3;
-	this.vertices = this.vertices.concat(obj.vertices);
-	this.colors = this.colors.concat(obj.colors);
-	this.textureCoords = this.textureCoords.concat(obj.textureCoords).filter(n => n !== undefined);
-	this.normals = this.normals.concat(obj.normals).filter(n => n !== undefined);
-	let b = obj.indices;
+Utils.Program.prototype.use = function() {
+	this.gl.useProgram(this.program);
+	return this;
+};
 
-	for (let i = 0; i < b.length; i++) {
-		b[i] = b[i] + length;
+/**
+ * Validate the program with gl.validateProgram, the result depends on the current state (e.g. texture units of samplers),
+ * so it should be called just before drawing
+ * @return {Utils.Program} this
+ * @throws {SyntaxError}   If validation failed
+ */
+Utils.Program.prototype.validate = function() {
+	const gl = this.gl;
+	gl.validateProgram(this.program);
+	if (!gl.getProgramParameter(this.program, gl.VALIDATE_STATUS)) {
+		throw new SyntaxError("Program validation error\n" + gl.getProgramInfoLog(this.program));
 	}
-	this.indices = this.indices.concat(b);
 	return this;
 };
 
 /**
- * Create a block
- * @param {number} a     side length a
- * @param {number} b     side length b
- * @param {number} c     side length c
- * @param {number} posx  position of the center of the block
- * @param {number} posy  position of the center of the block
- * @param {number} posz  position of the center of the block
- * @param {Object} args  additional arguments
- *                       - color {(number)[]} color as array (of usually three items); if undefined then RGB block
- *                       - sharedVertices {boolean} if there should be separate vertices for every face (false),
- *                                                  or if faces can share them (true, default value)
- *                                                  if vertices are shared, then normals and texture coordinates are not generated
+ * Get location of an attribute
+ * @param  {string} name name of the attribute
+ * @return {number}      location or -1 if attribute is not active
+ */
+Utils.Program.prototype.getAttribLocation = function(name) {
+	const attribute = this.attributes[name];
+	return (attribute === undefined) ? -1 : attribute.location;
+};
+
+/**
+ * Set value of a uniform with a method according to its type, the program has to be in use
+ * @param  {string} name                                                 name of the uniform
+ * @param  {number,boolean,(number)[],Float32Array,Int32Array,Vec1D,Vec2D,Vec3D,Point3D,Mat3,Mat4} value
+ *                                                                       value, objects from transforms.js are converted with Utils.convert
+ * @return {boolean}                                                     false if there is no such active uniform
+ */
+Utils.Program.prototype.set = function(name, value) {
+	const uniform = this.uniforms[name];
+	if (uniform === undefined || uniform.setter === null) return false;
+
+	let data;
+	if (typeof value === "number" || typeof value === "boolean") {
+		data = [Number(value)];
+	} else {
+		data = Utils.convert(value);
+		if (data === undefined) data = value;
+	}
+
+	if (uniform.setter.indexOf("Matrix") !== -1) {
+		this.gl[uniform.setter](uniform.location, false, data);
+	} else if (uniform.setter.indexOf("uiv") !== -1) {
+		this.gl[uniform.setter](uniform.location, (data instanceof Uint32Array) ? data : Uint32Array.from(data));
+	} else if (uniform.setter.indexOf("iv") !== -1) {
+		this.gl[uniform.setter](uniform.location, (data instanceof Int32Array) ? data : Int32Array.from(data));
+	} else {
+		this.gl[uniform.setter](uniform.location, data);
+	}
+	return true;
+};
+
+/**
+ * Set values of more uniforms at once, the program has to be in use
+ * @param  {Object} values   values of uniforms, names of uniforms are the keys (see set method)
+ * @return {Utils.Program}   this
+ */
+Utils.Program.prototype.setUniforms = function(values) {
+	for (let name in values) {
+		this.set(name, values[name]);
+	}
+	return this;
+};
+
+/**
+ * Cache of compiled shaders and linked programs of one context. Shaders are deduplicated by hash of their source
+ * after preprocessing (so different defines give different shaders), programs by their shaders.
+ * Every get method increases reference count of the returned object, release method decreases it
+ * and the object is deleted when nothing references it. Use Utils.ShaderCache.get to get the cache of a context.
+ * @since 2.4.0
+ * @param {WebGLRenderingContext} gl WebGL context
  * @constructor
  */
-Utils.Block = function(a, b, c, posx, posy, posz, args) {
-	if (args === undefined) args = {};
-	if (args.sharedVertices === undefined) args.sharedVertices = true;
+Utils.ShaderCache = function(gl) {
+	this.gl = gl;
+	// hash -> entries with the hash
+	this.shaders = new Map();
+	this.programs = new Map();
+	// WebGLShader, WebGLProgram or Utils.Program -> entry
+	this.entries = new Map();
+};
 
-	this.vertices = this.createVertices(a, b, c, posx, posy, posz, args.sharedVertices);
-	this.colors = this.createColors(args.color, args.sharedVertices);
-	if (!args.sharedVertices) {
-		this.textureCoords = this.createTextureCoords();
-		this.normals = [];// TODO not implemented yet
+Utils.ShaderCache.caches = new WeakMap();
+
+/**
+ * Get cache of the context, it is created on the first call
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @return {Utils.ShaderCache}        cache of the context
+ */
+Utils.ShaderCache.get = function(gl) {
+	let cache = Utils.ShaderCache.caches.get(gl);
+	if (cache === undefined) {
+		cache = new Utils.ShaderCache(gl);
+		Utils.ShaderCache.caches.set(gl, cache);
 	}
-	this.indices = this.createIndices(args.sharedVertices);
+	return cache;
 };
 
 /**
- * Generate vertices for block
- * @param  {number} a               side length a
- * @param  {number} b               side length b
- * @param  {number} c               side length c
- * @param  {number} x               position of the center of the block
- * @param  {number} y               position of the center of the block
- * @param  {number} z               position of the center of the block
- * @param  {boolean} sharedVertices if faces are sharing vertices (more info in constructor)
- * @return {(number)[]}             array with vertices
+ * 32-bit FNV-1a hash of a string
+ * @param  {string} text the string
+ * @return {string}      hexadecimal hash
  */
-Utils.Block.prototype.createVertices = function(a, b, c, x, y, z, sharedVertices) {
-	let vertices = [];
-	// if shared then 8 vertices
-	if (sharedVertices) {
-		//front face
-		//bottom, left
-		vertices.push(-a+x, -b+y, c+z);
-		//bottom, right
-		vertices.push(a+x, -b+y, c+z);
-		//top, left
-		vertices.push(-a+x, b+y, c+z);
-		//top, right
-		vertices.push(a+x, b+y, c+z);
-		//right face
-		//bottom, right
-		vertices.push(a+x, -b+y, -c+z);
-		//top, right
-		vertices.push(a+x, b+y, -c+z);
-		//left face
-		//bottom, left
-		vertices.push(-a+x, -b+y, -c+z);
-		//top, left
-		vertices.push(-a+x, b+y, -c+z);
+Utils.ShaderCache.hash = function(text) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
 	}
-	// if not shared then 24 vertices
-	else {
-		//front
-		vertices.push(-a+x, -b+y, -c+z);
-		vertices.push(a+x, -b+y, -c+z);
-		vertices.push(-a+x, -b+y, c+z);
-		vertices.push(a+x, -b+y, c+z);
+	return (hash >>> 0).toString(16);
+};
 
-		// right face
-		vertices.push(a+x, -b+y, -c+z);
-		vertices.push(a+x, b+y, -c+z);
-		vertices.push(a+x, -b+y, c+z);
-		vertices.push(a+x, b+y, c+z);
+/**
+ * Find an entry with the key, entries with the same hash are compared by their keys
+ * @param  {Map} map     map with entries
+ * @param  {string} hash hash of the key
+ * @param  {string} key  key of the entry
+ * @return {Object,null} the entry or null if there is none
+ */
+Utils.ShaderCache.prototype.find = function(map, hash, key) {
+	const bucket = map.get(hash);
+	if (bucket === undefined) return null;
+	for (let i = 0; i < bucket.length; i++) {
+		if (bucket[i].key === key) return bucket[i];
+	}
+	return null;
+};
 
-		// left face
-		vertices.push(-a+x, -b+y, -c+z);
-		vertices.push(-a+x, -b+y, c+z);
-		vertices.push(-a+x, b+y, -c+z);
-		vertices.push(-a+x, b+y, c+z);
+/**
+ * Add an entry to the map and to the entries
+ * @param {Map} map      map with entries
+ * @param {Object} entry the entry
+ */
+Utils.ShaderCache.prototype.insert = function(map, entry) {
+	if (!map.has(entry.hash)) map.set(entry.hash, []);
+	map.get(entry.hash).push(entry);
+	this.entries.set(entry.value, entry);
+};
 
-		// top face
-		vertices.push(-a+x, -b+y, c+z);
-		vertices.push(a+x, -b+y, c+z);
-		vertices.push(-a+x, b+y, c+z);
-		vertices.push(a+x, b+y, c+z);
+/**
+ * Get compiled shader, it is compiled only if it is not in the cache
+ * @param  {number} type   gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+ * @param  {string} source source code of the shader
+ * @param  {Object} args   optional arguments
+ *                         - defines, includes: see Utils.preprocessShader
+ *                         - translate {boolean}: see Utils.compileShader
+ * @return {WebGLShader}   compiled shader
+ * @throws {SyntaxError}   If compilation failed
+ */
+Utils.ShaderCache.prototype.getShader = function(type, source, args) {
+	return this.acquireShader(type, source, args).value;
+};
 
-		// bottom face
-		vertices.push(-a+x, -b+y, -c+z);
-		vertices.push(-a+x, b+y, -c+z);
-		vertices.push(a+x, -b+y, -c+z);
-		vertices.push(a+x, b+y, -c+z);
+/**
+ * Get entry of a shader and increase its reference count
+ * @param  {number} type   gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+ * @param  {string} source source code of the shader
+ * @param  {Object} args   optional arguments, see getShader method
+ * @return {Object}        entry of the shader
+ */
+Utils.ShaderCache.prototype.acquireShader = function(type, source, args) {
+	if (args === undefined) args = {};
+	const preprocessed = Utils.preprocessShader(source, {defines: args.defines, includes: args.includes});
+	const key = type + (args.translate ? ":translated:" : ":") + preprocessed.source;
+	const hash = Utils.ShaderCache.hash(key);
 
-		// back face
-		vertices.push(-a+x, b+y, -c+z);
-		vertices.push(-a+x, b+y, c+z);
-		vertices.push(a+x, b+y, -c+z);
-		vertices.push(a+x, b+y, c+z);
+	let entry = this.find(this.shaders, hash, key);
+	if (entry === null) {
+		entry = {
+			key: key,
+			hash: hash,
+			value: Utils.compileShader(this.gl, type, preprocessed.source, {lineMap: preprocessed.lineMap, translate: args.translate}),
+			refs: 0
+		};
+		this.insert(this.shaders, entry);
 	}
-	return vertices;
+	entry.refs++;
+	return entry;
 };
 
 /**
- * Generate colors for block
- * @param  {(number)[]} color       color as array; if undefined then RGB block
- * @param  {boolean} sharedVertices if colors should be generated for block with shared vertices (more info in constructor)
- * @return {(number)[]}             array with colors
+ * Get linked program, it is created only if it is not in the cache
+ * @param  {string} vs    source code of the vertex shader
+ * @param  {string} fs    source code of the fragment shader
+ * @param  {Object} args  optional arguments
+ *                        - defines, includes: see Utils.preprocessShader, used for both shaders
+ *                        - translate {boolean}: see Utils.compileShader
+ *                        - validate {boolean}: see Utils.Program
+ * @return {Utils.Program} the program
+ * @throws {SyntaxError}   If compilation or linking failed
  */
-Utils.Block.prototype.createColors = function(color, sharedVertices) {
-	let colors = [];
-	// if color was set then copy it to every vertex
-	if (color !== undefined) {
-		// copy one colors to all vertices
-		const max = (sharedVertices) ? 8 : 24;
-		for (let i = 0; i < max; i++) {
-			for (let j = 0; j < color.length; j++) {
-				colors.push(color[j]);
-			}
+Utils.ShaderCache.prototype.getProgram = function(vs, fs, args) {
+	if (args === undefined) args = {};
+	const gl = this.gl;
+	let shaders = [this.acquireShader(gl.VERTEX_SHADER, vs, args)];
+	try {
+		shaders.push(this.acquireShader(gl.FRAGMENT_SHADER, fs, args));
+	} catch (e) {
+		this.release(shaders[0].value);
+		throw e;
+	}
+	const key = shaders[0].hash + "/" + shaders[1].hash + "\n" + shaders[0].key + "\n" + shaders[1].key;
+	const hash = Utils.ShaderCache.hash(key);
+
+	let entry = this.find(this.programs, hash, key);
+	if (entry !== null) {
+		// the cached program already holds its own references to the shaders
+		shaders.forEach((shader) => this.release(shader.value));
+	} else {
+		const program = gl.createProgram();
+		gl.attachShader(program, shaders[0].value);
+		gl.attachShader(program, shaders[1].value);
+		let value;
+		try {
+			value = new Utils.Program(gl, program, {validate: args.validate});
+		} catch (e) {
+			gl.deleteProgram(program);
+			shaders.forEach((shader) => this.release(shader.value));
+			throw e;
 		}
+		entry = {
+			key: key,
+			hash: hash,
+			value: value,
+			shaders: shaders,
+			refs: 0
+		};
+		this.insert(this.programs, entry);
+		this.entries.set(program, entry);
+	}
+	entry.refs++;
+	return entry.value;
+};
+
+/**
+ * Release a shader or a program obtained from the cache, it is deleted when it is not referenced anymore
+ * @param  {WebGLShader,WebGLProgram,Utils.Program} object the shader or the program
+ * @return {boolean}                                       false if the object is not in the cache
+ */
+Utils.ShaderCache.prototype.release = function(object) {
+	const entry = this.entries.get(object);
+	if (entry === undefined) return false;
+	entry.refs--;
+	if (entry.refs > 0) return true;
+
+	const map = (entry.shaders === undefined) ? this.shaders : this.programs;
+	const bucket = map.get(entry.hash);
+	bucket.splice(bucket.indexOf(entry), 1);
+	if (bucket.length === 0) map.delete(entry.hash);
+	this.entries.delete(entry.value);
+
+	if (entry.shaders === undefined) {
+		this.gl.deleteShader(entry.value);
 	} else {
-		if (sharedVertices) {
-			//front face
-			//bottom, left
-			colors.push(0.0, 0.0, 1.0);
+		this.entries.delete(entry.value.program);
+		this.gl.deleteProgram(entry.value.program);
+		entry.shaders.forEach((shader) => this.release(shader.value));
+	}
+	return true;
+};
+
+/**
+ * Forget all entries without deleting them, e.g. after the context was lost (the objects are invalid anyway)
+ */
+Utils.ShaderCache.prototype.clear = function() {
+	this.shaders.clear();
+	this.programs.clear();
+	this.entries.clear();
+};
+
+/**
+ * Function for initialization of a shader for compute program
+ * @since 2.3.0
+ * @deprecated since 2.4.0, WebGL2ComputeRenderingContext was abandoned and is not available in any browser;
+ *             use Utils.FeedbackKernel or Utils.GridKernel which work with standard WebGL 2
+ * @param  {WebGL2ComputeRenderingContext} gl WebGL context
+ * @param  {WebGLProgram} program    		  WebGL program
+ * @param  {string} file              		  path to a file with the compute shader
+ * @return {boolean}                  		  true if compilation was successful else it throws exception
+ * @throws {SyntaxError}              		  If compilation of shaders failed or shaders were not found
+ */
+Utils.initComputeShader = function(gl, program, file) {
+	const shader = gl.createShader(gl.COMPUTE_SHADER);
+	let value;
+	const request = new XMLHttpRequest();
+	request.open('GET', file, false);
+	try {
+		request.send(null);
+		if (request.readyState === 4 && request.status === 200) {
+			value = request.responseText;
+		}
+	} catch (e) {}
+
+	if (!value) {
+		const x = "Utils.initComputeShader: Compute shader was not found! Requested file '" + file + "' was not found.";
+		window.alert(x);
+		throw new Error(x);
+	}
+	gl.shaderSource(shader, value);
+	gl.compileShader(shader);
+	if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+		const x = "Compute shader error\n" + gl.getShaderInfoLog(shader);
+		window.alert(x);
+		window.console.log(x);
+		return false;
+	} else {
+		gl.attachShader(program, shader);
+		return true;
+	}
+};
+
+/**
+ * General-purpose computation on GPU with transform feedback (WebGL 2). The kernel is a vertex shader (GLSL ES 3.00)
+ * which is run once for every element: "in" attributes are inputs and "out" variables are outputs of the kernel.
+ * Rasterization is disabled while the kernel runs.
+ * @since 2.4.0
+ * @param {WebGL2RenderingContext} gl WebGL 2 context
+ * @param {string} source             source code of the vertex shader
+ * @param {(string)[]} outputs        names of "out" variables which should be captured
+ * @param {Object} args               optional arguments
+ *                                    - defines {Object} macros to inject, see Utils.preprocessShader
+ * @throws {SyntaxError}              If compilation or linking failed
+ * @constructor
+ */
+Utils.FeedbackKernel = function(gl, source, outputs, args) {
+	if (args === undefined) args = {};
+
+	this.gl = gl;
+	const preprocessed = Utils.preprocessShader(source, {name: "kernel", defines: args.defines});
+	const program = gl.createProgram();
+	gl.attachShader(program, Utils.compileShader(gl, gl.VERTEX_SHADER, preprocessed.source, {lineMap: preprocessed.lineMap}));
+	gl.attachShader(program, Utils.compileShader(gl, gl.FRAGMENT_SHADER, "#version 300 es\nvoid main(void) {}"));
+	gl.transformFeedbackVaryings(program, outputs, gl.SEPARATE_ATTRIBS);
+	this.program = new Utils.Program(gl, program);
+
+	this.vao = gl.createVertexArray();
+	this.transformFeedback = gl.createTransformFeedback();
+	this.inputs = {};
+	this.outputs = {};
+	for (let i = 0; i < outputs.length; i++) {
+		const varying = gl.getTransformFeedbackVarying(program, i);
+		let type = null;
+		for (let key in Utils.Program.types) {
+			if (gl[key] === varying.type) type = Utils.Program.types[key][0];
+		}
+		this.outputs[outputs[i]] = {
+			index: i,
+			type: type,
+			size: Utils.FeedbackKernel.components(type) * varying.size,
+			buffer: gl.createBuffer(),
+			count: 0,
+			capacity: 0
+		};
+	}
+};
+
+/**
+ * Get number of components of GLSL type
+ * @param  {string} type GLSL name of the type, e.g. "vec3", "uint" or "mat4"
+ * @return {number}      number of components
+ */
+Utils.FeedbackKernel.components = function(type) {
+	const match = /(\d)(?:x(\d))?$/.exec(type);
+	if (match === null) return 1;
+	if (type.indexOf("mat") === 0) return Number(match[1]) * Number(match[2] || match[1]);
+	return Number(match[1]);
+};
+
+/**
+ * Set data of an input attribute, one element of the kernel uses "size" items of the array
+ * @param  {string} name                                 name of the attribute
+ * @param  {Float32Array,Int32Array,Uint32Array} data    values; integer arrays are used for int and uint attributes
+ * @param  {number} size                                 number of components of the attribute (1 to 4)
+ * @return {Utils.FeedbackKernel}                        this
+ */
+Utils.FeedbackKernel.prototype.setInput = function(name, data, size) {
+	const gl = this.gl;
+	if (this.inputs[name] === undefined) {
+		this.inputs[name] = {buffer: gl.createBuffer(), size: size, count: 0, capacity: 0, integer: false};
+	}
+	const input = this.inputs[name];
+	input.size = size;
+	input.count = data.length / size;
+	input.capacity = input.count;
+	input.integer = (data instanceof Int32Array || data instanceof Uint32Array);
+	input.glType = (data instanceof Int32Array) ? gl.INT : (data instanceof Uint32Array) ? gl.UNSIGNED_INT : gl.FLOAT;
+	gl.bindBuffer(gl.ARRAY_BUFFER, input.buffer);
+	gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_COPY);
+	gl.bindBuffer(gl.ARRAY_BUFFER, null);
+	return this;
+};
+
+/**
+ * Set value of a uniform, see Utils.Program.set
+ * @param  {string} name                 name of the uniform
+ * @param  {*} value                     value of the uniform
+ * @return {Utils.FeedbackKernel}        this
+ */
+Utils.FeedbackKernel.prototype.set = function(name, value) {
+	this.program.use().set(name, value);
+	return this;
+};
+
+/**
+ * Run the kernel
+ * @param  {number} count         number of elements, by default the number of elements of the first input
+ * @return {Utils.FeedbackKernel} this
+ */
+Utils.FeedbackKernel.prototype.run = function(count) {
+	const gl = this.gl;
+	if (count === undefined) {
+		count = 0;
+		for (let name in this.inputs) {
+			count = this.inputs[name].count;
+			break;
+		}
+	}
+
+	this.program.use();
+	gl.bindVertexArray(this.vao);
+	for (let name in this.inputs) {
+		const location = this.program.getAttribLocation(name);
+		if (location === -1) continue;
+		const input = this.inputs[name];
+		gl.bindBuffer(gl.ARRAY_BUFFER, input.buffer);
+		gl.enableVertexAttribArray(location);
+		if (input.integer) {
+			gl.vertexAttribIPointer(location, input.size, input.glType, 0, 0);
+		} else {
+			gl.vertexAttribPointer(location, input.size, gl.FLOAT, false, 0, 0);
+		}
+	}
+	gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+	gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, this.transformFeedback);
+	for (let name in this.outputs) {
+		const output = this.outputs[name];
+		// buffers grow only, so repeated runs do not reallocate them
+		if (output.capacity < count) {
+			gl.bindBuffer(gl.ARRAY_BUFFER, output.buffer);
+			gl.bufferData(gl.ARRAY_BUFFER, count * output.size * 4, gl.DYNAMIC_COPY);
+			gl.bindBuffer(gl.ARRAY_BUFFER, null);
+			output.capacity = count;
+		}
+		output.count = count;
+		gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, output.index, output.buffer);
+	}
+
+	gl.enable(gl.RASTERIZER_DISCARD);
+	gl.beginTransformFeedback(gl.POINTS);
+	gl.drawArrays(gl.POINTS, 0, count);
+	gl.endTransformFeedback();
+	gl.disable(gl.RASTERIZER_DISCARD);
+
+	for (let name in this.outputs) {
+		gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, this.outputs[name].index, null);
+	}
+	gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+	gl.bindVertexArray(null);
+	return this;
+};
+
+/**
+ * Read values of an output from GPU
+ * @param  {string} name                               name of the output
+ * @param  {Float32Array,Int32Array,Uint32Array} target optional array to read into, it has to be big enough
+ * @return {Float32Array,Int32Array,Uint32Array}       values of the output, array type is according to the output type
+ */
+Utils.FeedbackKernel.prototype.read = function(name, target) {
+	const gl = this.gl;
+	const output = this.outputs[name];
+	const length = output.count * output.size;
+	if (target === undefined) {
+		if (/^u(int|vec)/.test(output.type)) {
+			target = new Uint32Array(length);
+		} else if (/^(int|ivec)/.test(output.type)) {
+			target = new Int32Array(length);
+		} else {
+			target = new Float32Array(length);
+		}
+	}
+	gl.bindBuffer(gl.COPY_READ_BUFFER, output.buffer);
+	gl.getBufferSubData(gl.COPY_READ_BUFFER, 0, target, 0, length);
+	gl.bindBuffer(gl.COPY_READ_BUFFER, null);
+	return target;
+};
+
+/**
+ * Use an output as an input for next run, buffers of the output and the input are exchanged without copying.
+ * Typical use is a simulation where new positions are computed from the previous ones.
+ * @param  {string} outputName    name of the output
+ * @param  {string} inputName     name of the input attribute, it has to be set by setInput before
+ * @return {Utils.FeedbackKernel} this
+ */
+Utils.FeedbackKernel.prototype.feed = function(outputName, inputName) {
+	const output = this.outputs[outputName];
+	const input = this.inputs[inputName];
+	const buffer = input.buffer;
+	const capacity = input.capacity;
+	input.buffer = output.buffer;
+	input.count = output.count;
+	input.capacity = output.capacity;
+	output.buffer = buffer;
+	output.capacity = capacity;
+	return this;
+};
+
+/**
+ * Delete all WebGL objects of the kernel
+ */
+Utils.FeedbackKernel.prototype.dispose = function() {
+	const gl = this.gl;
+	for (let name in this.inputs) gl.deleteBuffer(this.inputs[name].buffer);
+	for (let name in this.outputs) gl.deleteBuffer(this.outputs[name].buffer);
+	gl.deleteVertexArray(this.vao);
+	gl.deleteTransformFeedback(this.transformFeedback);
+	gl.deleteProgram(this.program.program);
+};
+
+/**
+ * General-purpose computation on GPU with rendering into float textures (WebGL 2 with EXT_color_buffer_float).
+ * The kernel is a fragment shader (GLSL ES 3.00) which computes new state of one cell of a grid.
+ * The grid is kept in two RGBA32F textures which are swapped after every iteration (ping-pong).
+ * The shader gets the current state in "uniform sampler2D state", size of the grid in "uniform vec2 size"
+ * and coordinates of the cell (0 to 1) in "in vec2 uv", all of them are optional.
+ * @since 2.4.0
+ * @param {WebGL2RenderingContext} gl WebGL 2 context
+ * @param {string} source             source code of the fragment shader
+ * @param {number} width              width of the grid
+ * @param {number} height             height of the grid
+ * @param {Object} args               optional arguments
+ *                                    - defines {Object} macros to inject, see Utils.preprocessShader
+ *                                    - wrap {number} wrapping of the textures, e.g. gl.REPEAT for periodic grid (default gl.CLAMP_TO_EDGE)
+ * @throws {Error}                    If EXT_color_buffer_float is not supported
+ * @throws {SyntaxError}              If compilation or linking failed
+ * @constructor
+ */
+Utils.GridKernel = function(gl, source, width, height, args) {
+	if (args === undefined) args = {};
+	if (args.wrap === undefined) args.wrap = gl.CLAMP_TO_EDGE;
+	Utils.requireExtensions(gl, ["EXT_color_buffer_float"]);
+
+	this.gl = gl;
+	this.width = width;
+	this.height = height;
+
+	const vs = "#version 300 es\n" +
+		"in vec2 utils_position;\n" +
+		"out vec2 uv;\n" +
+		"void main(void) {\n" +
+		"	uv = utils_position * 0.5 + 0.5;\n" +
+		"	gl_Position = vec4(utils_position, 0.0, 1.0);\n" +
+		"}";
+	const preprocessed = Utils.preprocessShader(source, {name: "kernel", defines: args.defines});
+	const program = gl.createProgram();
+	gl.attachShader(program, Utils.compileShader(gl, gl.VERTEX_SHADER, vs));
+	gl.attachShader(program, Utils.compileShader(gl, gl.FRAGMENT_SHADER, preprocessed.source, {lineMap: preprocessed.lineMap}));
+	this.program = new Utils.Program(gl, program);
+
+	// one triangle covering whole viewport
+	this.vao = gl.createVertexArray();
+	this.buffer = gl.createBuffer();
+	gl.bindVertexArray(this.vao);
+	gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+	gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+	const location = this.program.getAttribLocation("utils_position");
+	gl.enableVertexAttribArray(location);
+	gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+	gl.bindVertexArray(null);
+	gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+	this.textures = [];
+	this.framebuffers = [];
+	for (let i = 0; i < 2; i++) {
+		const texture = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, texture);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, args.wrap);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, args.wrap);
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+		const framebuffer = gl.createFramebuffer();
+		gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+		this.textures.push(texture);
+		this.framebuffers.push(framebuffer);
+	}
+	gl.bindTexture(gl.TEXTURE_2D, null);
+	gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+	// index of the texture with the current state
+	this.current = 0;
+	this.inputs = {};
+};
+
+/**
+ * Set the current state of the grid
+ * @param  {Float32Array} data   4 values (RGBA) for every cell, row by row
+ * @return {Utils.GridKernel}    this
+ */
+Utils.GridKernel.prototype.setData = function(data) {
+	const gl = this.gl;
+	gl.bindTexture(gl.TEXTURE_2D, this.textures[this.current]);
+	gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, data);
+	gl.bindTexture(gl.TEXTURE_2D, null);
+	return this;
+};
+
+/**
+ * Set an additional input texture of the kernel
+ * @param  {string} name            name of the sampler uniform
+ * @param  {WebGLTexture} texture   the texture
+ * @return {Utils.GridKernel}       this
+ */
+Utils.GridKernel.prototype.setTexture = function(name, texture) {
+	this.inputs[name] = texture;
+	return this;
+};
+
+/**
+ * Set value of a uniform, see Utils.Program.set
+ * @param  {string} name          name of the uniform
+ * @param  {*} value              value of the uniform
+ * @return {Utils.GridKernel}     this
+ */
+Utils.GridKernel.prototype.set = function(name, value) {
+	this.program.use().set(name, value);
+	return this;
+};
+
+/**
+ * Run the kernel, viewport and framebuffer binding are restored afterwards
+ * @param  {number} iterations number of iterations (default 1)
+ * @return {Utils.GridKernel}  this
+ */
+Utils.GridKernel.prototype.run = function(iterations) {
+	if (iterations === undefined) iterations = 1;
+	const gl = this.gl;
+	const viewport = gl.getParameter(gl.VIEWPORT);
+	const framebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+
+	this.program.use();
+	this.program.set("size", [this.width, this.height]);
+	this.program.set("state", 0);
+	let unit = 1;
+	for (let name in this.inputs) {
+		gl.activeTexture(gl.TEXTURE0 + unit);
+		gl.bindTexture(gl.TEXTURE_2D, this.inputs[name]);
+		this.program.set(name, unit);
+		unit++;
+	}
+
+	gl.bindVertexArray(this.vao);
+	gl.viewport(0, 0, this.width, this.height);
+	gl.activeTexture(gl.TEXTURE0);
+	for (let i = 0; i < iterations; i++) {
+		const next = 1 - this.current;
+		gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[next]);
+		gl.bindTexture(gl.TEXTURE_2D, this.textures[this.current]);
+		gl.drawArrays(gl.TRIANGLES, 0, 3);
+		this.current = next;
+	}
+	gl.bindTexture(gl.TEXTURE_2D, null);
+	gl.bindVertexArray(null);
+	gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+	gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+	return this;
+};
+
+/**
+ * Get texture with the current state, e.g. for rendering of the result
+ * @return {WebGLTexture} the texture
+ */
+Utils.GridKernel.prototype.getTexture = function() {
+	return this.textures[this.current];
+};
+
+/**
+ * Read the current state from GPU
+ * @param  {Float32Array} target optional array to read into, it has to have at least width * height * 4 items
+ * @return {Float32Array}        4 values (RGBA) for every cell, row by row
+ */
+Utils.GridKernel.prototype.read = function(target) {
+	const gl = this.gl;
+	if (target === undefined) target = new Float32Array(this.width * this.height * 4);
+	const framebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+	gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.current]);
+	gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, target);
+	gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+	return target;
+};
+
+/**
+ * Delete all WebGL objects of the kernel
+ */
+Utils.GridKernel.prototype.dispose = function() {
+	const gl = this.gl;
+	this.textures.forEach((texture) => gl.deleteTexture(texture));
+	this.framebuffers.forEach((framebuffer) => gl.deleteFramebuffer(framebuffer));
+	gl.deleteBuffer(this.buffer);
+	gl.deleteVertexArray(this.vao);
+	gl.deleteProgram(this.program.program);
+};
+
+/**
+ * Get access to camera
+ * @since 2.3.0
+ * @see More info: {@link https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/getUserMedia}
+ * @param {HTMLVideoElement} video
+ * @param {number} width
+ * @param {number} height
+ * @param {string} facingMode
+ * @param {HTMLElement} errorElement
+ */
+Utils.getCamera = function(video, width, height, facingMode, errorElement) {
+	navigator.mediaDevices.getUserMedia({
+		audio: false,
+		video: {width: width, height: height, facingMode: facingMode}
+		/*video: {
+			width: { min: 720, ideal: 1024, max: 1280 },
+			height: { min: 540, max: 720 },
+			//prefer rear camera
+			facingMode: "environment"
+		}*/
+	}).then((stream) => {
+		video.srcObject = stream;
+	}).catch((error) => {
+		let msg;
+		if (error.name === "ConstraintNotSatisfiedError" || error.name === "NotFoundError") {
+			msg = "Your camera does not meet required resolution for this application to work.";
+		} else if (error.name === "TrackStartError") {
+			msg = "Your camera is probably used by different application at this time.";
+		} else {
+			msg = "There was an unknown error when accessing your camera.\nError message:\n" + error;
+		}
+		if (errorElement !== undefined) errorElement.innerHTML = msg;
+		alert(msg);
+		console.log("%cVideo Error: " + error, 'color: red');
+		console.log(msg);
+	});
+};
+
+/**
+ * Returns number of pixels mouse has moved
+ * @param  {MouseEvent} e
+ * @return {Object} object with "x" and "y" properties holding values
+ */
+Utils.getMousePoint = function(e) {
+	let point = {};
+	point.x = e.offsetX || 0;
+	point.y = e.offsetY || 0;
+	return point;
+};
+
+/**
+ * Returns number of virtual pixels mouse has moved when the pointer is locked
+ * @param  {MouseEvent} e
+ * @return {Object} object with "x" and "y" properties holding values
+ */
+Utils.getLockedMousePoint = function(e) {
+	let point = {};
+	point.x = e.movementX || 0;
+	point.y = e.movementY || 0;
+	return point;
+};
+
+/**
+ * Returns number of steps done by mouse wheel
+ * @param  {MouseEvent} e
+ * @return {number} number of steps
+ */
+Utils.getWheelRotation = function(e) {
+	// FF doesn't know e.wheelDelta
+	return e.wheelDelta || e.detail;
+};
+
+/**
+ * Encapsulation of assigning listener for mouse wheel
+ * @param {HTMLElement} element to which assign the listener
+ * @param {Function} callback with actual listener
+ */
+Utils.addMouseWheelListener = function(element, callback) {
+	// https://developer.mozilla.org/en-US/docs/Web/API/Element/wheel_event#Browser_compatibility
+	element.addEventListener("wheel", callback, false);
+};
+
+/**
+ * Calculates distance between two points in 2D plane
+ * @param  {number} x  1st point
+ * @param  {number} y  1st point
+ * @param  {number} x2 2nd point
+ * @param  {number} y2 2nd point
+ * @return {number}    distance
+ */
+Utils.distance = function(x, y, x2, y2) {
+	return Math.sqrt(
+		Math.pow((y2 - y), 2) + Math.pow((x2 - x), 2)
+	);
+};
+
+/**
+ * Function for converting matrix or vector into Float32Array
+ * @param  {Vec1D,Vec2D,Vec3D,Point3D,Mat3,Mat4} a
+ * @return {Float32Array} flat array with values from the parameter
+ */
+Utils.convert = function(a) {
+	if (a instanceof Vec1D) {
+		return new Float32Array([a.x]);
+	} else if (a instanceof Vec2D) {
+		return new Float32Array([a.x, a.y]);
+	} else if (a instanceof Vec3D) {
+		return new Float32Array([a.x, a.y, a.z]);
+	} else if (a instanceof Point3D) {
+		return new Float32Array([a.x, a.y, a.z, a.w]);
+	} else if (a instanceof Mat3) {
+		let temp = new Float32Array(9);
+		for (let i = 0; i < 3; i++) {
+			for (let j = 0; j < 3; j++) {
+				temp[i * 3 + j] = a.mat[i][j];
+			}
+		}
+		return temp;
+	} else if (a instanceof Mat4) {
+		let temp = new Float32Array(16);
+		for (let i = 0; i < 4; i++) {
+			for (let j = 0; j < 4; j++) {
+				temp[i * 4 + j] = a.mat[i][j];
+			}
+		}
+		return temp;
+	}
+};
+
+/**
+ * Typed array which grows geometrically when items are added, it is used for storing data of scenes
+ * Uint16Array is changed to Uint32Array automatically when a larger value is added.
+ * @since 2.4.0
+ * @param {Function} type   constructor of the typed array, e.g. Float32Array
+ * @param {number} capacity initial number of items (default 64)
+ * @constructor
+ */
+Utils.GrowableArray = function(type, capacity) {
+	if (capacity === undefined) capacity = 64;
+	this.array = new type(Math.max(capacity, 1));
+	this.length = 0;
+};
+
+/**
+ * Make sure there is space for more items, capacity is doubled until they fit
+ * @param {number} count number of items to be added
+ */
+Utils.GrowableArray.prototype.reserve = function(count) {
+	const needed = this.length + count;
+	if (needed <= this.array.length) return;
+	let capacity = this.array.length * 2;
+	while (capacity < needed) capacity *= 2;
+	this.resize(this.array.constructor, capacity);
+};
+
+/**
+ * Replace storage by a new typed array, items are copied
+ * @param {Function} type   constructor of the typed array
+ * @param {number} capacity number of items
+ */
+Utils.GrowableArray.prototype.resize = function(type, capacity) {
+	const array = new type(capacity);
+	array.set(this.array.subarray(0, this.length));
+	this.array = array;
+};
+
+/**
+ * Add items given as arguments, e.g. push(x, y, z)
+ * @param {...number} values the items
+ */
+Utils.GrowableArray.prototype.push = function() {
+	this.reserve(arguments.length);
+	for (let i = 0; i < arguments.length; i++) {
+		const value = arguments[i];
+		if (value > 65535 && this.array instanceof Uint16Array) this.resize(Uint32Array, this.array.length);
+		this.array[this.length++] = value;
+	}
+};
+
+/**
+ * Add items of an array
+ * @param {(number)[],Float32Array,Uint16Array,Uint32Array} values the items
+ * @param {number} offset                                          number added to every item, e.g. for indices (default 0)
+ */
+Utils.GrowableArray.prototype.append = function(values, offset) {
+	if (offset === undefined) offset = 0;
+	this.reserve(values.length);
+	if (this.array instanceof Uint16Array) {
+		let max = 0;
+		for (let i = 0; i < values.length; i++) {
+			if (values[i] > max) max = values[i];
+		}
+		if (max + offset > 65535) this.resize(Uint32Array, this.array.length);
+	}
+	if (offset === 0) {
+		this.array.set(values, this.length);
+	} else {
+		for (let i = 0; i < values.length; i++) {
+			this.array[this.length + i] = values[i] + offset;
+		}
+	}
+	this.length += values.length;
+};
+
+/**
+ * Get added items, the typed array is not copied
+ * @return {Float32Array,Uint16Array,Uint32Array} view of the storage with added items
+ */
+Utils.GrowableArray.prototype.view = function() {
+	return this.array.subarray(0, this.length);
+};
+
+/**
+ * Base of objects with geometry (Block, Face, Sphere, Primitive, Scene), it keeps data in typed arrays in the data property
+ * Properties vertices, colors, textureCoords, normals, tangents, bitangents and indices are kept for compatibility,
+ * they return arrays created from the typed arrays. The arrays are copies, changes of their items are not reflected
+ * in the data, a new array has to be assigned instead.
+ * @since 2.4.0
+ * @constructor
+ */
+Utils.Geometry = function() {
+	this.data = {};
+	this.views = {};
+};
+
+/**
+ * Names of data of geometry
+ * @type {(string)[]}
+ */
+Utils.Geometry.names = ["vertices", "colors", "textureCoords", "normals", "tangents", "bitangents", "indices"];
+
+/**
+ * Get data of an object, typed array if the object is Utils.Geometry, otherwise its property
+ * @param  {Object} obj  any object with geometry
+ * @param  {string} name name of the data, one of Utils.Geometry.names
+ * @return {(number)[],Float32Array,Uint16Array,Uint32Array,undefined} the data; undefined if the object does not have them
+ */
+Utils.Geometry.getData = function(obj, name) {
+	return (obj instanceof Utils.Geometry) ? obj.getData(name) : obj[name];
+};
+
+/**
+ * Get data as typed array
+ * @param  {string} name name of the data, one of Utils.Geometry.names
+ * @return {Float32Array,Uint16Array,Uint32Array,undefined} the data; undefined if the object does not have them
+ */
+Utils.Geometry.prototype.getData = function(name) {
+	return this.data[name];
+};
+
+/**
+ * Set data, arrays are converted into Float32Array, indices into Uint16Array or Uint32Array according to their values
+ * @param {string} name                                                      name of the data, one of Utils.Geometry.names
+ * @param {(number)[],Float32Array,Uint16Array,Uint32Array,undefined} array the data, undefined removes them
+ */
+Utils.Geometry.prototype.setData = function(name, array) {
+	delete this.views[name];
+	if (array === undefined) {
+		delete this.data[name];
+		return;
+	}
+	let type = Float32Array;
+	if (name === "indices") {
+		type = Uint16Array;
+		if (array instanceof Uint32Array) {
+			type = Uint32Array;
+		} else {
+			for (let i = 0; i < array.length; i++) {
+				if (array[i] > 65535) type = Uint32Array;
+			}
+		}
+	}
+	this.data[name] = (array instanceof type) ? array : new type(array);
+};
+
+/**
+ * Compute bounding box and bounding sphere of the object
+ * @return {Object,null} bounds, see Utils.computeBounds
+ */
+Utils.Geometry.prototype.getBounds = function() {
+	return Utils.computeBounds(this.getData("vertices"));
+};
+
+Utils.Geometry.names.forEach((name) => {
+	Object.defineProperty(Utils.Geometry.prototype, name, {
+		get: function() {
+			if (this.views[name] === undefined) {
+				const data = this.getData(name);
+				if (data === undefined) return undefined;
+				this.views[name] = Array.from(data);
+			}
+			return this.views[name];
+		},
+		set: function(array) {
+			this.setData(name, array);
+		}
+	});
+});
+
+/**
+ * Generate tangents and bitangents from texture coordinates, e.g. for normal mapping
+ * Tangents are orthogonalized against the normals, bitangents are cross products of normals and tangents
+ * with sign given by the texture coordinates. Vertices with no usable texture coordinates get any perpendicular tangent.
+ * @since 2.4.0
+ * @param  {(number)[]} vertices      array of vertices
+ * @param  {(number)[]} normals       array of normals
+ * @param  {(number)[]} textureCoords array of texture coordinates
+ * @param  {(number)[]} indices       array of indices
+ * @param  {boolean} strip            if indices are for triangle strip (default false)
+ * @return {Object}                   object with Float32Arrays tangents and bitangents
+ */
+Utils.computeTangents = function(vertices, normals, textureCoords, indices, strip) {
+	const count = vertices.length / 3;
+	let tan = new Float32Array(count * 3);
+	let bitan = new Float32Array(count * 3);
+
+	const step = (strip) ? 1 : 3;
+	for (let i = 0; i + 2 < indices.length; i += step) {
+		const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+		// degenerate triangles joining strips
+		if (a === b || b === c || a === c) continue;
+
+		const e1 = [0, 1, 2].map((k) => vertices[b * 3 + k] - vertices[a * 3 + k]);
+		const e2 = [0, 1, 2].map((k) => vertices[c * 3 + k] - vertices[a * 3 + k]);
+		const du1 = textureCoords[b * 2] - textureCoords[a * 2];
+		const dv1 = textureCoords[b * 2 + 1] - textureCoords[a * 2 + 1];
+		const du2 = textureCoords[c * 2] - textureCoords[a * 2];
+		const dv2 = textureCoords[c * 2 + 1] - textureCoords[a * 2 + 1];
+		const r = du1 * dv2 - du2 * dv1;
+		if (Math.abs(r) < 1e-12) continue;
+
+		for (let k = 0; k < 3; k++) {
+			const t = (e1[k] * dv2 - e2[k] * dv1) / r;
+			const bt = (e2[k] * du1 - e1[k] * du2) / r;
+			tan[a * 3 + k] += t; tan[b * 3 + k] += t; tan[c * 3 + k] += t;
+			bitan[a * 3 + k] += bt; bitan[b * 3 + k] += bt; bitan[c * 3 + k] += bt;
+		}
+	}
+
+	let tangents = new Float32Array(count * 3);
+	let bitangents = new Float32Array(count * 3);
+	for (let i = 0; i < count * 3; i += 3) {
+		const n = [normals[i], normals[i + 1], normals[i + 2]];
+		let t = [tan[i], tan[i + 1], tan[i + 2]];
+		// Gram-Schmidt
+		const d = n[0] * t[0] + n[1] * t[1] + n[2] * t[2];
+		t = [t[0] - n[0] * d, t[1] - n[1] * d, t[2] - n[2] * d];
+		let length = Math.sqrt(t[0] * t[0] + t[1] * t[1] + t[2] * t[2]);
+		if (length < 1e-6) {
+			// any vector perpendicular to the normal
+			t = (Math.abs(n[0]) < 0.9) ? [0, n[2], -n[1]] : [-n[2], 0, n[0]];
+			length = Math.sqrt(t[0] * t[0] + t[1] * t[1] + t[2] * t[2]);
+		}
+		t = [t[0] / length, t[1] / length, t[2] / length];
+
+		let b = [n[1] * t[2] - n[2] * t[1], n[2] * t[0] - n[0] * t[2], n[0] * t[1] - n[1] * t[0]];
+		if (b[0] * bitan[i] + b[1] * bitan[i + 1] + b[2] * bitan[i + 2] < 0) {
+			b = [-b[0], -b[1], -b[2]];
+		}
+		tangents.set(t, i);
+		bitangents.set(b, i);
+	}
+	return {tangents: tangents, bitangents: bitangents};
+};
+
+/**
+ * Generate smooth normals of vertices as averages of normals of their triangles weighted by areas of the triangles
+ * @since 2.4.0
+ * @param  {(number)[]} vertices array of vertices
+ * @param  {(number)[]} indices  array of indices
+ * @param  {boolean} strip       if indices are for triangle strip (default false)
+ * @return {Float32Array}        normals; vertices which are not in any triangle get zero vector
+ */
+Utils.computeNormals = function(vertices, indices, strip) {
+	let sums = new Float64Array(vertices.length);
+	const step = (strip) ? 1 : 3;
+	for (let i = 0; i + 2 < indices.length; i += step) {
+		let a = indices[i], b = indices[i + 1], c = indices[i + 2];
+		if (a === b || b === c || a === c) continue;
+		// every second triangle of strip has opposite order of vertices
+		if (strip && i % 2 === 1) {
+			const temp = a;
+			a = b;
+			b = temp;
+		}
+		const e1 = [0, 1, 2].map((k) => vertices[b * 3 + k] - vertices[a * 3 + k]);
+		const e2 = [0, 1, 2].map((k) => vertices[c * 3 + k] - vertices[a * 3 + k]);
+		// length of the cross product is double of the area
+		const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+		for (let k = 0; k < 3; k++) {
+			sums[a * 3 + k] += n[k];
+			sums[b * 3 + k] += n[k];
+			sums[c * 3 + k] += n[k];
+		}
+	}
+
+	let normals = new Float32Array(vertices.length);
+	for (let i = 0; i < sums.length; i += 3) {
+		const length = Math.sqrt(sums[i] * sums[i] + sums[i + 1] * sums[i + 1] + sums[i + 2] * sums[i + 2]);
+		if (length > 0) normals.set([sums[i] / length, sums[i + 1] / length, sums[i + 2] / length], i);
+	}
+	return normals;
+};
+
+/**
+ * Generate indices for a grid of (columns + 1) * (rows + 1) vertices stored row by row
+ * Triangles are counter-clockwise when columns go along x axis and rows go along y axis.
+ * @since 2.4.0
+ * @param  {number} columns number of columns of quads
+ * @param  {number} rows    number of rows of quads
+ * @param  {boolean} strip  if indices should be generated for triangle strip, rows are joined by degenerate triangles
+ * @param  {number} offset  index of the first vertex of the grid (default 0)
+ * @return {(number)[]}     array with indices
+ */
+Utils.createGridIndices = function(columns, rows, strip, offset) {
+	if (offset === undefined) offset = 0;
+	const n = columns + 1;
+	let indices = [];
+	for (let j = 0; j < rows; j++) {
+		const p = j * n + offset;
+		if (strip) {
+			if (j !== 0) {
+				// degenerate triangles to the next row
+				indices.push(p - 1, p + n);
+			}
+			for (let i = 0; i <= columns; i++) {
+				indices.push(p + n + i, p + i);
+			}
+		} else {
+			for (let i = 0; i < columns; i++) {
+				indices.push(p + i, p + i + 1, p + n + i,  p + i + 1, p + n + i + 1, p + n + i);
+			}
+		}
+	}
+	return indices;
+};
+
+/**
+ * Join two arrays of triangle strip indices by degenerate triangles
+ * The second strip starts at even position, so orientation of its triangles is kept.
+ * @since 2.4.0
+ * @param  {(number)[]} a first strip
+ * @param  {(number)[]} b second strip
+ * @return {(number)[]}   new array with both strips
+ */
+Utils.joinStrips = function(a, b) {
+	if (a.length === 0) return b.slice();
+	if (b.length === 0) return a.slice();
+	const last = a[a.length - 1];
+	const joint = (a.length % 2 === 0) ? [last, b[0]] : [last, last, b[0]];
+	return a.concat(joint, b);
+};
+
+/**
+ * Convert indices of triangle strip to indices of regular triangles, degenerate triangles are skipped
+ * @since 2.4.0
+ * @param  {(number)[]} indices indices of triangle strip
+ * @return {(number)[]}         indices of triangles with the same orientation
+ */
+Utils.stripToList = function(indices) {
+	let list = [];
+	for (let i = 0; i + 2 < indices.length; i++) {
+		const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+		if (a === b || b === c || a === c) continue;
+		// every second triangle of strip has opposite order of vertices
+		if (i % 2 === 0) {
+			list.push(a, b, c);
+		} else {
+			list.push(b, a, c);
+		}
+	}
+	return list;
+};
+
+/**
+ * Create transformed copy of an object
+ * Positions are transformed by the matrix, normals by its normal matrix (inverse transpose of the 3x3 part)
+ * and tangents and bitangents by its 3x3 part. Order of vertices of triangles is reversed if the matrix mirrors,
+ * so front faces stay front faces.
+ * @since 2.4.0
+ * @param  {Block,Face,Sphere,Primitive} obj an object with vertices, indices and optionally other data
+ * @param  {Mat4} transform                  the transformation
+ * @return {Object}                          new object with the same properties as Utils.Scene.add uses, data are typed arrays
+ *                                           except indices
+ */
+Utils.transformGeometry = function(obj, transform) {
+	const m = Utils.convert(transform);
+	const get = (name) => Utils.Geometry.getData(obj, name);
+	const directions = (array, matrix) => {
+		if (array === undefined) return undefined;
+		let result = new Float32Array(array.length);
+		for (let i = 0; i < array.length; i += 3) {
+			const x = array[i], y = array[i + 1], z = array[i + 2];
+			let d = [0, 1, 2].map((j) => x * matrix[j] + y * matrix[3 + j] + z * matrix[6 + j]);
+			const length = Math.sqrt(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+			if (length > 0) d = d.map((value) => value / length);
+			result.set(d, i);
+		}
+		return result;
+	};
+
+	const source = get("vertices");
+	let vertices = new Float32Array(source.length);
+	for (let i = 0; i < source.length; i += 3) {
+		const x = source[i], y = source[i + 1], z = source[i + 2];
+		const w = x * m[3] + y * m[7] + z * m[11] + m[15];
+		for (let j = 0; j < 3; j++) {
+			vertices[i + j] = (x * m[j] + y * m[4 + j] + z * m[8 + j] + m[12 + j]) / w;
+		}
+	}
+
+	// 3x3 part and its cofactors, normal matrix is transposed inverse, i.e. cofactors divided by determinant
+	const a = [m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]];
+	const cofactors = [
+		a[4] * a[8] - a[5] * a[7], a[5] * a[6] - a[3] * a[8], a[3] * a[7] - a[4] * a[6],
+		a[2] * a[7] - a[1] * a[8], a[0] * a[8] - a[2] * a[6], a[1] * a[6] - a[0] * a[7],
+		a[1] * a[5] - a[2] * a[4], a[2] * a[3] - a[0] * a[5], a[0] * a[4] - a[1] * a[3]
+	];
+	const determinant = a[0] * cofactors[0] + a[1] * cofactors[1] + a[2] * cofactors[2];
+
+	let indices = Array.from(get("indices"));
+	if (determinant < 0) {
+		if (obj.strip) {
+			// one more index changes order of vertices of all triangles
+			indices.unshift(indices[0]);
+		} else {
+			for (let i = 0; i + 2 < indices.length; i += 3) {
+				const temp = indices[i + 1];
+				indices[i + 1] = indices[i + 2];
+				indices[i + 2] = temp;
+			}
+		}
+	}
+
+	const copy = (array) => (array !== undefined) ? Float32Array.from(array) : undefined;
+	return {
+		vertices: vertices,
+		colors: copy(get("colors")),
+		textureCoords: copy(get("textureCoords")),
+		normals: directions(get("normals"), cofactors.map((value) => value / determinant)),
+		tangents: directions(get("tangents"), a),
+		bitangents: directions(get("bitangents"), a),
+		indices: indices,
+		strip: obj.strip
+	};
+};
+
+/**
+ * Compute axis-aligned bounding box and bounding sphere of vertices
+ * Center of the sphere is the center of the box, so the sphere is not the smallest possible, but it is cheap to compute.
+ * @since 2.4.0
+ * @param  {(number)[],Float32Array} vertices array of vertices
+ * @param  {number} first                     index of the first vertex (default 0)
+ * @param  {number} count                     number of vertices (default all from the first one)
+ * @return {Object,null}                      null if there are no vertices, otherwise object with properties
+ *                                            - min {(number)[]} minimal coordinates of the box
+ *                                            - max {(number)[]} maximal coordinates of the box
+ *                                            - center {(number)[]} center of the sphere
+ *                                            - radius {number} radius of the sphere
+ */
+Utils.computeBounds = function(vertices, first, count) {
+	if (first === undefined) first = 0;
+	if (count === undefined) count = vertices.length / 3 - first;
+	if (count <= 0) return null;
+
+	let min = [Infinity, Infinity, Infinity];
+	let max = [-Infinity, -Infinity, -Infinity];
+	for (let i = first * 3; i < (first + count) * 3; i += 3) {
+		for (let k = 0; k < 3; k++) {
+			if (vertices[i + k] < min[k]) min[k] = vertices[i + k];
+			if (vertices[i + k] > max[k]) max[k] = vertices[i + k];
+		}
+	}
+	const center = [0, 1, 2].map((k) => (min[k] + max[k]) / 2);
+	let radius = 0;
+	for (let i = first * 3; i < (first + count) * 3; i += 3) {
+		const x = vertices[i] - center[0], y = vertices[i + 1] - center[1], z = vertices[i + 2] - center[2];
+		radius = Math.max(radius, x * x + y * y + z * z);
+	}
+	return {min: min, max: max, center: center, radius: Math.sqrt(radius)};
+};
+
+/**
+ * Transform bounds, e.g. when an object is moved while drawing
+ * The box is the bounding box of the transformed box, the sphere is scaled by the largest scale of the matrix.
+ * @since 2.4.0
+ * @param  {Object} bounds  bounds created by Utils.computeBounds
+ * @param  {Mat4} transform the transformation (affine)
+ * @return {Object}         new transformed bounds
+ */
+Utils.transformBounds = function(bounds, transform) {
+	const m = Utils.convert(transform);
+	const point = (p) => [0, 1, 2].map((j) => p[0] * m[j] + p[1] * m[4 + j] + p[2] * m[8 + j] + m[12 + j]);
+	let corners = [];
+	for (let i = 0; i < 8; i++) {
+		corners.push(point([
+			(i & 1) ? bounds.max[0] : bounds.min[0],
+			(i & 2) ? bounds.max[1] : bounds.min[1],
+			(i & 4) ? bounds.max[2] : bounds.min[2]
+		]));
+	}
+	const box = Utils.computeBounds([].concat.apply([], corners));
+	let scale = 0;
+	for (let i = 0; i < 3; i++) {
+		scale = Math.max(scale, Math.sqrt(m[i * 4] * m[i * 4] + m[i * 4 + 1] * m[i * 4 + 1] + m[i * 4 + 2] * m[i * 4 + 2]));
+	}
+	return {min: box.min, max: box.max, center: point(bounds.center), radius: bounds.radius * scale};
+};
+
+/**
+ * View frustum for culling of objects outside of the view
+ * Planes are extracted from the matrix transforming points into clip space. The near plane is the one of OpenGL clip space
+ * (-w <= z), projections mapping depth into <0, w> therefore get slightly larger frustum, which is still correct for culling.
+ * @since 2.4.0
+ * @param {Mat4} matrix view and projection matrix, i.e. the matrix transforming points of the scene into clip space
+ * @constructor
+ */
+Utils.Frustum = function(matrix) {
+	const m = Utils.convert(matrix);
+	// columns of the matrix, clip coordinate is dot product of point with a column
+	const column = (j) => [m[j], m[4 + j], m[8 + j], m[12 + j]];
+	const x = column(0), y = column(1), z = column(2), w = column(3);
+	const add = (a, b, sign) => a.map((value, i) => value + sign * b[i]);
+
+	this.planes = [add(w, x, 1), add(w, x, -1), add(w, y, 1), add(w, y, -1), add(w, z, 1), add(w, z, -1)].map((plane) => {
+		const length = Math.sqrt(plane[0] * plane[0] + plane[1] * plane[1] + plane[2] * plane[2]);
+		return plane.map((value) => value / length);
+	});
+};
+
+/**
+ * Test if a sphere is at least partially inside of the frustum
+ * @param  {(number)[]} center center of the sphere
+ * @param  {number} radius     radius of the sphere
+ * @return {boolean}           false if the sphere is surely outside
+ */
+Utils.Frustum.prototype.intersectsSphere = function(center, radius) {
+	return this.planes.every((p) => p[0] * center[0] + p[1] * center[1] + p[2] * center[2] + p[3] >= -radius);
+};
+
+/**
+ * Test if an axis-aligned box is at least partially inside of the frustum
+ * @param  {(number)[]} min minimal coordinates of the box
+ * @param  {(number)[]} max maximal coordinates of the box
+ * @return {boolean}        false if the box is surely outside
+ */
+Utils.Frustum.prototype.intersectsBox = function(min, max) {
+	return this.planes.every((p) => {
+		// corner of the box farthest in the direction of the normal of the plane
+		const x = (p[0] > 0) ? max[0] : min[0];
+		const y = (p[1] > 0) ? max[1] : min[1];
+		const z = (p[2] > 0) ? max[2] : min[2];
+		return p[0] * x + p[1] * y + p[2] * z + p[3] >= 0;
+	});
+};
+
+/**
+ * Test if bounds are at least partially inside of the frustum, the sphere is tested first as it is cheaper
+ * @param  {Object} bounds bounds created by Utils.computeBounds
+ * @return {boolean}       false if the bounds are surely outside
+ */
+Utils.Frustum.prototype.intersectsBounds = function(bounds) {
+	if (bounds === null) return false;
+	return this.intersectsSphere(bounds.center, bounds.radius) && this.intersectsBox(bounds.min, bounds.max);
+};
+
+/**
+ * Compute inverse of 4x4 matrix
+ * @since 2.4.0
+ * @param  {Mat4,Float32Array} matrix the matrix or flat array from Utils.convert
+ * @return {Float64Array,null}        flat array with the inverse in the same order; null if the matrix is singular
+ */
+Utils.invertMatrix = function(matrix) {
+	const m = (matrix instanceof Mat4) ? Utils.convert(matrix) : matrix;
+	let inv = new Float64Array(16);
+	inv[0] = m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] + m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10];
+	inv[4] = -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] - m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10];
+	inv[8] = m[4] * m[9] * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] + m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9];
+	inv[12] = -m[4] * m[9] * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] - m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9];
+	inv[1] = -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] - m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10];
+	inv[5] = m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] + m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10];
+	inv[9] = -m[0] * m[9] * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] - m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9];
+	inv[13] = m[0] * m[9] * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] + m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9];
+	inv[2] = m[1] * m[6] * m[15] - m[1] * m[7] * m[14] - m[5] * m[2] * m[15] + m[5] * m[3] * m[14] + m[13] * m[2] * m[7] - m[13] * m[3] * m[6];
+	inv[6] = -m[0] * m[6] * m[15] + m[0] * m[7] * m[14] + m[4] * m[2] * m[15] - m[4] * m[3] * m[14] - m[12] * m[2] * m[7] + m[12] * m[3] * m[6];
+	inv[10] = m[0] * m[5] * m[15] - m[0] * m[7] * m[13] - m[4] * m[1] * m[15] + m[4] * m[3] * m[13] + m[12] * m[1] * m[7] - m[12] * m[3] * m[5];
+	inv[14] = -m[0] * m[5] * m[14] + m[0] * m[6] * m[13] + m[4] * m[1] * m[14] - m[4] * m[2] * m[13] - m[12] * m[1] * m[6] + m[12] * m[2] * m[5];
+	inv[3] = -m[1] * m[6] * m[11] + m[1] * m[7] * m[10] + m[5] * m[2] * m[11] - m[5] * m[3] * m[10] - m[9] * m[2] * m[7] + m[9] * m[3] * m[6];
+	inv[7] = m[0] * m[6] * m[11] - m[0] * m[7] * m[10] - m[4] * m[2] * m[11] + m[4] * m[3] * m[10] + m[8] * m[2] * m[7] - m[8] * m[3] * m[6];
+	inv[11] = -m[0] * m[5] * m[11] + m[0] * m[7] * m[9] + m[4] * m[1] * m[11] - m[4] * m[3] * m[9] - m[8] * m[1] * m[7] + m[8] * m[3] * m[5];
+	inv[15] = m[0] * m[5] * m[10] - m[0] * m[6] * m[9] - m[4] * m[1] * m[10] + m[4] * m[2] * m[9] + m[8] * m[1] * m[6] - m[8] * m[2] * m[5];
+
+	const determinant = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+	if (determinant === 0) return null;
+	return inv.map((value) => value / determinant);
+};
+
+/**
+ * Create a ray going from the camera through a point on the canvas
+ * @since 2.4.0
+ * @param  {Object} point             point on the canvas with "x" and "y" properties in CSS pixels, e.g. from Utils.getMousePoint
+ * @param  {HTMLCanvasElement} canvas the canvas
+ * @param  {Mat4} view                view matrix
+ * @param  {Mat4} projection          projection matrix
+ * @return {Object,null}              ray with properties origin {(number)[]} (on the near plane) and direction {(number)[]}
+ *                                    (normalized); null if the matrices cannot be inverted
+ */
+Utils.screenToRay = function(point, canvas, view, projection) {
+	const inverse = Utils.invertMatrix(view.mul(projection));
+	if (inverse === null) return null;
+	const width = canvas.clientWidth || canvas.width;
+	const height = canvas.clientHeight || canvas.height;
+	const x = 2 * point.x / width - 1;
+	const y = 1 - 2 * point.y / height;
+	const unproject = (z) => {
+		const p = [0, 1, 2, 3].map((j) => x * inverse[j] + y * inverse[4 + j] + z * inverse[8 + j] + inverse[12 + j]);
+		return [p[0] / p[3], p[1] / p[3], p[2] / p[3]];
+	};
+	const near = unproject(-1);
+	const far = unproject(1);
+	let direction = [far[0] - near[0], far[1] - near[1], far[2] - near[2]];
+	const length = Math.sqrt(direction[0] * direction[0] + direction[1] * direction[1] + direction[2] * direction[2]);
+	direction = direction.map((value) => value / length);
+	return {origin: near, direction: direction};
+};
+
+/**
+ * Intersection of a ray and a triangle (Möller–Trumbore algorithm), both sides of the triangle are hit
+ * @since 2.4.0
+ * @param  {Object} ray       ray with origin and direction, e.g. from Utils.screenToRay
+ * @param  {(number)[]} a     first vertex of the triangle
+ * @param  {(number)[]} b     second vertex of the triangle
+ * @param  {(number)[]} c     third vertex of the triangle
+ * @return {Object,null}      null if there is no intersection in front of the origin, otherwise object with properties
+ *                            distance {number} and barycentric {(number)[]} (weights of the vertices a, b and c)
+ */
+Utils.intersectRayTriangle = function(ray, a, b, c) {
+	const o = ray.origin, d = ray.direction;
+	const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+	const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+	const p = [d[1] * e2[2] - d[2] * e2[1], d[2] * e2[0] - d[0] * e2[2], d[0] * e2[1] - d[1] * e2[0]];
+	const determinant = e1[0] * p[0] + e1[1] * p[1] + e1[2] * p[2];
+	if (Math.abs(determinant) < 1e-12) return null;
+
+	const t = [o[0] - a[0], o[1] - a[1], o[2] - a[2]];
+	const u = (t[0] * p[0] + t[1] * p[1] + t[2] * p[2]) / determinant;
+	// small tolerance so that rays through a shared edge do not slip between the triangles
+	if (u < -1e-9 || u > 1 + 1e-9) return null;
+	const q = [t[1] * e1[2] - t[2] * e1[1], t[2] * e1[0] - t[0] * e1[2], t[0] * e1[1] - t[1] * e1[0]];
+	const v = (d[0] * q[0] + d[1] * q[1] + d[2] * q[2]) / determinant;
+	if (v < -1e-9 || u + v > 1 + 1e-9) return null;
+	const distance = (e2[0] * q[0] + e2[1] * q[1] + e2[2] * q[2]) / determinant;
+	if (distance < 0) return null;
+	return {distance: distance, barycentric: [1 - u - v, u, v]};
+};
+
+/**
+ * Intersection of a ray and bounds (bounding sphere first, then bounding box)
+ * @since 2.4.0
+ * @param  {Object} ray    ray with origin and direction, e.g. from Utils.screenToRay
+ * @param  {Object} bounds bounds created by Utils.computeBounds
+ * @return {number,null}   distance to the box (0 if the origin is inside); null if the ray misses
+ */
+Utils.intersectRayBounds = function(ray, bounds) {
+	if (bounds === null) return null;
+	const o = ray.origin, d = ray.direction;
+
+	// the ray misses the sphere if its closest point is farther than radius
+	const c = [bounds.center[0] - o[0], bounds.center[1] - o[1], bounds.center[2] - o[2]];
+	const projection = c[0] * d[0] + c[1] * d[1] + c[2] * d[2];
+	const distance2 = c[0] * c[0] + c[1] * c[1] + c[2] * c[2] - projection * projection;
+	if (distance2 > bounds.radius * bounds.radius) return null;
+
+	// slabs
+	let near = -Infinity, far = Infinity;
+	for (let k = 0; k < 3; k++) {
+		if (Math.abs(d[k]) < 1e-12) {
+			if (o[k] < bounds.min[k] || o[k] > bounds.max[k]) return null;
+			continue;
+		}
+		let t1 = (bounds.min[k] - o[k]) / d[k];
+		let t2 = (bounds.max[k] - o[k]) / d[k];
+		near = Math.max(near, Math.min(t1, t2));
+		far = Math.min(far, Math.max(t1, t2));
+	}
+	if (near > far || far < 0) return null;
+	return Math.max(near, 0);
+};
+
+/**
+ * Primitive modes of submeshes, the same values as gl.TRIANGLES and gl.TRIANGLE_STRIP
+ * @since 2.4.0
+ * @type {number}
+ */
+Utils.TRIANGLES = 4;
+Utils.TRIANGLE_STRIP = 5;
+
+/**
+ * Object for working with objects in the scene
+ * Allows generating of vertices, normals, tangents, colors, texture coordinates and indices for a few basic objects
+ * (currently Block, Face, Sphere, Cylinder, Cone, Torus, Capsule, Plane, Icosphere, Terrain, ParametricSurface, Tube),
+ * other objects can be added as Mesh
+ * Every added object has its submesh with offset and count of its indices and primitive mode (Utils.TRIANGLES
+ * or Utils.TRIANGLE_STRIP), so objects created as strips and as regular triangles can be in one scene.
+ * Data are stored in typed arrays growing geometrically (see Utils.Geometry for the array properties).
+ * @param {Object} args optional arguments, since 2.4.0
+ *                      - convertStrips {boolean} if objects created as triangle strips should be converted
+ *                                                to regular triangles, so the whole scene can be drawn by one call (default false)
+ * @constructor
+ */
+Utils.Scene = function(args) {
+	if (args === undefined) args = {};
+	if (args.convertStrips === undefined) args.convertStrips = false;
+
+	Utils.Geometry.call(this);
+	this.convertStrips = args.convertStrips;
+	this.submeshes = [];
+	Utils.Geometry.names.forEach((name) => {
+		this.data[name] = new Utils.GrowableArray((name === "indices") ? Uint16Array : Float32Array);
+	});
+};
+
+Utils.Scene.prototype = Object.create(Utils.Geometry.prototype);
+Utils.Scene.prototype.constructor = Utils.Scene;
+
+/**
+ * Get data as typed array, the storage is not copied
+ * @since 2.4.0
+ * @param  {string} name name of the data, one of Utils.Geometry.names
+ * @return {Float32Array,Uint16Array,Uint32Array} the data
+ */
+Utils.Scene.prototype.getData = function(name) {
+	return this.data[name].view();
+};
+
+/**
+ * Replace data
+ * @since 2.4.0
+ * @param {string} name                                                      name of the data, one of Utils.Geometry.names
+ * @param {(number)[],Float32Array,Uint16Array,Uint32Array,undefined} array the data, undefined removes them (they are empty)
+ */
+Utils.Scene.prototype.setData = function(name, array) {
+	delete this.views[name];
+	if (array === undefined) array = [];
+	const data = new Utils.GrowableArray((name === "indices") ? Uint16Array : Float32Array, array.length);
+	data.append(array);
+	this.data[name] = data;
+};
+
+/**
+ * Adding an object to the scene
+ * Data of the object are copied, so the object is not changed and it can be added more times.
+ * Object is drawn as triangle strip if its strip property is true.
+ * @param {Block,Face,Sphere,Primitive} obj an object to add
+ * @param {Mat4} transform                  transformation of the object, since 2.4.0 (optional)
+ * @return {Utils.Scene}                    the scene
+ */
+Utils.Scene.prototype.add = function(obj, transform) {
+	const source = obj;
+	if (transform !== undefined) obj = Utils.transformGeometry(obj, transform);
+
+	const length = this.data.vertices.length / 3;
+	Utils.Geometry.names.forEach((name) => {
+		const array = Utils.Geometry.getData(obj, name);
+		if (name !== "indices" && array !== undefined) this.data[name].append(array);
+	});
+	let b = Utils.Geometry.getData(obj, "indices");
+	let mode = (obj.strip) ? Utils.TRIANGLE_STRIP : Utils.TRIANGLES;
+	if (mode === Utils.TRIANGLE_STRIP && this.convertStrips) {
+		b = Utils.stripToList(b);
+		mode = Utils.TRIANGLES;
+	}
+
+	const bounds = Utils.computeBounds(this.data.vertices.array, length, this.data.vertices.length / 3 - length);
+	this.submeshes.push({
+		object: source,
+		offset: this.data.indices.length,
+		count: b.length,
+		mode: mode,
+		visible: true,
+		culled: false,
+		bounds: bounds
+	});
+	this.data.indices.append(b, length);
+	this.views = {};
+	return this;
+};
+
+/**
+ * Find submesh of an object, the first one if the object was added more times
+ * @since 2.4.0
+ * @param  {Object} obj        object added to the scene
+ * @return {Object,undefined}  submesh with properties object, offset, count, mode, visible, culled and bounds;
+ *                             undefined if not found
+ */
+Utils.Scene.prototype.getSubmesh = function(obj) {
+	return this.submeshes.find((submesh) => submesh.object === obj);
+};
+
+/**
+ * Show or hide an object (all its copies), hidden objects are not drawn by Utils.Drawable.draw
+ * @since 2.4.0
+ * @param {Object} obj      object added to the scene
+ * @param {boolean} visible if the object should be drawn
+ */
+Utils.Scene.prototype.setVisible = function(obj, visible) {
+	this.submeshes.forEach((submesh) => {
+		if (submesh.object === obj) submesh.visible = visible;
+	});
+};
+
+/**
+ * Find submeshes inside of the view frustum, the others are marked as culled and they are not drawn by Utils.Drawable.draw
+ * @since 2.4.0
+ * @param  {Mat4,Utils.Frustum} matrix view and projection matrix or the frustum
+ * @return {(Object)[]}                submeshes at least partially inside of the frustum
+ */
+Utils.Scene.prototype.cull = function(matrix) {
+	const frustum = (matrix instanceof Utils.Frustum) ? matrix : new Utils.Frustum(matrix);
+	return this.submeshes.filter((submesh) => {
+		submesh.culled = !frustum.intersectsBounds(submesh.bounds);
+		return !submesh.culled;
+	});
+};
+
+/**
+ * Find the closest triangle of the scene hit by a ray, hidden submeshes are skipped
+ * @since 2.4.0
+ * @param  {Object} ray ray with origin and direction, e.g. from Utils.screenToRay
+ * @return {Object,null} null if nothing was hit, otherwise object with properties
+ *                       - object {Object} the hit object (as it was added to the scene)
+ *                       - submesh {Object} the hit submesh
+ *                       - triangle {number} index of the triangle in the submesh (position in indices for triangle strip)
+ *                       - indices {(number)[]} indices of vertices of the triangle in the scene
+ *                       - distance {number} distance from the origin of the ray
+ *                       - barycentric {(number)[]} barycentric coordinates of the hit in the triangle
+ *                       - point {(number)[]} the hit point
+ */
+Utils.Scene.prototype.pick = function(ray) {
+	const vertices = this.data.vertices.array;
+	const indices = this.data.indices.array;
+	const vertex = (i) => [vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]];
+	let best = null;
+
+	this.submeshes.forEach((submesh) => {
+		if (!submesh.visible) return;
+		const distance = Utils.intersectRayBounds(ray, submesh.bounds);
+		if (distance === null || (best !== null && distance > best.distance)) return;
+
+		const strip = submesh.mode === Utils.TRIANGLE_STRIP;
+		const end = submesh.offset + submesh.count;
+		for (let i = submesh.offset; i + 2 < end; i += (strip) ? 1 : 3) {
+			const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+			if (a === b || b === c || a === c) continue;
+			const hit = Utils.intersectRayTriangle(ray, vertex(a), vertex(b), vertex(c));
+			if (hit !== null && (best === null || hit.distance < best.distance)) {
+				best = {
+					object: submesh.object,
+					submesh: submesh,
+					triangle: (strip) ? i - submesh.offset : (i - submesh.offset) / 3,
+					indices: [a, b, c],
+					distance: hit.distance,
+					barycentric: hit.barycentric
+				};
+			}
+		}
+	});
+
+	if (best !== null) {
+		best.point = [0, 1, 2].map((k) => ray.origin[k] + ray.direction[k] * best.distance);
+	}
+	return best;
+};
+
+/**
+ * Upload data of the scene into GPU buffers
+ * Data which does not belong to every vertex (e.g. texture coordinates when only some of the objects have them) is not uploaded.
+ * @since 2.4.0
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @param  {Object} layout            optional arguments
+ *                                    - attributes {Object} names of attributes in shaders for the data, keys are "vertices", "colors",
+ *                                                          "normals", "textureCoords", "tangents" and "bitangents";
+ *                                                          null means the data is not uploaded
+ *                                                          (default {vertices: "position", colors: "color", normals: "normal",
+ *                                                          textureCoords: "textureCoord", tangents: "tangent",
+ *                                                          bitangents: "bitangent"})
+ *                                    - interleaved {boolean} if all data should be in one buffer (default false)
+ *                                    - usage {number} usage of buffers (default gl.STATIC_DRAW)
+ *                                    - mode {number} primitive to draw all indices with in one call,
+ *                                                    submeshes of the scene are drawn if undefined
+ * @return {Utils.Drawable}           object with uploaded data
+ * @throws {Error}                    If the scene needs 32-bit indices and WebGL 1 context does not support OES_element_index_uint
+ */
+Utils.Scene.prototype.upload = function(gl, layout) {
+	if (layout === undefined) layout = {};
+	if (layout.interleaved === undefined) layout.interleaved = false;
+	if (layout.usage === undefined) layout.usage = gl.STATIC_DRAW;
+	const names = Object.assign({
+		vertices: "position",
+		colors: "color",
+		normals: "normal",
+		textureCoords: "textureCoord",
+		tangents: "tangent",
+		bitangents: "bitangent"
+	}, layout.attributes);
+
+	const count = this.data.vertices.length / 3;
+	const sizes = {vertices: 3, colors: 3, normals: 3, textureCoords: 2, tangents: 3, bitangents: 3};
+	let attributes = [];
+	for (let key in names) {
+		if (!names[key] || !this.data[key] || this.data[key].length === 0) continue;
+		let size = sizes[key];
+		// colors may have 3 or 4 components
+		if (key === "colors" && this.data[key].length === count * 4) size = 4;
+		if (this.data[key].length !== count * size) continue;
+		attributes.push({name: names[key], data: this.getData(key), size: size, stride: 0, offset: 0});
+	}
+
+	if (layout.interleaved) {
+		let total = 0;
+		attributes.forEach((attribute) => total += attribute.size);
+		const data = new Float32Array(count * total);
+		let offset = 0;
+		for (let i = 0; i < attributes.length; i++) {
+			const attribute = attributes[i];
+			for (let v = 0; v < count; v++) {
+				for (let c = 0; c < attribute.size; c++) {
+					data[v * total + offset + c] = attribute.data[v * attribute.size + c];
+				}
+			}
+			attribute.stride = total * Float32Array.BYTES_PER_ELEMENT;
+			attribute.offset = offset * Float32Array.BYTES_PER_ELEMENT;
+			offset += attribute.size;
+		}
+		const buffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+		gl.bufferData(gl.ARRAY_BUFFER, data, layout.usage);
+		attributes.forEach((attribute) => attribute.buffer = buffer);
+	} else {
+		for (let i = 0; i < attributes.length; i++) {
+			attributes[i].buffer = gl.createBuffer();
+			gl.bindBuffer(gl.ARRAY_BUFFER, attributes[i].buffer);
+			gl.bufferData(gl.ARRAY_BUFFER, attributes[i].data, layout.usage);
+		}
+	}
+	gl.bindBuffer(gl.ARRAY_BUFFER, null);
+	attributes.forEach((attribute) => delete attribute.data);
+
+	const data = this.getData("indices");
+	let indexType = gl.UNSIGNED_SHORT;
+	let indices;
+	if (count <= 65536) {
+		indices = (data instanceof Uint16Array) ? data : new Uint16Array(data);
+	} else {
+		if (!Utils.isWebGL2(gl) && gl.getExtension("OES_element_index_uint") === null) {
+			throw new Error("Utils.Scene.upload: Scene has " + count + " vertices, which needs OES_element_index_uint extension " +
+				"and it is not supported.");
+		}
+		indexType = gl.UNSIGNED_INT;
+		indices = (data instanceof Uint32Array) ? data : new Uint32Array(data);
+	}
+	const indexBuffer = gl.createBuffer();
+	gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+	gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, layout.usage);
+	gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
+
+	// objects added to the scene later are not in the uploaded buffers
+	let submeshes = this.submeshes.slice();
+	if (layout.mode !== undefined || submeshes.length === 0) {
+		submeshes = [{offset: 0, count: indices.length, mode: (layout.mode !== undefined) ? layout.mode : gl.TRIANGLES, visible: true}];
+	}
+	return new Utils.Drawable(gl, attributes, indexBuffer, indexType, indices.length, submeshes);
+};
+
+/**
+ * Object with data uploaded to GPU, it is created by Utils.Scene.upload
+ * Vertex array object is created for every program it is drawn with, if VAOs are available
+ * (WebGL 2 or OES_vertex_array_object extension).
+ * @since 2.4.0
+ * @param {WebGLRenderingContext} gl WebGL context
+ * @param {(Object)[]} attributes    objects with properties name, buffer, size, stride and offset
+ * @param {WebGLBuffer} indexBuffer  buffer with indices
+ * @param {number} indexType         gl.UNSIGNED_SHORT or gl.UNSIGNED_INT
+ * @param {number} count             number of indices
+ * @param {(Object)[]} submeshes     parts drawn by one call, objects with properties offset, count, mode and visible;
+ *                                   submeshes of the scene are shared, so hiding them in the scene hides them here too,
+ *                                   but objects added to the scene after upload are not added here
+ * @constructor
+ */
+Utils.Drawable = function(gl, attributes, indexBuffer, indexType, count, submeshes) {
+	this.gl = gl;
+	this.attributes = attributes;
+	this.indexBuffer = indexBuffer;
+	this.indexType = indexType;
+	this.count = count;
+	this.submeshes = submeshes;
+
+	// WebGLProgram -> VAO
+	this.vaos = new Map();
+	this.vaoExtension = null;
+	if (!Utils.isWebGL2(gl)) this.vaoExtension = gl.getExtension("OES_vertex_array_object");
+};
+
+/**
+ * Check if vertex array objects are available
+ * @return {boolean} true if available
+ */
+Utils.Drawable.prototype.hasVAO = function() {
+	return this.vaoExtension !== null || Utils.isWebGL2(this.gl);
+};
+
+/**
+ * Bind vertex array object, null unbinds it
+ * @param {WebGLVertexArrayObject} vao the VAO
+ */
+Utils.Drawable.prototype.bindVAO = function(vao) {
+	if (this.vaoExtension !== null) {
+		this.vaoExtension.bindVertexArrayOES(vao);
+	} else {
+		this.gl.bindVertexArray(vao);
+	}
+};
+
+/**
+ * Set buffers of attributes which are active in the program
+ * @param  {Utils.Program,WebGLProgram} program the program
+ * @return {(number)[]}                          locations of enabled attributes
+ */
+Utils.Drawable.prototype.bindAttributes = function(program) {
+	const gl = this.gl;
+	let locations = [];
+	for (let i = 0; i < this.attributes.length; i++) {
+		const attribute = this.attributes[i];
+		const location = (program instanceof Utils.Program) ?
+			program.getAttribLocation(attribute.name) : gl.getAttribLocation(program, attribute.name);
+		if (location === -1) continue;
+		gl.bindBuffer(gl.ARRAY_BUFFER, attribute.buffer);
+		gl.enableVertexAttribArray(location);
+		gl.vertexAttribPointer(location, attribute.size, gl.FLOAT, false, attribute.stride, attribute.offset);
+		locations.push(location);
+	}
+	gl.bindBuffer(gl.ARRAY_BUFFER, null);
+	return locations;
+};
+
+/**
+ * Draw the data, attributes are bound by their names. The program has to be in use.
+ * @param {Utils.Program,WebGLProgram} program the program to draw with
+ * @param {number,Object} submesh              index of submesh or the submesh to draw even if it is hidden or culled;
+ *                                             all visible submeshes which are not culled are drawn if undefined
+ */
+Utils.Drawable.prototype.draw = function(program, submesh) {
+	const gl = this.gl;
+	let submeshes;
+	if (submesh === undefined) {
+		submeshes = this.submeshes.filter((s) => s.visible && !s.culled);
+	} else {
+		submeshes = [(typeof submesh === "number") ? this.submeshes[submesh] : submesh];
+	}
+	const size = (this.indexType === gl.UNSIGNED_INT) ? 4 : 2;
+	const drawElements = () => {
+		if (program instanceof Utils.Program && program.validateOnDraw) program.validate();
+		submeshes.forEach((s) => gl.drawElements(s.mode, s.count, this.indexType, s.offset * size));
+	};
+
+	if (this.hasVAO()) {
+		const key = (program instanceof Utils.Program) ? program.program : program;
+		let vao = this.vaos.get(key);
+		if (vao === undefined) {
+			vao = (this.vaoExtension !== null) ? this.vaoExtension.createVertexArrayOES() : gl.createVertexArray();
+			this.bindVAO(vao);
+			this.bindAttributes(program);
+			gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+			this.vaos.set(key, vao);
+		} else {
+			this.bindVAO(vao);
+		}
+		drawElements();
+		this.bindVAO(null);
+	} else {
+		const locations = this.bindAttributes(program);
+		gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+		drawElements();
+		// enabled attributes without buffers would break drawing with other programs
+		locations.forEach((location) => gl.disableVertexAttribArray(location));
+	}
+};
+
+/**
+ * Delete buffers and VAOs
+ */
+Utils.Drawable.prototype.dispose = function() {
+	const gl = this.gl;
+	this.vaos.forEach((vao) => {
+		if (this.vaoExtension !== null) {
+			this.vaoExtension.deleteVertexArrayOES(vao);
+		} else {
+			gl.deleteVertexArray(vao);
+		}
+	});
+	this.vaos.clear();
+	let buffers = [this.indexBuffer];
+	this.attributes.forEach((attribute) => {
+		if (buffers.indexOf(attribute.buffer) === -1) buffers.push(attribute.buffer);
+	});
+	buffers.forEach((buffer) => gl.deleteBuffer(buffer));
+};
+
+/**
+ * Create a block
+ * @param {number} a     side length a
+ * @param {number} b     side length b
+ * @param {number} c     side length c
+ * @param {number} posx  position of the center of the block
+ * @param {number} posy  position of the center of the block
+ * @param {number} posz  position of the center of the block
+ * @param {Object} args  additional arguments
+ *                       - color {(number)[]} color as array (of usually three items); if undefined then RGB block
+ *                       - sharedVertices {boolean} if there should be separate vertices for every face (false),
+ *                                                  or if faces can share them (true, default value)
+ *                                                  if vertices are shared, then normals are averaged in corners
+ *                                                  and top and bottom faces get only the edge of the texture,
+ *                                                  use false for per-face normals and texture coordinates
+ * @constructor
+ */
+Utils.Block = function(a, b, c, posx, posy, posz, args) {
+	if (args === undefined) args = {};
+	if (args.sharedVertices === undefined) args.sharedVertices = true;
+
+	Utils.Geometry.call(this);
+	this.vertices = this.createVertices(a, b, c, posx, posy, posz, args.sharedVertices);
+	this.colors = this.createColors(args.color, args.sharedVertices);
+	this.textureCoords = this.createTextureCoords(args.sharedVertices);
+	this.normals = this.createNormals(args.sharedVertices);
+	this.indices = this.createIndices(args.sharedVertices);
+	this.strip = false;
+	const frame = Utils.computeTangents(this.data.vertices, this.data.normals, this.data.textureCoords, this.data.indices);
+	this.tangents = frame.tangents;
+	this.bitangents = frame.bitangents;
+};
+
+Utils.Block.prototype = Object.create(Utils.Geometry.prototype);
+Utils.Block.prototype.constructor = Utils.Block;
+
+/**
+ * Generate vertices for block
+ * @param  {number} a               side length a
+ * @param  {number} b               side length b
+ * @param  {number} c               side length c
+ * @param  {number} x               position of the center of the block
+ * @param  {number} y               position of the center of the block
+ * @param  {number} z               position of the center of the block
+ * @param  {boolean} sharedVertices if faces are sharing vertices (more info in constructor)
+ * @return {(number)[]}             array with vertices
+ */
+Utils.Block.prototype.createVertices = function(a, b, c, x, y, z, sharedVertices) {
+	let vertices = [];
+	// if shared then 8 vertices
+	if (sharedVertices) {
+		//front face
+		//bottom, left
+		vertices.push(-a+x, -b+y, c+z);
+		//bottom, right
+		vertices.push(a+x, -b+y, c+z);
+		//top, left
+		vertices.push(-a+x, b+y, c+z);
+		//top, right
+		vertices.push(a+x, b+y, c+z);
+		//right face
+		//bottom, right
+		vertices.push(a+x, -b+y, -c+z);
+		//top, right
+		vertices.push(a+x, b+y, -c+z);
+		//left face
+		//bottom, left
+		vertices.push(-a+x, -b+y, -c+z);
+		//top, left
+		vertices.push(-a+x, b+y, -c+z);
+	}
+	// if not shared then 24 vertices
+	else {
+		//front
+		vertices.push(-a+x, -b+y, -c+z);
+		vertices.push(a+x, -b+y, -c+z);
+		vertices.push(-a+x, -b+y, c+z);
+		vertices.push(a+x, -b+y, c+z);
+
+		// right face
+		vertices.push(a+x, -b+y, -c+z);
+		vertices.push(a+x, b+y, -c+z);
+		vertices.push(a+x, -b+y, c+z);
+		vertices.push(a+x, b+y, c+z);
+
+		// left face
+		vertices.push(-a+x, -b+y, -c+z);
+		vertices.push(-a+x, -b+y, c+z);
+		vertices.push(-a+x, b+y, -c+z);
+		vertices.push(-a+x, b+y, c+z);
+
+		// top face
+		vertices.push(-a+x, -b+y, c+z);
+		vertices.push(a+x, -b+y, c+z);
+		vertices.push(-a+x, b+y, c+z);
+		vertices.push(a+x, b+y, c+z);
+
+		// bottom face
+		vertices.push(-a+x, -b+y, -c+z);
+		vertices.push(-a+x, b+y, -c+z);
+		vertices.push(a+x, -b+y, -c+z);
+		vertices.push(a+x, b+y, -c+z);
+
+		// back face
+		vertices.push(-a+x, b+y, -c+z);
+		vertices.push(-a+x, b+y, c+z);
+		vertices.push(a+x, b+y, -c+z);
+		vertices.push(a+x, b+y, c+z);
+	}
+	return vertices;
+};
+
+/**
+ * Generate colors for block
+ * @param  {(number)[]} color       color as array; if undefined then RGB block
+ * @param  {boolean} sharedVertices if colors should be generated for block with shared vertices (more info in constructor)
+ * @return {(number)[]}             array with colors
+ */
+Utils.Block.prototype.createColors = function(color, sharedVertices) {
+	let colors = [];
+	// if color was set then copy it to every vertex
+	if (color !== undefined) {
+		// copy one colors to all vertices
+		const max = (sharedVertices) ? 8 : 24;
+		for (let i = 0; i < max; i++) {
+			for (let j = 0; j < color.length; j++) {
+				colors.push(color[j]);
+			}
+		}
+	} else {
+		if (sharedVertices) {
+			//front face
+			//bottom, left
+			colors.push(0.0, 0.0, 1.0);
 			//bottom, right
 			colors.push(1.0, 0.0, 1.0);
 			//top, left
@@ -456,493 +3251,2921 @@ Utils.Block.prototype.createColors = function(color, sharedVertices) {
 			//top, left
 			colors.push(0.0, 1.0, 0.0);
 		} else {
-			// front
-			colors.push(0.0, 0.0, 1.0);
-			colors.push(0.0, 0.0, 1.0);
-			colors.push(0.0, 0.0, 1.0);
-			colors.push(0.0, 0.0, 1.0);
-			// right
-			colors.push(0.0, 1.0, 1.0);
-			colors.push(0.0, 1.0, 1.0);
-			colors.push(0.0, 1.0, 1.0);
-			colors.push(0.0, 1.0, 1.0);
-			// left
-			colors.push(1.0, 0.0, 1.0);
-			colors.push(1.0, 0.0, 1.0);
-			colors.push(1.0, 0.0, 1.0);
-			colors.push(1.0, 0.0, 1.0);
-			// top
-			colors.push(1.0, 1.0, 0.0);
-			colors.push(1.0, 1.0, 0.0);
-			colors.push(1.0, 1.0, 0.0);
-			colors.push(1.0, 1.0, 0.0);
-			// bottom
-			colors.push(0.2, 0.2, 0.2);
-			colors.push(0.2, 0.2, 0.2);
-			colors.push(0.2, 0.2, 0.2);
-			colors.push(0.2, 0.2, 0.2);
-			// back
-			colors.push(1.0, 1.0, 1.0);
-			colors.push(1.0, 1.0, 1.0);
-			colors.push(1.0, 1.0, 1.0);
-			colors.push(1.0, 1.0, 1.0);
+			// front
+			colors.push(0.0, 0.0, 1.0);
+			colors.push(0.0, 0.0, 1.0);
+			colors.push(0.0, 0.0, 1.0);
+			colors.push(0.0, 0.0, 1.0);
+			// right
+			colors.push(0.0, 1.0, 1.0);
+			colors.push(0.0, 1.0, 1.0);
+			colors.push(0.0, 1.0, 1.0);
+			colors.push(0.0, 1.0, 1.0);
+			// left
+			colors.push(1.0, 0.0, 1.0);
+			colors.push(1.0, 0.0, 1.0);
+			colors.push(1.0, 0.0, 1.0);
+			colors.push(1.0, 0.0, 1.0);
+			// top
+			colors.push(1.0, 1.0, 0.0);
+			colors.push(1.0, 1.0, 0.0);
+			colors.push(1.0, 1.0, 0.0);
+			colors.push(1.0, 1.0, 0.0);
+			// bottom
+			colors.push(0.2, 0.2, 0.2);
+			colors.push(0.2, 0.2, 0.2);
+			colors.push(0.2, 0.2, 0.2);
+			colors.push(0.2, 0.2, 0.2);
+			// back
+			colors.push(1.0, 1.0, 1.0);
+			colors.push(1.0, 1.0, 1.0);
+			colors.push(1.0, 1.0, 1.0);
+			colors.push(1.0, 1.0, 1.0);
+		}
+	}
+	return colors;
+};
+
+/**
+ * Generate texture coordinates for block
+ * @since 2.0
+ * @param  {boolean} sharedVertices if block has shared vertices (more info in constructor)
+ * @return {(number)[]}             array with texture coords, always the same regarding the sharedVertices parameter
+ */
+Utils.Block.prototype.createTextureCoords = function(sharedVertices) {
+	if (sharedVertices) {
+		return [
+			//front
+			0, 0,
+			1, 0,
+			0, 1,
+			1, 1,
+			//right
+			0, 0,
+			0, 1,
+			//left
+			1, 0,
+			1, 1
+		];
+	}
+	return [
+		0, 0,
+		1, 0,
+		0, 1,
+		1, 1,
+
+		0, 0,
+		1, 0,
+		0, 1,
+		1, 1,
+
+		0, 0,
+		1, 0,
+		0, 1,
+		1, 1,
+
+		0, 0,
+		1, 0,
+		0, 1,
+		1, 1,
+
+		0, 0,
+		1, 0,
+		0, 1,
+		1, 1,
+
+		0, 0,
+		1, 0,
+		0, 1,
+		1, 1
+	];
+};
+
+/**
+ * Generate normals for block
+ * @since 2.4.0
+ * @param  {boolean} sharedVertices if block has shared vertices (more info in constructor)
+ * @return {(number)[]}             array with normals, always the same regarding the sharedVertices parameter
+ */
+Utils.Block.prototype.createNormals = function(sharedVertices) {
+	let normals = [];
+	if (sharedVertices) {
+		// average of normals of the three faces in the corner
+		const n = 1 / Math.sqrt(3);
+		normals.push(-n, -n, n);
+		normals.push(n, -n, n);
+		normals.push(-n, n, n);
+		normals.push(n, n, n);
+		normals.push(n, -n, -n);
+		normals.push(n, n, -n);
+		normals.push(-n, -n, -n);
+		normals.push(-n, n, -n);
+	} else {
+		const faces = [
+			// front
+			[0, -1, 0],
+			// right
+			[1, 0, 0],
+			// left
+			[-1, 0, 0],
+			// top
+			[0, 0, 1],
+			// bottom
+			[0, 0, -1],
+			// back
+			[0, 1, 0]
+		];
+		for (let i = 0; i < faces.length; i++) {
+			for (let j = 0; j < 4; j++) {
+				normals.push(faces[i][0], faces[i][1], faces[i][2]);
+			}
+		}
+	}
+	return normals;
+};
+
+/**
+ * Generate indices for block
+ * @param  {boolean} sharedVertices if block has shared vertices (more info in constructor)
+ * @return {(number)[]}             array with indices, always the same regarding the sharedVertices parameter
+ */
+Utils.Block.prototype.createIndices = function(sharedVertices) {
+	if (sharedVertices) {
+		return [
+			//front
+			0, 1, 2,  1, 3, 2,
+			//right
+			1, 4, 3,  4, 5, 3,
+			//left
+			6, 0, 7,  0, 2, 7,
+			//top
+			2, 3, 7,  3, 5, 7,
+			//bottom
+			6, 4, 0,  4, 1, 0,
+			//back
+			4, 6, 5,  6, 7, 5
+		];
+	} else {
+		return [
+			//front
+			0, 1, 2,  1, 3, 2,
+			//right
+			4, 5, 6,  5, 7, 6,
+			//left
+			8, 9, 10,  9, 11, 10,
+			//top
+			12, 13, 14,  13, 15, 14,
+			//bottom
+			16, 17, 18,  17, 19, 18,
+			//back
+			20, 21, 22,  21, 23, 22
+		];
+	}
+};
+
+/**
+ * Create a face
+ * @param {number} a     side length a
+ * @param {number} b     side length b
+ * @param {number} x     position of the center of the face
+ * @param {number} y     position of the center of the face
+ * @param {number} z     position of the center of the face
+ * @param {Object} args  additional arguments
+ *                       - color {(number)[]} color as array; if undefined then RGB
+ *                       - strip {boolean} if indices should be generated for drawing as a triangle strip (true is default)
+ *                       - orientation {Mat3} rotation matrix describing rotation over face center (default Mat3Identity)
+ * @constructor
+ */
+Utils.Face = function(a, b, x, y, z, args) {
+	if (args === undefined) args = {};
+	if (args.strip === undefined) args.strip = true;
+	if (args.orientation === undefined) args.orientation = new Mat3Identity();
+
+	Utils.Geometry.call(this);
+	this.vertices = this.createVertices(a, b, x, y, z, args.orientation);
+	this.colors = this.createColors(args.color);
+	this.textureCoords = this.createTextureCoords();
+	this.normals = this.createNormals(new Vec3D(x, y, z), this.vertices);
+	this.indices = this.createIndices(args.strip);
+	this.strip = args.strip;
+	const frame = Utils.computeTangents(this.data.vertices, this.data.normals, this.data.textureCoords, this.data.indices, args.strip);
+	this.tangents = frame.tangents;
+	this.bitangents = frame.bitangents;
+};
+
+Utils.Face.prototype = Object.create(Utils.Geometry.prototype);
+Utils.Face.prototype.constructor = Utils.Face;
+
+/**
+ * Generate vertices for face
+ * @param  {number} a   side length
+ * @param  {number} b   side length
+ * @param  {number} x   position of the center of the face
+ * @param  {number} y   position of the center of the face
+ * @param  {number} z   position of the center of the face
+ * @param  {Mat3} or    rotation matrix describing rotation over face center (default Mat3Identity)
+ * @return {(number)[]} array with vertices
+ */
+Utils.Face.prototype.createVertices = function(a, b, x, y, z, or) {
+
+	//bottom, left
+	const point1 = new Vec3D(-a, -b, 0).mul(or);
+	//bottom, right
+	const point2 = new Vec3D(a, -b, 0).mul(or);
+	//top, left
+	const point3 = new Vec3D(-a, b, 0).mul(or);
+	//top, right
+	const point4 = new Vec3D(a, b, 0).mul(or);
+
+	let vertices = [];
+	vertices.push(point1.x + x, point1.y + y, point1.z + z);
+	vertices.push(point2.x + x, point2.y + y, point2.z + z);
+	vertices.push(point3.x + x, point3.y + y, point3.z + z);
+	vertices.push(point4.x + x, point4.y + y, point4.z + z);
+
+	return vertices;
+};
+
+/**
+ * Generate colors for face
+ * @param  {number[]} color color as an array; if undefined then RGB
+ * @return {(number)[]}     array with colors
+ */
+Utils.Face.prototype.createColors = function(color) {
+	let colors = [];
+	if (color !== undefined) {
+		for (let i = 0; i < 4; i++) {
+			for (let j = 0; j < color.length; j++) {
+				colors.push(color[j]);
+			}
+		}
+	} else {
+		//bottom, left
+		colors.push(1.0, 0.0, 0.0);
+		//bottom, right
+		colors.push(0.0, 1.0, 0.0);
+		//top, left
+		colors.push(0.0, 0.0, 1.0);
+		//top, right
+		colors.push(1.0, 1.0, 1.0);
+	}
+	return colors;
+};
+
+/**
+ * Generate texture coordinates for face
+ * @since 2.0
+ * @return {(number)[]} array with texture coords, always the same array
+ */
+Utils.Face.prototype.createTextureCoords = function() {
+	return [
+		0, 1,
+		1, 1,
+		0, 0,
+		1, 0
+	];
+};
+
+/**
+ * Generate normals for face, all of them are perpendicular to the face
+ * @param  {Vec3D} pos  position of the center (not needed, the normal is given by edges of the face)
+ * @param  {(number)[]}  vertices vertices array
+ * @return {(number)[]}  array with normals
+ */
+Utils.Face.prototype.createNormals = function(pos, vertices) {
+	// cross product of the bottom and the left edge
+	const e1 = [0, 1, 2].map((k) => vertices[3 + k] - vertices[k]);
+	const e2 = [0, 1, 2].map((k) => vertices[6 + k] - vertices[k]);
+	const normal = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+	const length = Math.hypot(normal[0], normal[1], normal[2]);
+	let normals = [];
+	for (let i = 0; i < 4; i++) {
+		normals.push(normal[0] / length, normal[1] / length, normal[2] / length);
+	}
+	return normals;
+};
+
+/**
+ * Generate indices for face
+ * @param  {boolean} strip if face is going to be drawn with triangle strip
+ * @return {(number)[]}    array with indices
+ */
+Utils.Face.prototype.createIndices = function(strip) {
+	if (strip) {
+		return [0, 0, 1, 2, 3, 3];
+	} else {
+		return [0, 1, 2, 1, 3, 2];
+	}
+};
+
+/**
+ * Create a sphere
+ * @param {number} posx      position of the center of the sphere
+ * @param {number} posy      position of the center of the sphere
+ * @param {number} posz      position of the center of the sphere
+ * @param {number} radius    radius of the sphere
+ * @param {number} precision number of steps over the equator and the meridian, must be the same value
+ *                           has big impact on resulting number of vertices
+ *                           works only for even numbers
+ *                           the higher the number is the more the "sphere" looks like an actual sphere
+ *                           if equals 2 then it creates regular octahedron
+ * @param {Object} args      additional arguments
+ *                           - color {(number)[]} color of sphere (default white [1, 1, 1])
+ *                           - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                           - randomColor {boolean} if true then colors are going to be random for every vertice (default false)
+ * @constructor
+ */
+Utils.Sphere = function(posx, posy, posz, radius, precision, args) {
+	if (args === undefined) args = {};
+	if (args.color === undefined) args.color = [1, 1, 1];
+	if (args.strip === undefined) args.strip = true;
+	if (args.randomColor === undefined) args.randomColor = false;
+
+	Utils.Geometry.call(this);
+	let pos = new Vec3D(posx, posy, posz);
+	const vertices = this.createVertices(pos, radius, precision);
+	this.vertices = vertices;
+	this.colors = this.createColors(vertices.length / 3, args.color, args.randomColor);
+	this.normals = this.createNormals(pos, vertices);
+	this.textureCoords = this.createTextureCoords(precision);
+	this.indices = this.createIndices(precision, args.strip);
+	this.strip = args.strip;
+	const frame = Utils.computeTangents(this.data.vertices, this.data.normals, this.data.textureCoords, this.data.indices, args.strip);
+	this.tangents = frame.tangents;
+	this.bitangents = frame.bitangents;
+};
+
+Utils.Sphere.prototype = Object.create(Utils.Geometry.prototype);
+Utils.Sphere.prototype.constructor = Utils.Sphere;
+
+/**
+ * Generate vertices for sphere
+ * @param  {Vec3D} pos        position of the center
+ * @param  {number} radius    radius of sphere
+ * @param  {number} precision number of steps
+ * @return {Float32Array}     array with vertices
+ */
+Utils.Sphere.prototype.createVertices = function(pos, radius, precision) {
+	let step = Math.PI / precision;
+	let vertices = new Float32Array((precision + 1) * 2 * precision * 3);
+	let k = 0;
+	for (let fi = 0, round1 = 0; round1 <= precision; fi += step, round1++) {
+		vertices[k++] = pos.x + radius * Math.cos(fi);// * Math.cos(0) == 1
+		vertices[k++] = pos.y + radius * Math.sin(fi);// * Math.cos(0) == 1
+		vertices[k++] = pos.z;// + radius * Math.sin(0) -> +0
+		for (let psi = step, round2 = 1; round2 < 2 * precision; psi += step, round2++) {
+			vertices[k++] = pos.x + radius * Math.cos(fi) * Math.cos(psi);
+			vertices[k++] = pos.y + radius * Math.sin(fi) * Math.cos(psi);
+			vertices[k++] = pos.z + radius * Math.sin(psi);
+		}
+	}
+	return vertices;
+};
+
+/**
+ * Generate colors for sphere
+ * @param  {number} count      number of vertices the sphere has
+ * @param  {(number)[]} color  array with colors; ignored if (random === true)
+ * @param  {boolean} random    if color should be random for every vertex
+ * @return {Float32Array}      array with colors
+ */
+Utils.Sphere.prototype.createColors = function(count, color, random) {
+	const size = (random) ? 3 : color.length;
+	let colors = new Float32Array(count * size);
+	for (let i = 0; i < colors.length; i++) {
+		colors[i] = (random) ? Math.random() : color[i % size];
+	}
+	return colors;
+};
+
+/**
+ * Generate normals for sphere
+ * @param  {Vec3D} pos             position of the center
+ * @param  {Float32Array} vertices array of vertices
+ * @return {Float32Array}          array with normals
+ */
+Utils.Sphere.prototype.createNormals = function(pos, vertices) {
+	let normals = new Float32Array(vertices.length);
+	for (let i = 0; i < vertices.length; i += 3) {
+		const x = vertices[i] - pos.x, y = vertices[i + 1] - pos.y, z = vertices[i + 2] - pos.z;
+		const length = Math.sqrt(x * x + y * y + z * z);
+		normals[i] = x / length;
+		normals[i + 1] = y / length;
+		normals[i + 2] = z / length;
+	}
+	return normals;
+};
+
+/**
+ * Generate texture coordinates for sphere
+ * @param  {number} precision number of steps
+ * @return {Float32Array}     array with texture coordinates
+ */
+Utils.Sphere.prototype.createTextureCoords = function(precision) {
+	let texCoords = new Float32Array((precision + 1) * 2 * precision * 2);
+	let k = 0;
+	//precision == 4
+	const n = 1 / (precision * 2);//0.125
+	const n2 = n * 2;//0.25
+	for (let i = 0; i <= precision; i++) {
+		//0, 0.5, 0, 0.25, 0, 0,
+		//0.125, 0.5, 0.125, 0.25, 0.125, 0,
+		//0.25, 0.5, 0.25, 0.25, 0.25, 0,
+		//0.375, 0.5, 0.375, 0.25, 0.375, 0,
+		//0.5, 0.5, 0.5, 0.25, 0.5, 0,
+		for (let j = 0; j < precision / 2 + 1; j++) {
+			texCoords[k++] = n * i;
+			texCoords[k++] = 0.5 - j * n2;
+		}
+		//0.5, 0.25, 0.5, 0.5, 0.5, 0.75, 0.5, 1,
+		//0.625, 0.25, 0.625, 0.5, 0.625, 0.75, 0.625, 1,
+		//0.75, 0.25, 0.75, 0.5, 0.75, 0.75, 0.75, 1,
+		//0.875, 0.25, 0.875, 0.5, 0.875, 0.75, 0.875, 1,
+		//1, 0.25, 1, 0.5, 1, 0.75, 1, 1,
+		for (let j = 0; j < precision; j++) {
+			texCoords[k++] = 0.5 + n * i;
+			texCoords[k++] = (j + 1) * n2;
+		}
+		//0, 0.75,
+		//0.125, 0.75,
+		//0.25, 0.75,
+		//0.375, 0.75,
+		//0.5, 0.75
+		for (let j = 0; j < precision / 2 - 1; j++) {
+			texCoords[k++] = n * i;
+			texCoords[k++] = 1 - (j + 1) * n2;
+		}
+	}
+	return texCoords;
+};
+
+/**
+ * Generate indices for sphere
+ * @param  {number} precision       number of steps
+ * @param  {boolean} strip          if true then triangle strip, regular triangle otherwise
+ * @return {Uint16Array,Uint32Array} array with indices
+ */
+Utils.Sphere.prototype.createIndices = function(precision, strip) {
+	const n = precision * 2;
+	const n2 = precision;
+	// every ring has 2n + 4 indices in strip (plus 2 for joining) and 6n for triangles
+	const count = (strip) ? 1 + n2 * (2 * n + 4) + (n2 - 1) * 2 + 2 : n2 * 6 * n;
+	const type = ((precision + 1) * n > 65536) ? Uint32Array : Uint16Array;
+	let indices = new type(count);
+	let k = 0;
+	const push = function() {
+		for (let a = 0; a < arguments.length; a++) {
+			indices[k++] = arguments[a];
+		}
+	};
+	let i, j, p, b;
+	if (strip) {
+		push(n);
+		for (i = 0; i < n2; i++) {
+			p = i * n;
+			if (i !== 0) {
+				push(p, p);
+			}
+			// from start to top
+			for (j = 0; j < n / 4; j++) {
+				push(j + n + p, j + p);
+			}
+			// from top down
+			for (j = n / 4; j <= 3 * n / 4; j++) {
+				push(j + p, j + n + p);
+			}
+			// from down to zero
+			for (j = 3 * n / 4; j < n; j++) {
+				push(j + n + p, j + p);
+			}
+			// close to zero
+			push(n + p, p);
+		}
+
+		b = n * (n2 - 1);
+		push(b, b);// preparation for strip continuation
+	}
+	// regular triangles not strip
+	else {
+		// examples for
+			// n == 12
+			// precision == n2 == 6
+			// b == 60
+		for (i = 0; i < n/2; i++) {
+			// from start to top
+			//0, 12, 1, 1, 12, 13, /**/ 1, 13, 2, 2, 13, 14, /**/ 2, 14, 3, (3, 14, 15) /**/
+			p = i*n;
+			for (j = 0; j < n/4; j++) {
+				push(j+p, j+n+p, j+1+p, j+1+p, j+n+p, j+n+1+p);
+			}
+			// from top down
+			//4, 16, 3, (3, 16, 15) /**/ 5, 17, 4, 4, 17, 16, /**/ 6, 18, 5, 5, 18, 17 ...
+			for (j = n/4; j < 3*n/4; j++) {
+				//push(j+p, j+1+p, j+n+p, j+n+p, j+1+p);
+				push(j+1+p, j+n+1+p, j+p, j+p, j+n+1+p, j+n+p);
+			}
+			// from down to zero
+			//(9, 21, 10,) 10, 21, 22, /**/ 10, 22, 11, 11, 22, 23
+			for (j = 3*n/4; j < n-1; j++) {
+				push(j+p, j+n+p, j+1+p, j+1+p, j+n+p, j+n+1+p);
+			}
+			// close to zero
+			//11, 23, 0, 0, 23, 12
+			push(n-1+p, n*2-1+p, p, p, n*2-1+p, n+p);
+		}
+	}
+	return indices;
+};
+
+/**
+ * Common functions of parametric primitives (Cylinder, Cone, Torus, Capsule, Plane, Icosphere)
+ * Primitives are generated in local coordinates with the z axis as their axis,
+ * then they are rotated by args.orientation and moved to their position.
+ * Data are written into typed arrays growing geometrically and trimmed when the primitive is finished.
+ * @since 2.4.0
+ * @constructor
+ */
+Utils.Primitive = function() {};
+
+Utils.Primitive.prototype = Object.create(Utils.Geometry.prototype);
+Utils.Primitive.prototype.constructor = Utils.Primitive;
+
+/**
+ * Set default values of arguments and create empty storage
+ * @param  {Object} args arguments of the primitive
+ *                       - color {(number)[]} color of the primitive (default white [1, 1, 1])
+ *                       - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                       - orientation {Mat3} rotation matrix describing rotation over the center (default Mat3Identity)
+ * @return {Object}      the arguments
+ */
+Utils.Primitive.prototype.init = function(args) {
+	if (args === undefined) args = {};
+	if (args.color === undefined) args.color = [1, 1, 1];
+	if (args.strip === undefined) args.strip = true;
+	if (args.orientation === undefined) args.orientation = new Mat3Identity();
+
+	Utils.Geometry.call(this);
+	this.builder = {
+		vertices: new Utils.GrowableArray(Float32Array),
+		normals: new Utils.GrowableArray(Float32Array),
+		textureCoords: new Utils.GrowableArray(Float32Array),
+		indices: new Utils.GrowableArray(Uint16Array)
+	};
+	return args;
+};
+
+/**
+ * Add vertex in local coordinates
+ * @param {(number)[]} data array with position, normal and texture coordinates (8 items)
+ * @param {Vec3D} pos       position of the center
+ * @param {Mat3} or         rotation matrix describing rotation over the center
+ */
+Utils.Primitive.prototype.addVertex = function(data, pos, or) {
+	const m = or.mat;
+	const x = data[0], y = data[1], z = data[2], nx = data[3], ny = data[4], nz = data[5];
+	// the same as Vec3D.mul(Mat3)
+	this.builder.vertices.push(
+		x * m[0][0] + y * m[1][0] + z * m[2][0] + pos.x,
+		x * m[0][1] + y * m[1][1] + z * m[2][1] + pos.y,
+		x * m[0][2] + y * m[1][2] + z * m[2][2] + pos.z
+	);
+	this.builder.normals.push(
+		nx * m[0][0] + ny * m[1][0] + nz * m[2][0],
+		nx * m[0][1] + ny * m[1][1] + nz * m[2][1],
+		nx * m[0][2] + ny * m[1][2] + nz * m[2][2]
+	);
+	this.builder.textureCoords.push(data[6], data[7]);
+};
+
+/**
+ * Add grid of vertices, the grid is one part of the primitive (e.g. side or cap of a cylinder)
+ * @param {number} columns number of columns of quads
+ * @param {number} rows    number of rows of quads
+ * @param {Function} fn    function(u, v) with u and v from 0 to 1 returning array with position,
+ *                         normal and texture coordinates in local coordinates (8 items)
+ * @param {Vec3D} pos      position of the center
+ * @param {Object} args    arguments of the primitive
+ */
+Utils.Primitive.prototype.addGrid = function(columns, rows, fn, pos, args) {
+	const first = this.builder.vertices.length / 3;
+	for (let j = 0; j <= rows; j++) {
+		for (let i = 0; i <= columns; i++) {
+			this.addVertex(fn(i / columns, j / rows), pos, args.orientation);
+		}
+	}
+	const indices = Utils.createGridIndices(columns, rows, args.strip, first);
+	const target = this.builder.indices;
+	if (args.strip) {
+		// the same as Utils.joinStrips
+		if (target.length > 0) {
+			const last = target.array[target.length - 1];
+			target.push(last);
+			if (target.length % 2 === 0) target.push(last);
+			target.push(indices[0]);
+		}
+		target.append(indices);
+	} else {
+		// rows collapsed into one point (apex of a cone, center of a cap) give triangles without area
+		const vertices = this.builder.vertices.array;
+		const same = (a, b) => [0, 1, 2].every((k) => Math.abs(vertices[a * 3 + k] - vertices[b * 3 + k]) < 1e-6);
+		for (let i = 0; i < indices.length; i += 3) {
+			const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+			if (!same(a, b) && !same(b, c) && !same(a, c)) target.append([a, b, c]);
+		}
+	}
+};
+
+/**
+ * Generate colors, tangents and bitangents after all vertices were added
+ * @param {Object} args arguments of the primitive
+ */
+Utils.Primitive.prototype.finish = function(args) {
+	this.strip = args.strip;
+	for (let name in this.builder) {
+		// copy, so the storage is not larger than needed
+		this.setData(name, this.builder[name].view().slice());
+	}
+	delete this.builder;
+
+	const count = this.data.vertices.length / 3;
+	let colors = new Float32Array(count * args.color.length);
+	for (let i = 0; i < colors.length; i++) {
+		colors[i] = args.color[i % args.color.length];
+	}
+	this.colors = colors;
+	const frame = Utils.computeTangents(this.data.vertices, this.data.normals, this.data.textureCoords, this.data.indices, args.strip);
+	this.tangents = frame.tangents;
+	this.bitangents = frame.bitangents;
+};
+
+/**
+ * Add circular cap of a cylinder or a cone
+ * @param {number} radius    radius of the cap
+ * @param {number} z         position of the cap on the axis
+ * @param {number} direction 1 if the cap faces the z axis, -1 if it faces the opposite direction
+ * @param {number} precision number of steps around the axis
+ * @param {Vec3D} pos        position of the center of the primitive
+ * @param {Object} args      arguments of the primitive
+ */
+Utils.Primitive.prototype.addCap = function(radius, z, direction, precision, pos, args) {
+	this.addGrid(precision, 1, (u, v) => {
+		// top cap goes from the edge to the center, bottom one from the center to the edge
+		const r = (direction > 0) ? 1 - v : v;
+		const cos = Math.cos(u * 2 * Math.PI), sin = Math.sin(u * 2 * Math.PI);
+		return [radius * r * cos, radius * r * sin, z, 0, 0, direction, 0.5 + 0.5 * r * cos, 0.5 - 0.5 * direction * r * sin];
+	}, pos, args);
+};
+
+/**
+ * Create a cylinder with its axis in the z axis
+ * @since 2.4.0
+ * @param {number} posx      position of the center of the cylinder
+ * @param {number} posy      position of the center of the cylinder
+ * @param {number} posz      position of the center of the cylinder
+ * @param {number} radius    radius of the cylinder
+ * @param {number} height    height of the cylinder
+ * @param {number} precision number of steps around the axis
+ * @param {Object} args      additional arguments
+ *                           - color {(number)[]} color of cylinder (default white [1, 1, 1])
+ *                           - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                           - orientation {Mat3} rotation matrix describing rotation over the center (default Mat3Identity)
+ *                           - caps {boolean} if the bases should be generated (default true)
+ * @constructor
+ */
+Utils.Cylinder = function(posx, posy, posz, radius, height, precision, args) {
+	args = this.init(args);
+	if (args.caps === undefined) args.caps = true;
+
+	const pos = new Vec3D(posx, posy, posz);
+	const h = height / 2;
+	this.addGrid(precision, 1, (u, v) => {
+		const cos = Math.cos(u * 2 * Math.PI), sin = Math.sin(u * 2 * Math.PI);
+		return [radius * cos, radius * sin, -h + v * height, cos, sin, 0, u, 1 - v];
+	}, pos, args);
+	if (args.caps) {
+		this.addCap(radius, h, 1, precision, pos, args);
+		this.addCap(radius, -h, -1, precision, pos, args);
+	}
+	this.finish(args);
+};
+
+Utils.Cylinder.prototype = Object.create(Utils.Primitive.prototype);
+Utils.Cylinder.prototype.constructor = Utils.Cylinder;
+
+/**
+ * Create a cone with its axis in the z axis and the apex in the positive direction
+ * @since 2.4.0
+ * @param {number} posx      position of the center of the cone
+ * @param {number} posy      position of the center of the cone
+ * @param {number} posz      position of the center of the cone
+ * @param {number} radius    radius of the base
+ * @param {number} height    height of the cone
+ * @param {number} precision number of steps around the axis
+ * @param {Object} args      additional arguments
+ *                           - color {(number)[]} color of cone (default white [1, 1, 1])
+ *                           - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                           - orientation {Mat3} rotation matrix describing rotation over the center (default Mat3Identity)
+ *                           - cap {boolean} if the base should be generated (default true)
+ * @constructor
+ */
+Utils.Cone = function(posx, posy, posz, radius, height, precision, args) {
+	args = this.init(args);
+	if (args.cap === undefined) args.cap = true;
+
+	const pos = new Vec3D(posx, posy, posz);
+	const h = height / 2;
+	const length = Math.sqrt(height * height + radius * radius);
+	this.addGrid(precision, 1, (u, v) => {
+		const cos = Math.cos(u * 2 * Math.PI), sin = Math.sin(u * 2 * Math.PI);
+		const r = radius * (1 - v);
+		return [
+			r * cos, r * sin, -h + v * height,
+			height * cos / length, height * sin / length, radius / length,
+			u, 1 - v
+		];
+	}, pos, args);
+	if (args.cap) {
+		this.addCap(radius, -h, -1, precision, pos, args);
+	}
+	this.finish(args);
+};
+
+Utils.Cone.prototype = Object.create(Utils.Primitive.prototype);
+Utils.Cone.prototype.constructor = Utils.Cone;
+
+/**
+ * Create a torus around the z axis
+ * @since 2.4.0
+ * @param {number} posx        position of the center of the torus
+ * @param {number} posy        position of the center of the torus
+ * @param {number} posz        position of the center of the torus
+ * @param {number} radius      distance of the center of the tube from the center of the torus
+ * @param {number} tubeRadius  radius of the tube
+ * @param {number} precision   number of steps around the z axis
+ * @param {Object} args        additional arguments
+ *                             - color {(number)[]} color of torus (default white [1, 1, 1])
+ *                             - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                             - orientation {Mat3} rotation matrix describing rotation over the center (default Mat3Identity)
+ *                             - tubePrecision {number} number of steps around the tube (default precision)
+ * @constructor
+ */
+Utils.Torus = function(posx, posy, posz, radius, tubeRadius, precision, args) {
+	args = this.init(args);
+	if (args.tubePrecision === undefined) args.tubePrecision = precision;
+
+	this.addGrid(precision, args.tubePrecision, (u, v) => {
+		const cos = Math.cos(u * 2 * Math.PI), sin = Math.sin(u * 2 * Math.PI);
+		const cosTube = Math.cos(v * 2 * Math.PI), sinTube = Math.sin(v * 2 * Math.PI);
+		const r = radius + tubeRadius * cosTube;
+		return [r * cos, r * sin, tubeRadius * sinTube, cosTube * cos, cosTube * sin, sinTube, u, 1 - v];
+	}, new Vec3D(posx, posy, posz), args);
+	this.finish(args);
+};
+
+Utils.Torus.prototype = Object.create(Utils.Primitive.prototype);
+Utils.Torus.prototype.constructor = Utils.Torus;
+
+/**
+ * Create a capsule (cylinder with hemispheres at its ends) with its axis in the z axis
+ * @since 2.4.0
+ * @param {number} posx      position of the center of the capsule
+ * @param {number} posy      position of the center of the capsule
+ * @param {number} posz      position of the center of the capsule
+ * @param {number} radius    radius of the capsule
+ * @param {number} height    height of the cylindrical part, the whole capsule is (height + 2 * radius) high
+ * @param {number} precision number of steps around the axis, hemispheres have precision / 4 steps from the equator to the pole
+ * @param {Object} args      additional arguments
+ *                           - color {(number)[]} color of capsule (default white [1, 1, 1])
+ *                           - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                           - orientation {Mat3} rotation matrix describing rotation over the center (default Mat3Identity)
+ * @constructor
+ */
+Utils.Capsule = function(posx, posy, posz, radius, height, precision, args) {
+	args = this.init(args);
+
+	const steps = Math.max(1, Math.round(precision / 4));
+	const total = height + 2 * radius;
+	// rows of the grid go from the bottom pole to the top one, the middle row is the cylindrical part
+	this.addGrid(precision, 2 * steps + 1, (u, v) => {
+		const row = Math.round(v * (2 * steps + 1));
+		const top = row > steps;
+		const angle = (top) ? (row - steps - 1) / steps * Math.PI / 2 : (row / steps - 1) * Math.PI / 2;
+		const cos = Math.cos(u * 2 * Math.PI), sin = Math.sin(u * 2 * Math.PI);
+		const cosAngle = Math.cos(angle), sinAngle = Math.sin(angle);
+		const z = ((top) ? height / 2 : -height / 2) + radius * sinAngle;
+		return [
+			radius * cosAngle * cos, radius * cosAngle * sin, z,
+			cosAngle * cos, cosAngle * sin, sinAngle,
+			u, 0.5 - z / total
+		];
+	}, new Vec3D(posx, posy, posz), args);
+	this.finish(args);
+};
+
+Utils.Capsule.prototype = Object.create(Utils.Primitive.prototype);
+Utils.Capsule.prototype.constructor = Utils.Capsule;
+
+/**
+ * Create a plane subdivided into a grid, it is a face with more vertices
+ * @since 2.4.0
+ * @param {number} a       side length a (the plane goes from -a to a)
+ * @param {number} b       side length b (the plane goes from -b to b)
+ * @param {number} x       position of the center of the plane
+ * @param {number} y       position of the center of the plane
+ * @param {number} z       position of the center of the plane
+ * @param {number} columns number of quads along side a
+ * @param {number} rows    number of quads along side b
+ * @param {Object} args    additional arguments
+ *                         - color {(number)[]} color of plane (default white [1, 1, 1])
+ *                         - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                         - orientation {Mat3} rotation matrix describing rotation over plane center (default Mat3Identity)
+ * @constructor
+ */
+Utils.Plane = function(a, b, x, y, z, columns, rows, args) {
+	args = this.init(args);
+
+	this.addGrid(columns, rows, (u, v) => {
+		return [-a + 2 * a * u, -b + 2 * b * v, 0, 0, 0, 1, u, 1 - v];
+	}, new Vec3D(x, y, z), args);
+	this.finish(args);
+};
+
+Utils.Plane.prototype = Object.create(Utils.Primitive.prototype);
+Utils.Plane.prototype.constructor = Utils.Plane;
+
+/**
+ * Create a geodesic sphere by subdividing an icosahedron, its triangles have almost the same size unlike Utils.Sphere
+ * Indices are always for regular triangles, there is no reasonable triangle strip.
+ * @since 2.4.0
+ * @param {number} posx         position of the center of the sphere
+ * @param {number} posy         position of the center of the sphere
+ * @param {number} posz         position of the center of the sphere
+ * @param {number} radius       radius of the sphere
+ * @param {number} subdivisions number of subdivisions, every one of them multiplies number of triangles by 4
+ *                              if equals 0 then it creates regular icosahedron
+ * @param {Object} args         additional arguments
+ *                              - color {(number)[]} color of sphere (default white [1, 1, 1])
+ *                              - orientation {Mat3} rotation matrix describing rotation over the center (default Mat3Identity)
+ * @constructor
+ */
+Utils.Icosphere = function(posx, posy, posz, radius, subdivisions, args) {
+	args = this.init(args);
+	args.strip = false;
+
+	const t = (1 + Math.sqrt(5)) / 2;
+	let points = [
+		[-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+		[0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+		[t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+	].map((p) => this.normalize(p));
+	let faces = [
+		[0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+		[1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+		[3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+		[4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+	];
+
+	for (let s = 0; s < subdivisions; s++) {
+		// edge -> index of its middle point, so neighbouring triangles share it
+		let middles = new Map();
+		const middle = (a, b) => {
+			const key = (a < b) ? a + "," + b : b + "," + a;
+			if (!middles.has(key)) {
+				middles.set(key, points.length);
+				points.push(this.normalize([0, 1, 2].map((k) => points[a][k] + points[b][k])));
+			}
+			return middles.get(key);
+		};
+		let next = [];
+		faces.forEach((f) => {
+			const ab = middle(f[0], f[1]), bc = middle(f[1], f[2]), ca = middle(f[2], f[0]);
+			next.push([f[0], ab, ca], [f[1], bc, ab], [f[2], ca, bc], [ab, bc, ca]);
+		});
+		faces = next;
+	}
+
+	const pos = new Vec3D(posx, posy, posz);
+	let textureCoords = points.map((p) => [0.5 + Math.atan2(p[1], p[0]) / (2 * Math.PI), 0.5 - Math.asin(p[2]) / Math.PI]);
+	// triangles over the seam and poles need their own vertices with different texture coordinates
+	let extra = new Map();
+	faces.forEach((f) => {
+		const u = f.map((i) => textureCoords[i][0]);
+		const seam = Math.max.apply(null, u) - Math.min.apply(null, u) > 0.5;
+		for (let k = 0; k < 3; k++) {
+			const p = points[f[k]];
+			let newU = u[k];
+			if (Math.abs(p[0]) < 1e-9 && Math.abs(p[1]) < 1e-9) {
+				// pole, its u is in the middle of the other two vertices
+				let others = [u[(k + 1) % 3], u[(k + 2) % 3]];
+				if (Math.abs(others[0] - others[1]) > 0.5) others = others.map((o) => (o < 0.5) ? o + 1 : o);
+				newU = (others[0] + others[1]) / 2;
+			} else if (seam && newU < 0.5) {
+				newU += 1;
+			}
+			if (newU !== u[k]) {
+				const key = f[k] + "," + newU;
+				if (!extra.has(key)) {
+					extra.set(key, points.length);
+					points.push(p);
+					textureCoords.push([newU, textureCoords[f[k]][1]]);
+				}
+				f[k] = extra.get(key);
+			}
+		}
+	});
+
+	for (let i = 0; i < points.length; i++) {
+		const p = points[i];
+		this.addVertex([p[0] * radius, p[1] * radius, p[2] * radius, p[0], p[1], p[2], textureCoords[i][0], textureCoords[i][1]],
+			pos, args.orientation);
+	}
+	faces.forEach((f) => this.builder.indices.append(f));
+	this.finish(args);
+};
+
+Utils.Icosphere.prototype = Object.create(Utils.Primitive.prototype);
+Utils.Icosphere.prototype.constructor = Utils.Icosphere;
+
+/**
+ * Normalize vector given as an array
+ * @param  {(number)[]} p vector with three items
+ * @return {(number)[]}   new normalized vector
+ */
+Utils.Icosphere.prototype.normalize = function(p) {
+	const length = Math.sqrt(p[0] * p[0] + p[1] * p[1] + p[2] * p[2]);
+	return [p[0] / length, p[1] / length, p[2] / length];
+};
+
+/**
+ * Create a terrain from a heightmap, it is a grid with one vertex for every sample of the heightmap
+ * The terrain lies in the plane z = 0 (before rotation) with heights along z axis, the top row of the image
+ * is at the largest y. Heights of images are averages of red, green and blue channels from 0 (black) to 1 (white).
+ * Optionally the terrain is divided into square chunks with indices for more levels of detail, every level uses
+ * every second vertex of the previous one. Chunks share vertices of the terrain, neighbouring chunks with different
+ * levels of detail can have small cracks between them.
+ * @since 2.4.0
+ * @param {HTMLImageElement,ImageData,Float32Array} heightmap the heightmap, image has to be loaded
+ * @param {number} x                                          position of the center of the terrain
+ * @param {number} y                                          position of the center of the terrain
+ * @param {number} z                                          position of the center of the terrain
+ * @param {Object} args                                       additional arguments
+ *                                                            - scale {number} distance between neighbouring samples (default 1)
+ *                                                            - heightScale {number} height for value 1 (default 1)
+ *                                                            - mapWidth {number} number of samples in row of Float32Array
+ *                                                                                (default square root of its length)
+ *                                                            - chunkSize {number} number of quads along side of chunk,
+ *                                                                                 0 for no chunks (default 0)
+ *                                                            - levels {number} maximal number of levels of detail of chunks (default 4)
+ *                                                            - color {(number)[]} color of terrain (default white [1, 1, 1])
+ *                                                            - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                                                            - orientation {Mat3} rotation matrix describing rotation over the center
+ *                                                                                 (default Mat3Identity)
+ * @constructor
+ */
+Utils.Terrain = function(heightmap, x, y, z, args) {
+	args = this.init(args);
+	if (args.scale === undefined) args.scale = 1;
+	if (args.heightScale === undefined) args.heightScale = 1;
+	if (args.chunkSize === undefined) args.chunkSize = 0;
+	if (args.levels === undefined) args.levels = 4;
+
+	const map = this.readHeightmap(heightmap, args.mapWidth);
+	this.heights = map.heights;
+	this.mapWidth = map.width;
+	this.mapHeight = map.height;
+	const columns = map.width - 1, rows = map.height - 1;
+	// heights by vertices of the grid, rows of the grid go from the bottom of the image
+	const height = (i, j) => {
+		i = Math.min(Math.max(i, 0), columns);
+		j = Math.min(Math.max(j, 0), rows);
+		return map.heights[(rows - j) * map.width + i] * args.heightScale;
+	};
+
+	this.addGrid(columns, rows, (u, v) => {
+		const i = Math.round(u * columns), j = Math.round(v * rows);
+		// central differences, one-sided on the edges
+		const dx = (height(i + 1, j) - height(i - 1, j)) / ((Math.min(i + 1, columns) - Math.max(i - 1, 0)) * args.scale);
+		const dy = (height(i, j + 1) - height(i, j - 1)) / ((Math.min(j + 1, rows) - Math.max(j - 1, 0)) * args.scale);
+		const length = Math.sqrt(dx * dx + dy * dy + 1);
+		return [(i - columns / 2) * args.scale, (j - rows / 2) * args.scale, height(i, j),
+			-dx / length, -dy / length, 1 / length, u, 1 - v];
+	}, new Vec3D(x, y, z), args);
+	this.finish(args);
+	this.chunks = (args.chunkSize > 0) ? this.createChunks(columns, rows, args.chunkSize, args.levels) : [];
+};
+
+Utils.Terrain.prototype = Object.create(Utils.Primitive.prototype);
+Utils.Terrain.prototype.constructor = Utils.Terrain;
+
+/**
+ * Read heights from heightmap
+ * @param  {HTMLImageElement,ImageData,Float32Array} heightmap the heightmap
+ * @param  {number} width                                     number of samples in row of Float32Array
+ * @return {Object}                                           object with heights (Float32Array, rows from the top),
+ *                                                            width and height
+ */
+Utils.Terrain.prototype.readHeightmap = function(heightmap, width) {
+	if (heightmap instanceof Float32Array) {
+		if (width === undefined) width = Math.round(Math.sqrt(heightmap.length));
+		return {heights: heightmap, width: width, height: Math.floor(heightmap.length / width)};
+	}
+
+	let image = heightmap;
+	if (image.data === undefined) {
+		// image is drawn to get its pixels
+		const canvas = document.createElement("canvas");
+		canvas.width = heightmap.naturalWidth || heightmap.width;
+		canvas.height = heightmap.naturalHeight || heightmap.height;
+		const context = canvas.getContext("2d");
+		context.drawImage(heightmap, 0, 0);
+		image = context.getImageData(0, 0, canvas.width, canvas.height);
+	}
+	let heights = new Float32Array(image.width * image.height);
+	for (let i = 0; i < heights.length; i++) {
+		heights[i] = (image.data[i * 4] + image.data[i * 4 + 1] + image.data[i * 4 + 2]) / 765;
+	}
+	return {heights: heights, width: image.width, height: image.height};
+};
+
+/**
+ * Divide grid into chunks with indices for levels of detail
+ * @param  {number} columns   number of columns of quads of the terrain
+ * @param  {number} rows      number of rows of quads of the terrain
+ * @param  {number} chunkSize number of quads along side of chunk
+ * @param  {number} levels    maximal number of levels of detail
+ * @return {(Object)[]}       chunks with properties column and row (of the first quad), bounds (see Utils.computeBounds)
+ *                            and levels (array of indices for every level, from the most detailed one)
+ */
+Utils.Terrain.prototype.createChunks = function(columns, rows, chunkSize, levels) {
+	const vertices = this.data.vertices;
+	// sampled vertices of the chunk, the last one is always included
+	const samples = (first, last, step) => {
+		let result = [];
+		for (let i = first; i < last; i += step) {
+			result.push(i);
+		}
+		result.push(last);
+		return result;
+	};
+
+	let chunks = [];
+	for (let row = 0; row < rows; row += chunkSize) {
+		for (let column = 0; column < columns; column += chunkSize) {
+			const lastColumn = Math.min(column + chunkSize, columns), lastRow = Math.min(row + chunkSize, rows);
+			let chunk = {column: column, row: row, bounds: null, levels: []};
+			for (let level = 0; level < levels; level++) {
+				const c = samples(column, lastColumn, 1 << level), r = samples(row, lastRow, 1 << level);
+				const local = Utils.createGridIndices(c.length - 1, r.length - 1, this.strip);
+				chunk.levels.push(local.map((i) => r[Math.floor(i / c.length)] * (columns + 1) + c[i % c.length]));
+				// the chunk is already one quad
+				if (c.length === 2 && r.length === 2) break;
+			}
+
+			let points = [];
+			for (let j = row; j <= lastRow; j++) {
+				for (let i = column; i <= lastColumn; i++) {
+					const index = (j * (columns + 1) + i) * 3;
+					points.push(vertices[index], vertices[index + 1], vertices[index + 2]);
+				}
+			}
+			chunk.bounds = Utils.computeBounds(points);
+			chunks.push(chunk);
+		}
+	}
+	return chunks;
+};
+
+/**
+ * Get indices of all chunks with levels of detail chosen by distance from the camera
+ * Level 0 is used up to the given distance, level 1 up to its double, level 2 up to its quadruple etc.
+ * @param  {(number)[]} eye      position of the camera
+ * @param  {number} distance     distance where the most detailed level ends
+ * @return {(number)[]}          indices for the same primitive as the indices of the terrain (strip property)
+ */
+Utils.Terrain.prototype.getLevelIndices = function(eye, distance) {
+	let indices = [];
+	this.chunks.forEach((chunk) => {
+		const c = chunk.bounds.center;
+		const d = Math.sqrt((eye[0] - c[0]) * (eye[0] - c[0]) + (eye[1] - c[1]) * (eye[1] - c[1]) + (eye[2] - c[2]) * (eye[2] - c[2]));
+		let level = (d > distance) ? Math.floor(Math.log2(d / distance)) + 1 : 0;
+		level = Math.min(level, chunk.levels.length - 1);
+		indices = (this.strip) ? Utils.joinStrips(indices, chunk.levels[level]) : indices.concat(chunk.levels[level]);
+	});
+	return indices;
+};
+
+/**
+ * Create a surface given by a function of two parameters, e.g. for visualisation of mathematical surfaces
+ * Triangles are counter-clockwise when seen from the side where the cross product of derivatives
+ * by u and v points. Normals are computed by central differences when no function for them is given,
+ * in singular points (e.g. poles of a sphere) the normal of a point slightly moved to the middle of the ranges is used.
+ * @since 2.4.0
+ * @param {Function} fn     function(u, v) returning position [x, y, z] of the point of the surface
+ * @param {number} uSteps   number of steps of the parameter u
+ * @param {number} vSteps   number of steps of the parameter v
+ * @param {Object} args     additional arguments
+ *                          - uRange {(number)[]} minimal and maximal value of u (default [0, 1])
+ *                          - vRange {(number)[]} minimal and maximal value of v (default [0, 1])
+ *                          - normal {Function} function(u, v) returning normal [x, y, z] of the surface, it does not have to be normalized
+ *                                              (default normals are computed by differences)
+ *                          - position {(number)[]} position added to the points of the surface (default [0, 0, 0])
+ *                          - color {(number)[]} color of surface (default white [1, 1, 1])
+ *                          - strip {boolean} if indices should be generated for triangle strip (default true)
+ *                          - orientation {Mat3} rotation matrix describing rotation over the position (default Mat3Identity)
+ * @constructor
+ */
+Utils.ParametricSurface = function(fn, uSteps, vSteps, args) {
+	args = this.init(args);
+	if (args.uRange === undefined) args.uRange = [0, 1];
+	if (args.vRange === undefined) args.vRange = [0, 1];
+	if (args.position === undefined) args.position = [0, 0, 0];
+
+	const uSize = args.uRange[1] - args.uRange[0], vSize = args.vRange[1] - args.vRange[0];
+	const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+	const normal = (u, v) => {
+		if (args.normal !== undefined) return args.normal(u, v);
+		const h = 1e-4;
+		const du = sub(fn(u + h * uSize, v), fn(u - h * uSize, v));
+		const dv = sub(fn(u, v + h * vSize), fn(u, v - h * vSize));
+		return [du[1] * dv[2] - du[2] * dv[1], du[2] * dv[0] - du[0] * dv[2], du[0] * dv[1] - du[1] * dv[0]];
+	};
+
+	this.addGrid(uSteps, vSteps, (s, t) => {
+		const u = args.uRange[0] + s * uSize, v = args.vRange[0] + t * vSize;
+		const p = fn(u, v);
+		let n = normal(u, v);
+		let length = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
+		if (length < 1e-12) {
+			n = normal(u + (0.5 - s) * 1e-3 * uSize, v + (0.5 - t) * 1e-3 * vSize);
+			length = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]) || 1;
+		}
+		return [p[0], p[1], p[2], n[0] / length, n[1] / length, n[2] / length, s, 1 - t];
+	}, new Vec3D(args.position[0], args.position[1], args.position[2]), args);
+	this.finish(args);
+};
+
+Utils.ParametricSurface.prototype = Object.create(Utils.Primitive.prototype);
+Utils.ParametricSurface.prototype.constructor = Utils.ParametricSurface;
+
+/**
+ * Create a tube by sweeping a profile along a polyline
+ * The profile lies in the plane perpendicular to the polyline, its x axis is rotated along the polyline without twisting
+ * (parallel transport). Closed polylines can have a visible twist at the first point.
+ * Texture coordinate u goes along the profile, v along the polyline.
+ * @since 2.4.0
+ * @param {(number)[][]} points positions [x, y, z] of points of the polyline (at least 2)
+ * @param {number} radius       radius of the tube, the profile is scaled by it
+ * @param {number} precision    number of steps around the polyline for the default circular profile
+ * @param {Object} args         additional arguments
+ *                              - profile {(number)[][]} points [x, y] of a closed counter-clockwise profile
+ *                                                       (default circle with radius 1 and given precision)
+ *                              - closed {boolean} if the last point of polyline is connected to the first one (default false)
+ *                              - caps {boolean} if the ends of not closed tube should be generated (default false)
+ *                              - color {(number)[]} color of tube (default white [1, 1, 1])
+ *                              - strip {boolean} if indices should be generated for triangle strip (default true)
+ * @constructor
+ */
+Utils.Tube = function(points, radius, precision, args) {
+	args = this.init(args);
+	if (args.closed === undefined) args.closed = false;
+	if (args.caps === undefined) args.caps = false;
+	if (args.profile === undefined) {
+		args.profile = [];
+		for (let i = 0; i < precision; i++) {
+			args.profile.push([Math.cos(i / precision * 2 * Math.PI), Math.sin(i / precision * 2 * Math.PI)]);
+		}
+	}
+
+	const profile = args.profile;
+	const frames = this.createFrames(points, args.closed);
+	// outward normals of the profile
+	const profileNormals = profile.map((p, i) => {
+		const previous = profile[(i + profile.length - 1) % profile.length], next = profile[(i + 1) % profile.length];
+		const tx = next[0] - previous[0], ty = next[1] - previous[1];
+		const length = Math.sqrt(tx * tx + ty * ty) || 1;
+		return [ty / length, -tx / length];
+	});
+	const rows = points.length - ((args.closed) ? 0 : 1);
+	const point = (frame, x, y) => [0, 1, 2].map((k) => frame.point[k] + (frame.normal[k] * x + frame.binormal[k] * y) * radius);
+	const pos = new Vec3D(0, 0, 0);
+
+	this.addGrid(profile.length, rows, (u, v) => {
+		const i = Math.round(u * profile.length) % profile.length, j = Math.round(v * rows) % frames.length;
+		const frame = frames[j], n = profileNormals[i];
+		const normal = [0, 1, 2].map((k) => frame.normal[k] * n[0] + frame.binormal[k] * n[1]);
+		return point(frame, profile[i][0], profile[i][1]).concat(normal, [u, 1 - v]);
+	}, pos, args);
+
+	if (args.caps && !args.closed) {
+		const first = frames[0], last = frames[frames.length - 1];
+		// the first cap goes from the center to the edge, the last one from the edge to the center
+		[[first, 0, -1], [last, 1, 1]].forEach((cap) => {
+			const frame = cap[0], direction = cap[2];
+			this.addGrid(profile.length, 1, (u, v) => {
+				const r = (direction > 0) ? 1 - v : v;
+				const p = profile[Math.round(u * profile.length) % profile.length];
+				return point(frame, p[0] * r, p[1] * r).concat(frame.tangent.map((t) => t * direction),
+					[0.5 + 0.5 * r * p[0], 0.5 - 0.5 * direction * r * p[1]]);
+			}, pos, args);
+		});
+	}
+	this.finish(args);
+};
+
+Utils.Tube.prototype = Object.create(Utils.Primitive.prototype);
+Utils.Tube.prototype.constructor = Utils.Tube;
+
+/**
+ * Create frames for all points of a polyline, binormal is cross product of tangent and normal
+ * @param  {(number)[][]} points points of the polyline
+ * @param  {boolean} closed      if the polyline is closed
+ * @return {(Object)[]}          frames with properties point, tangent, normal and binormal (arrays [x, y, z])
+ */
+Utils.Tube.prototype.createFrames = function(points, closed) {
+	const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+	const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+	const normalize = (a) => {
+		const length = Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+		return (length > 1e-12) ? [a[0] / length, a[1] / length, a[2] / length] : null;
+	};
+	const n = points.length;
+	let frames = [];
+	let normal = null;
+	for (let j = 0; j < n; j++) {
+		// tangent is the average direction of both neighbouring segments
+		const previous = (j > 0 || closed) ? points[(j + n - 1) % n] : points[j];
+		const next = (j < n - 1 || closed) ? points[(j + 1) % n] : points[j];
+		const a = normalize(sub(points[j], previous)) || [0, 0, 0];
+		const b = normalize(sub(next, points[j])) || [0, 0, 0];
+		const tangent = normalize([a[0] + b[0], a[1] + b[1], a[2] + b[2]]) || a;
+
+		// the previous normal without its part in direction of the new tangent
+		if (normal !== null) {
+			const d = normal[0] * tangent[0] + normal[1] * tangent[1] + normal[2] * tangent[2];
+			normal = normalize([normal[0] - d * tangent[0], normal[1] - d * tangent[1], normal[2] - d * tangent[2]]);
+		}
+		if (normal === null) {
+			// any vector perpendicular to the tangent, the axis most different from the tangent is used
+			const abs = tangent.map(Math.abs);
+			const axis = (abs[0] <= abs[1] && abs[0] <= abs[2]) ? [1, 0, 0] : (abs[1] <= abs[2]) ? [0, 1, 0] : [0, 0, 1];
+			normal = normalize(cross(cross(tangent, axis), tangent));
+		}
+		frames.push({point: points[j], tangent: tangent, normal: normal, binormal: cross(tangent, normal)});
+	}
+	return frames;
+};
+
+/**
+ * Object with geometry given by arrays, e.g. a loaded model
+ * Missing normals are computed by Utils.computeNormals, missing texture coordinates are zeros
+ * and missing colors are filled by one color, so the object has the same data as the other objects.
+ * @since 2.4.0
+ * @param {Object} data arrays vertices and indices, optionally arrays normals, textureCoords and colors
+ * @param {Object} args additional arguments
+ *                      - color {(number)[]} color of vertices if there are no colors in data (default white [1, 1, 1])
+ *                      - strip {boolean} if indices are for triangle strip (default false)
+ *                      - name {string} name of the object (default empty string)
+ *                      - material {Object} material of the object, e.g. from Utils.parseMTL (default null)
+ * @constructor
+ */
+Utils.Mesh = function(data, args) {
+	if (args === undefined) args = {};
+	if (args.color === undefined) args.color = [1, 1, 1];
+	if (args.strip === undefined) args.strip = false;
+
+	Utils.Geometry.call(this);
+	this.name = (args.name !== undefined) ? args.name : "";
+	this.material = (args.material !== undefined) ? args.material : null;
+	this.strip = args.strip;
+	this.vertices = data.vertices;
+	this.indices = data.indices;
+
+	const count = this.data.vertices.length / 3;
+	if (data.normals !== undefined) {
+		this.normals = data.normals;
+	} else {
+		this.normals = Utils.computeNormals(this.data.vertices, this.data.indices, this.strip);
+	}
+	this.textureCoords = (data.textureCoords !== undefined) ? data.textureCoords : new Float32Array(count * 2);
+	if (data.colors !== undefined) {
+		this.colors = data.colors;
+	} else {
+		let colors = new Float32Array(count * args.color.length);
+		for (let i = 0; i < colors.length; i++) {
+			colors[i] = args.color[i % args.color.length];
+		}
+		this.colors = colors;
+	}
+	const frame = Utils.computeTangents(this.data.vertices, this.data.normals, this.data.textureCoords, this.data.indices, this.strip);
+	this.tangents = frame.tangents;
+	this.bitangents = frame.bitangents;
+};
+
+Utils.Mesh.prototype = Object.create(Utils.Geometry.prototype);
+Utils.Mesh.prototype.constructor = Utils.Mesh;
+
+/**
+ * Create object from vertices of another object, e.g. after vertices were merged or split
+ * Texture coordinates and colors are copied, normals too if they are not given.
+ * @since 2.4.0
+ * @param  {Block,Face,Sphere,Primitive,Mesh,Utils.Scene} obj the object
+ * @param  {(number)[]} sources                              index of vertex of the object for every new vertex
+ * @param  {(number)[]} indices                              indices of regular triangles of new vertices
+ * @param  {(number)[],null} normals                         normals of new vertices; null if they should be computed
+ *                                                           (optional, copied from the object by default)
+ * @return {Utils.Mesh}                                      new object with name and material of the object
+ */
+Utils.copyVertices = function(obj, sources, indices, normals) {
+	const count = Utils.Geometry.getData(obj, "vertices").length / 3;
+	const copy = (name, components) => {
+		const array = Utils.Geometry.getData(obj, name);
+		if (array === undefined || count === 0) return undefined;
+		if (components === undefined) components = array.length / count;
+		if (components === 0 || array.length !== count * components) return undefined;
+		let result = new Float32Array(sources.length * components);
+		sources.forEach((source, i) => {
+			for (let k = 0; k < components; k++) {
+				result[i * components + k] = array[source * components + k];
+			}
+		});
+		return result;
+	};
+	if (normals === undefined) normals = copy("normals", 3);
+	return new Utils.Mesh({
+		vertices: copy("vertices", 3),
+		normals: (normals !== null) ? normals : undefined,
+		textureCoords: copy("textureCoords", 2),
+		colors: copy("colors"),
+		indices: indices
+	}, {name: obj.name, material: obj.material});
+};
+
+/**
+ * Merge vertices closer than a tolerance, triangles which become degenerate are removed
+ * Merged vertex gets texture coordinates and color of the first of the vertices and average of their normals.
+ * @since 2.4.0
+ * @param  {Block,Face,Sphere,Primitive,Mesh,Utils.Scene} obj the object
+ * @param  {number} tolerance                                maximal distance of merged vertices (default 1e-6)
+ * @param  {Object} args                                     additional arguments
+ *                                                           - attributes {boolean} if vertices should be merged only
+ *                                                             if their normals, texture coordinates and colors differ
+ *                                                             at most by the tolerance too (default false)
+ * @return {Utils.Mesh}                                      new object with regular triangles
+ */
+Utils.weldVertices = function(obj, tolerance, args) {
+	if (tolerance === undefined) tolerance = 1e-6;
+	if (args === undefined) args = {};
+	if (args.attributes === undefined) args.attributes = false;
+
+	const vertices = Utils.Geometry.getData(obj, "vertices");
+	const count = vertices.length / 3;
+	let data = [];
+	["normals", "textureCoords", "colors"].forEach((name) => {
+		const array = Utils.Geometry.getData(obj, name);
+		if (array !== undefined && count > 0 && array.length > 0 && array.length % count === 0) {
+			data.push({name: name, array: array, components: array.length / count});
+		}
+	});
+	const normals = data.find((item) => item.name === "normals" && item.components === 3);
+
+	const same = (a, b) => {
+		let distance = 0;
+		for (let k = 0; k < 3; k++) {
+			const d = vertices[a * 3 + k] - vertices[b * 3 + k];
+			distance += d * d;
+		}
+		if (distance > tolerance * tolerance) return false;
+		if (!args.attributes) return true;
+		return data.every((item) => {
+			for (let k = 0; k < item.components; k++) {
+				if (Math.abs(item.array[a * item.components + k] - item.array[b * item.components + k]) > tolerance) return false;
+			}
+			return true;
+		});
+	};
+
+	// grid with cells of size of the tolerance, close vertices are in the same or neighbouring cells
+	const size = Math.max(tolerance, 1e-12);
+	let grid = new Map();
+	let sources = [];
+	let remap = new Uint32Array(count);
+	for (let i = 0; i < count; i++) {
+		const cell = [0, 1, 2].map((k) => Math.floor(vertices[i * 3 + k] / size));
+		let found = -1;
+		for (let n = 0; n < 27 && found < 0; n++) {
+			const list = grid.get((cell[0] + n % 3 - 1) + "," + (cell[1] + Math.floor(n / 3) % 3 - 1) + "," + (cell[2] + Math.floor(n / 9) - 1));
+			const match = (list !== undefined) ? list.find((j) => same(sources[j], i)) : undefined;
+			if (match !== undefined) found = match;
+		}
+		if (found < 0) {
+			found = sources.length;
+			sources.push(i);
+			const key = cell.join(",");
+			if (!grid.has(key)) grid.set(key, []);
+			grid.get(key).push(found);
+		}
+		remap[i] = found;
+	}
+
+	let averaged;
+	if (normals !== undefined) {
+		let sums = new Float64Array(sources.length * 3);
+		for (let i = 0; i < count; i++) {
+			for (let k = 0; k < 3; k++) {
+				sums[remap[i] * 3 + k] += normals.array[i * 3 + k];
+			}
+		}
+		averaged = new Float32Array(sums.length);
+		for (let i = 0; i < sums.length; i += 3) {
+			const length = Math.sqrt(sums[i] * sums[i] + sums[i + 1] * sums[i + 1] + sums[i + 2] * sums[i + 2]);
+			if (length > 0) averaged.set([sums[i] / length, sums[i + 1] / length, sums[i + 2] / length], i);
+		}
+	}
+
+	const triangles = Utils.getTriangles(obj).map((i) => remap[i]);
+	let indices = [];
+	for (let i = 0; i + 2 < triangles.length; i += 3) {
+		const a = triangles[i], b = triangles[i + 1], c = triangles[i + 2];
+		if (a !== b && b !== c && a !== c) indices.push(a, b, c);
+	}
+	return Utils.copyVertices(obj, sources, indices, (averaged !== undefined) ? averaged : null);
+};
+
+/**
+ * Compute smooth normals, normals of triangles with vertices at the same position are averaged (weighted by angles
+ * of the triangles at the vertex) only if they make smaller angle than the threshold, so sharp edges stay sharp.
+ * Vertices are split where their triangles need different normals.
+ * @since 2.4.0
+ * @param  {Block,Face,Sphere,Primitive,Mesh,Utils.Scene} obj the object
+ * @param  {number} angle                                    maximal angle between normals of triangles which are smoothed
+ *                                                           together, in radians (default Math.PI, all of them)
+ * @return {Utils.Mesh}                                      new object with regular triangles
+ */
+Utils.smoothNormals = function(obj, angle) {
+	if (angle === undefined) angle = Math.PI;
+	const cos = Math.cos(angle) - 1e-6;
+	const vertices = Utils.Geometry.getData(obj, "vertices");
+	const triangles = Utils.getTriangles(obj);
+	const point = (i) => [vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]];
+	const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+	const length = (a) => Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+
+	// unit normals of triangles and angles of their corners
+	let units = [], angles = [];
+	for (let i = 0; i + 2 < triangles.length; i += 3) {
+		const p = [point(triangles[i]), point(triangles[i + 1]), point(triangles[i + 2])];
+		const e1 = sub(p[1], p[0]), e2 = sub(p[2], p[0]);
+		const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+		units.push((length(n) > 0) ? n.map((value) => value / length(n)) : [0, 0, 0]);
+		for (let k = 0; k < 3; k++) {
+			const a = sub(p[(k + 1) % 3], p[k]), b = sub(p[(k + 2) % 3], p[k]);
+			const product = length(a) * length(b);
+			angles.push((product > 0) ? Math.acos(Math.min(Math.max((a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) / product, -1), 1)) : 0);
+		}
+	}
+
+	// corners at every position, positions are rounded, because generated vertices at the same place can differ a bit
+	const position = (i) => [0, 1, 2].map((k) => Math.round(vertices[i * 3 + k] * 1e5)).join(",");
+	let around = new Map();
+	triangles.forEach((v, i) => {
+		const key = position(v);
+		if (!around.has(key)) around.set(key, []);
+		around.get(key).push(i);
+	});
+
+	let sources = [], normals = [], indices = [];
+	let created = new Map();
+	triangles.forEach((v, i) => {
+		const t = Math.floor(i / 3);
+		let n = [0, 0, 0];
+		around.get(position(v)).forEach((corner) => {
+			const u = Math.floor(corner / 3);
+			const u1 = units[t], u2 = units[u];
+			if (u === t || u1[0] * u2[0] + u1[1] * u2[1] + u1[2] * u2[2] >= cos) {
+				n = [0, 1, 2].map((k) => n[k] + u2[k] * angles[corner]);
+			}
+		});
+		n = (length(n) > 0) ? n.map((value) => value / length(n)) : units[t];
+		// corners of the same vertex with the same normal share the new vertex
+		const key = v + "/" + n.map((value) => Math.round(value * 1e5)).join(",");
+		if (!created.has(key)) {
+			created.set(key, sources.length);
+			sources.push(v);
+			normals.push(n[0], n[1], n[2]);
+		}
+		indices.push(created.get(key));
+	});
+	return Utils.copyVertices(obj, sources, indices, normals);
+};
+
+/**
+ * Split vertices, so every triangle has its own vertices with its normal, i.e. for flat shading
+ * @since 2.4.0
+ * @param  {Block,Face,Sphere,Primitive,Mesh,Utils.Scene} obj the object
+ * @return {Utils.Mesh}                                      new object with regular triangles
+ */
+Utils.splitVertices = function(obj) {
+	const triangles = Utils.getTriangles(obj);
+	// every vertex is in one triangle only, so computed normals are normals of triangles
+	return Utils.copyVertices(obj, triangles, triangles.map((v, i) => i), null);
+};
+
+/**
+ * Reorder triangles for better use of post-transform vertex cache of GPU (Tom Forsyth's linear-speed algorithm)
+ * @since 2.4.0
+ * @param  {(number)[]} indices indices of regular triangles
+ * @param  {number} cacheSize   size of the simulated cache (default 32)
+ * @return {(number)[]}         new indices with the same triangles (and the same orientation) in different order
+ */
+Utils.optimizeIndices = function(indices, cacheSize) {
+	if (cacheSize === undefined) cacheSize = 32;
+	const triangleCount = Math.floor(indices.length / 3);
+	let vertexCount = 0;
+	for (let i = 0; i < triangleCount * 3; i++) {
+		vertexCount = Math.max(vertexCount, indices[i] + 1);
+	}
+
+	// triangles of every vertex, triangles which were not added yet are at the beginning of its range
+	let remaining = new Int32Array(vertexCount);
+	for (let i = 0; i < triangleCount * 3; i++) {
+		remaining[indices[i]]++;
+	}
+	let offsets = new Int32Array(vertexCount + 1);
+	for (let v = 0; v < vertexCount; v++) {
+		offsets[v + 1] = offsets[v] + remaining[v];
+	}
+	let adjacency = new Int32Array(triangleCount * 3);
+	let filled = new Int32Array(vertexCount);
+	for (let i = 0; i < triangleCount * 3; i++) {
+		const v = indices[i];
+		adjacency[offsets[v] + filled[v]++] = Math.floor(i / 3);
+	}
+
+	let position = new Int32Array(vertexCount).fill(-1);
+	const score = (v) => {
+		if (remaining[v] === 0) return -1;
+		let result = 0;
+		const p = position[v];
+		if (p >= 0) {
+			// the last triangle is added anyway, so its vertices have fixed score
+			result = (p < 3) ? 0.75 : Math.pow(1 - (p - 3) / (cacheSize - 3), 1.5);
+		}
+		return result + 2 / Math.sqrt(remaining[v]);
+	};
+	let vertexScores = new Float64Array(vertexCount);
+	let triangleScores = new Float64Array(triangleCount);
+	for (let v = 0; v < vertexCount; v++) {
+		vertexScores[v] = score(v);
+		for (let j = offsets[v]; j < offsets[v + 1]; j++) {
+			triangleScores[adjacency[j]] += vertexScores[v];
+		}
+	}
+	const update = (v) => {
+		const value = score(v);
+		for (let j = offsets[v]; j < offsets[v] + remaining[v]; j++) {
+			triangleScores[adjacency[j]] += value - vertexScores[v];
+		}
+		vertexScores[v] = value;
+	};
+
+	let added = new Uint8Array(triangleCount);
+	let result = [];
+	let cache = [];
+	let best = -1;
+	let next = 0;
+	for (let n = 0; n < triangleCount; n++) {
+		if (best < 0) {
+			// no triangle of vertices in the cache, the first one which was not added
+			while (added[next]) next++;
+			best = next;
+		}
+		const triangle = [0, 1, 2].map((k) => indices[best * 3 + k]);
+		added[best] = 1;
+		result.push(triangle[0], triangle[1], triangle[2]);
+		triangle.forEach((v) => {
+			const last = offsets[v] + remaining[v] - 1;
+			for (let j = offsets[v]; j <= last; j++) {
+				if (adjacency[j] === best) {
+					adjacency[j] = adjacency[last];
+					adjacency[last] = best;
+					break;
+				}
+			}
+			remaining[v]--;
+		});
+
+		cache = triangle.concat(cache.filter((v) => triangle.indexOf(v) < 0));
+		for (let i = cacheSize; i < cache.length; i++) {
+			position[cache[i]] = -1;
+			update(cache[i]);
+		}
+		if (cache.length > cacheSize) cache.length = cacheSize;
+		cache.forEach((v, i) => {
+			position[v] = i;
+			update(v);
+		});
+
+		best = -1;
+		let bestScore = -Infinity;
+		cache.forEach((v) => {
+			for (let j = offsets[v]; j < offsets[v] + remaining[v]; j++) {
+				const t = adjacency[j];
+				if (triangleScores[t] > bestScore) {
+					best = t;
+					bestScore = triangleScores[t];
+				}
+			}
+		});
+	}
+	return result;
+};
+
+/**
+ * Compute average cache miss ratio of indices, i.e. number of vertices transformed per triangle with simulated FIFO cache
+ * @since 2.4.0
+ * @param  {(number)[]} indices indices of regular triangles
+ * @param  {number} cacheSize   size of the simulated cache (default 16)
+ * @return {number}             the ratio, from about 0.5 (ideal for large meshes) to 3
+ */
+Utils.getCacheMissRatio = function(indices, cacheSize) {
+	if (cacheSize === undefined) cacheSize = 16;
+	const triangleCount = Math.floor(indices.length / 3);
+	if (triangleCount === 0) return 0;
+	let cache = [];
+	let misses = 0;
+	for (let i = 0; i < triangleCount * 3; i++) {
+		if (cache.indexOf(indices[i]) < 0) {
+			misses++;
+			cache.push(indices[i]);
+			if (cache.length > cacheSize) cache.shift();
+		}
+	}
+	return misses / triangleCount;
+};
+
+/**
+ * Create indices of lines (for gl.LINES) from indices of triangles, every edge is there once
+ * @since 2.4.0
+ * @param  {(number)[]} indices indices of triangles
+ * @param  {boolean} strip      if indices are for triangle strip (default false)
+ * @return {(number)[]}         indices of lines, two for every edge
+ */
+Utils.createEdgeIndices = function(indices, strip) {
+	let edges = new Set();
+	let lines = [];
+	const add = (a, b) => {
+		const key = (a < b) ? a + "," + b : b + "," + a;
+		if (a === b || edges.has(key)) return;
+		edges.add(key);
+		lines.push(a, b);
+	};
+	const step = (strip) ? 1 : 3;
+	for (let i = 0; i + 2 < indices.length; i += step) {
+		const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+		// degenerate triangles joining strips would add edges between the strips
+		if (a === b || b === c || a === c) continue;
+		add(a, b);
+		add(b, c);
+		add(c, a);
+	}
+	return lines;
+};
+
+/**
+ * Create indices of lines of feature edges, i.e. edges where normals of triangles differ more than the angle
+ * and boundary edges (with only one triangle). Vertices at the same position are taken as one vertex,
+ * so edges are found also on objects with separate vertices for every face (e.g. Block with sharedVertices false).
+ * @since 2.4.0
+ * @param  {Block,Face,Sphere,Primitive,Mesh,Utils.Scene} obj the object
+ * @param  {number} angle                                    minimal angle between normals of triangles of the edge,
+ *                                                           in radians (default Math.PI / 6, i.e. 30°)
+ * @return {(number)[]}                                      indices of lines, two for every edge
+ */
+Utils.createFeatureEdges = function(obj, angle) {
+	if (angle === undefined) angle = Math.PI / 6;
+	const cos = Math.cos(angle);
+	const vertices = Utils.Geometry.getData(obj, "vertices");
+	const triangles = Utils.getTriangles(obj);
+
+	// the first vertex at every (rounded) position
+	let positions = new Map();
+	const vertex = (i) => {
+		const key = [0, 1, 2].map((k) => Math.round(vertices[i * 3 + k] * 1e5)).join(",");
+		if (!positions.has(key)) positions.set(key, i);
+		return positions.get(key);
+	};
+
+	// normals of triangles of every edge
+	let edges = new Map();
+	for (let i = 0; i + 2 < triangles.length; i += 3) {
+		const t = [vertex(triangles[i]), vertex(triangles[i + 1]), vertex(triangles[i + 2])];
+		const e1 = [0, 1, 2].map((k) => vertices[t[1] * 3 + k] - vertices[t[0] * 3 + k]);
+		const e2 = [0, 1, 2].map((k) => vertices[t[2] * 3 + k] - vertices[t[0] * 3 + k]);
+		const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+		const length = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
+		// triangles without area
+		if (length === 0) continue;
+		for (let k = 0; k < 3; k++) {
+			const a = t[k], b = t[(k + 1) % 3];
+			const key = (a < b) ? a + "," + b : b + "," + a;
+			if (!edges.has(key)) edges.set(key, {a: a, b: b, normals: []});
+			edges.get(key).normals.push(n.map((value) => value / length));
+		}
+	}
+
+	let lines = [];
+	edges.forEach((edge) => {
+		const n = edge.normals;
+		let feature = n.length === 1;
+		for (let i = 1; i < n.length && !feature; i++) {
+			feature = n[0][0] * n[i][0] + n[0][1] * n[i][1] + n[0][2] * n[i][2] < cos;
+		}
+		if (feature) lines.push(edge.a, edge.b);
+	});
+	return lines;
+};
+
+/**
+ * Function for loading data from JSON file with AJAX
+ * @param  {string}   url      address of file
+ * @param  {Function} callback function to call after loading is complete; called with parsed JSON
+ */
+Utils.getDataFromJSON = function(url, callback) {
+	Utils.getDataFromFile(url, (text) => {
+		callback(JSON.parse(text));
+	});
+};
+
+/**
+ * Function for loading data from text file with AJAX
+ * @since 2.1
+ * @param  {string}   url      address of file
+ * @param  {Function} callback function to call after loading is complete; called with the received data
+ */
+Utils.getDataFromFile = function(url, callback) {
+	let _404 = false;
+	let unknown_error = false;
+	const http_request = new XMLHttpRequest();
+
+	http_request.open("GET", url, true);
+	http_request.onreadystatechange = function() {
+		// http_request.readyState
+		// https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest
+			// 0	UNSENT open() has not been called yet.
+			// 1	OPENED send() has not been called yet.
+			// 2	HEADERS_RECEIVED send() has been called, and headers and status are available.
+			// 3	LOADING Downloading; responseText holds partial data.
+			// 4	DONE The operation is complete.
+		if (http_request.readyState === 4 && http_request.status === 200) {
+			callback(http_request.responseText);
+		} else if (http_request.status === 404) {
+			if (!_404) window.alert("File \"" + url + "\" was not found (404)!");
+			_404 = true;
+		} else if (http_request.status !== 200 && http_request.status !== 404) {
+			if (!unknown_error) window.alert("An error occurred when loading file \"" + url + "\"!");
+			unknown_error = true;
+		}
+	};
+	http_request.send(null);
+};
+
+/**
+ * Function for loading data from text file with AJAX, Promise variant of Utils.getDataFromFile which does not alert
+ * @since 2.4.0
+ * @param  {string} url address of file
+ * @return {Promise}    resolved with the received data, rejected with Error if the file could not be loaded
+ */
+Utils.getDataFromFileAsync = function(url) {
+	return new Promise((resolve, reject) => {
+		const http_request = new XMLHttpRequest();
+		http_request.open("GET", url, true);
+		http_request.onload = function() {
+			if (http_request.status === 200) {
+				resolve(http_request.responseText);
+			} else if (http_request.status === 404) {
+				reject(new Error("File \"" + url + "\" was not found (404)!"));
+			} else {
+				reject(new Error("An error occurred when loading file \"" + url + "\" (" + http_request.status + ")!"));
+			}
+		};
+		http_request.onerror = function() {
+			reject(new Error("An error occurred when loading file \"" + url + "\"!"));
+		};
+		http_request.send(null);
+	});
+};
+
+/**
+ * Function for loading binary file with AJAX
+ * @since 2.4.0
+ * @param  {string} url address of file
+ * @return {Promise}    resolved with ArrayBuffer with the received data, rejected with Error if the file could not be loaded
+ */
+Utils.getBinaryFromFileAsync = function(url) {
+	return new Promise((resolve, reject) => {
+		const http_request = new XMLHttpRequest();
+		http_request.open("GET", url, true);
+		http_request.responseType = "arraybuffer";
+		http_request.onload = function() {
+			if (http_request.status === 200) {
+				resolve(http_request.response);
+			} else if (http_request.status === 404) {
+				reject(new Error("File \"" + url + "\" was not found (404)!"));
+			} else {
+				reject(new Error("An error occurred when loading file \"" + url + "\" (" + http_request.status + ")!"));
+			}
+		};
+		http_request.onerror = function() {
+			reject(new Error("An error occurred when loading file \"" + url + "\"!"));
+		};
+		http_request.send(null);
+	});
+};
+
+/**
+ * Split polygon into triangles (ear clipping), the polygon can be concave, but it should not intersect itself
+ * @since 2.4.0
+ * @param  {(number)[][]} points vertices of the polygon in 3D, every one is array with three items
+ * @return {(number)[]}          indices of the points, three for every triangle, orientation of the polygon is kept
+ */
+Utils.triangulatePolygon = function(points) {
+	const n = points.length;
+	if (n < 3) return [];
+	if (n === 3) return [0, 1, 2];
+
+	// normal by Newell's method, the polygon is projected into the plane of its two other axes
+	let normal = [0, 0, 0];
+	for (let i = 0; i < n; i++) {
+		const p = points[i], q = points[(i + 1) % n];
+		normal[0] += (p[1] - q[1]) * (p[2] + q[2]);
+		normal[1] += (p[2] - q[2]) * (p[0] + q[0]);
+		normal[2] += (p[0] - q[0]) * (p[1] + q[1]);
+	}
+	const size = normal.map(Math.abs);
+	let axis = 2;
+	if (size[0] > size[1] && size[0] > size[2]) {
+		axis = 0;
+	} else if (size[1] > size[2]) {
+		axis = 1;
+	}
+	const sign = (normal[axis] < 0) ? -1 : 1;
+	const flat = points.map((p) => [p[(axis + 1) % 3], p[(axis + 2) % 3]]);
+	// twice the signed area of triangle, positive for convex corner of the polygon
+	const area = (a, b, c) => sign * ((flat[b][0] - flat[a][0]) * (flat[c][1] - flat[a][1]) - (flat[c][0] - flat[a][0]) * (flat[b][1] - flat[a][1]));
+
+	let remaining = points.map((p, i) => i);
+	let triangles = [];
+	let i = 0, tries = 0;
+	while (remaining.length > 3 && tries < remaining.length) {
+		const m = remaining.length;
+		const a = remaining[(i + m - 1) % m], b = remaining[i % m], c = remaining[(i + 1) % m];
+		let ear = area(a, b, c) > 1e-12;
+		for (let j = 0; ear && j < m; j++) {
+			const p = remaining[j];
+			if (p === a || p === b || p === c) continue;
+			if (area(a, b, p) >= 0 && area(b, c, p) >= 0 && area(c, a, p) >= 0) ear = false;
+		}
+		if (ear) {
+			triangles.push(a, b, c);
+			remaining.splice(i % m, 1);
+			tries = 0;
+		} else {
+			i++;
+			tries++;
+		}
+		i %= remaining.length;
+	}
+	// the rest (usually one triangle, more for degenerate polygons) as a fan
+	for (let j = 1; j + 1 < remaining.length; j++) {
+		triangles.push(remaining[0], remaining[j], remaining[j + 1]);
+	}
+	return triangles;
+};
+
+/**
+ * Parse Wavefront MTL file with materials
+ * @since 2.4.0
+ * @param  {string} text    content of the file
+ * @param  {string} baseUrl address of the directory with the file, it is prepended to relative paths of textures (default "")
+ * @return {Object}         materials by their names, every one is object with properties
+ *                          - name {string} name of the material
+ *                          - color {(number)[]} diffuse color (Kd, default white [1, 1, 1])
+ *                          - opacity {number} opacity (d or 1 - Tr, default 1)
+ *                          - texture {string,null} path of diffuse texture (map_Kd, default null)
+ */
+Utils.parseMTL = function(text, baseUrl) {
+	if (baseUrl === undefined) baseUrl = "";
+	// options of texture maps and their maximal numbers of values
+	const options = {
+		"-blendu": 1, "-blendv": 1, "-bm": 1, "-boost": 1, "-cc": 1, "-clamp": 1, "-imfchan": 1,
+		"-mm": 2, "-o": 3, "-s": 3, "-t": 3, "-texres": 1, "-type": 1
+	};
+	let materials = {};
+	let material = null;
+	text.split("\n").forEach((line) => {
+		line = line.trim();
+		if (line === "" || line[0] === "#") return;
+		const parts = line.split(/\s+/);
+		const rest = line.substring(parts[0].length).trim();
+		if (parts[0] === "newmtl") {
+			material = {name: rest, color: [1, 1, 1], opacity: 1, texture: null};
+			materials[rest] = material;
+		} else if (material === null) {
+			return;
+		} else if (parts[0] === "Kd") {
+			material.color = parts.slice(1, 4).map(Number);
+		} else if (parts[0] === "d") {
+			material.opacity = Number(parts[1]);
+		} else if (parts[0] === "Tr") {
+			material.opacity = 1 - Number(parts[1]);
+		} else if (parts[0] === "map_Kd") {
+			// options (e.g. -s 1 1 1) precede the path, the rest of the line is the path (it can contain spaces)
+			let i = 1;
+			while (i < parts.length - 1 && options[parts[i]] !== undefined) {
+				const count = options[parts[i]];
+				i++;
+				// -o, -s and -t have one to three numbers
+				for (let j = 0; j < count && i < parts.length - 1 && (j === 0 || !isNaN(Number(parts[i]))); j++) {
+					i++;
+				}
+			}
+			const path = parts.slice(i).join(" ");
+			material.texture = (/^(\/|[a-z]+:)/i.test(path)) ? path : baseUrl + path;
 		}
-	}
-	return colors;
+	});
+	return materials;
 };
 
 /**
- * Generate texture coordinates for block, called only when block does not have shared vertices
- * @since 2.0
- * @return {(number)[]} array with texture coords, always the same array
+ * Parse Wavefront OBJ file
+ * Faces can have any number of vertices, they are triangulated by Utils.triangulatePolygon. Every object (o),
+ * group (g) and material (usemtl) statement starts a new object. Vertices with the same position, texture coordinates
+ * and normal are shared inside of the object. Lines and points are skipped.
+ * @since 2.4.0
+ * @param  {string} text      content of the file
+ * @param  {Object} materials materials by their names, e.g. from Utils.parseMTL (optional)
+ * @param  {Object} args      additional arguments
+ *                            - color {(number)[]} color of objects without material (default white [1, 1, 1])
+ * @return {(Utils.Mesh)[]}   array of objects with name (group or object name) and material (null if not found)
  */
-Utils.Block.prototype.createTextureCoords = function() {
-	return [
-		0, 0,
-		1, 0,
-		0, 1,
-		1, 1,
+Utils.parseOBJ = function(text, materials, args) {
+	if (materials === undefined) materials = {};
+	if (args === undefined) args = {};
+	if (args.color === undefined) args.color = [1, 1, 1];
 
-		0, 0,
-		1, 0,
-		0, 1,
-		1, 1,
+	let positions = [], coords = [], normals = [];
+	let objects = [];
+	let name = "", material = null;
+	let current = null;
 
-		0, 0,
-		1, 0,
-		0, 1,
-		1, 1,
+	const finish = () => {
+		if (current !== null && current.indices.length > 0) {
+			objects.push(new Utils.Mesh({
+				vertices: current.vertices,
+				normals: (current.missingNormals) ? undefined : current.normals,
+				textureCoords: current.textureCoords,
+				indices: current.indices
+			}, {
+				name: name,
+				material: material,
+				color: (material !== null) ? material.color : args.color
+			}));
+		}
+		current = null;
+	};
+	// index of the vertex in the current object
+	const vertex = (reference) => {
+		if (!current.map.has(reference)) {
+			const parts = reference.split("/");
+			const index = (value, length) => {
+				const i = parseInt(value, 10);
+				return (i < 0) ? length + i : i - 1;
+			};
+			const p = index(parts[0], positions.length);
+			current.map.set(reference, current.vertices.length / 3);
+			current.vertices.push(positions[p][0], positions[p][1], positions[p][2]);
+			if (parts.length > 1 && parts[1] !== "") {
+				const t = coords[index(parts[1], coords.length)];
+				current.textureCoords.push(t[0], t[1]);
+			} else {
+				current.textureCoords.push(0, 0);
+			}
+			if (parts.length > 2 && parts[2] !== "") {
+				const n = normals[index(parts[2], normals.length)];
+				current.normals.push(n[0], n[1], n[2]);
+			} else {
+				current.normals.push(0, 0, 0);
+				current.missingNormals = true;
+			}
+		}
+		return current.map.get(reference);
+	};
 
-		0, 0,
-		1, 0,
-		0, 1,
-		1, 1,
+	// lines ending with backslash continue on the next line
+	text.replace(/\\\r?\n/g, " ").split("\n").forEach((line) => {
+		line = line.trim();
+		if (line === "" || line[0] === "#") return;
+		const parts = line.split(/\s+/);
+		const rest = line.substring(parts[0].length).trim();
+		if (parts[0] === "v") {
+			positions.push(parts.slice(1, 4).map(Number));
+		} else if (parts[0] === "vt") {
+			coords.push([Number(parts[1]), (parts.length > 2) ? Number(parts[2]) : 0]);
+		} else if (parts[0] === "vn") {
+			normals.push(parts.slice(1, 4).map(Number));
+		} else if (parts[0] === "o" || parts[0] === "g") {
+			finish();
+			name = rest;
+		} else if (parts[0] === "usemtl") {
+			finish();
+			material = (materials[rest] !== undefined) ? materials[rest] : null;
+		} else if (parts[0] === "f") {
+			if (current === null) {
+				current = {vertices: [], textureCoords: [], normals: [], indices: [], map: new Map(), missingNormals: false};
+			}
+			const face = parts.slice(1).map(vertex);
+			const points = face.map((i) => current.vertices.slice(i * 3, i * 3 + 3));
+			Utils.triangulatePolygon(points).forEach((i) => current.indices.push(face[i]));
+		}
+	});
+	finish();
+	return objects;
+};
 
-		0, 0,
-		1, 0,
-		0, 1,
-		1, 1,
+/**
+ * Load Wavefront OBJ file and its MTL files (mtllib statements) with AJAX
+ * Paths of MTL files are relative to the OBJ file and paths of textures are relative to the MTL file.
+ * MTL files which could not be loaded are skipped with a warning in the console, objects use the default color then.
+ * Files are requested with Utils.getDataFromFileAsync, because unlike Utils.getDataFromFile it does not alert on errors,
+ * so failures (also while parsing or in the callback) can be reported to args.error or the console.
+ * @since 2.4.0
+ * @param  {string}   url      address of the OBJ file
+ * @param  {Function} callback function to call after loading is complete; called with array of objects from Utils.parseOBJ
+ * @param  {Object}   args     additional arguments of Utils.parseOBJ and
+ *                             - materials {boolean} if MTL files should be loaded (default true)
+ *                             - error {Function} called with an Error when the OBJ file could not be loaded or processed
+ */
+Utils.loadOBJ = function(url, callback, args) {
+	if (args === undefined) args = {};
+	if (args.materials === undefined) args.materials = true;
+	const directory = (url) => url.substring(0, url.lastIndexOf("/") + 1);
 
-		0, 0,
-		1, 0,
-		0, 1,
-		1, 1
-	];
+	Utils.getDataFromFileAsync(url).then((text) => {
+		let libraries = [];
+		if (args.materials) {
+			const pattern = /^\s*mtllib\s+(.+)$/gm;
+			let match;
+			while ((match = pattern.exec(text)) !== null) {
+				match[1].trim().split(/\s+/).forEach((file) => libraries.push(directory(url) + file));
+			}
+		}
+		// MTL files are loaded in parallel, but they are used in the order of the OBJ file
+		return Promise.all(libraries.map((library) => Utils.getDataFromFileAsync(library).then((mtl) => {
+			return Utils.parseMTL(mtl, directory(library));
+		}, (error) => {
+			console.warn(error.message + " Materials of the file are not used.");
+			return {};
+		}))).then((libraries) => {
+			callback(Utils.parseOBJ(text, Object.assign.apply(null, [{}].concat(libraries)), args));
+		});
+	}).catch((error) => {
+		if (typeof args.error === "function") {
+			args.error(error);
+		} else {
+			console.error(error.message);
+		}
+	});
 };
 
 /**
- * Generate indices for block
- * @param  {boolean} sharedVertices if block has shared vertices (more info in constructor)
- * @return {(number)[]}             array with indices, always the same regarding the sharedVertices parameter
+ * Decode data URI (e.g. buffer or image embedded in glTF file)
+ * @since 2.4.0
+ * @param  {string} uri data URI, base64 or URL encoded
+ * @return {ArrayBuffer} the data
  */
-Utils.Block.prototype.createIndices = function(sharedVertices) {
-	if (sharedVertices) {
-		return [
-			//front
-			0, 1, 2,  1, 3, 2,
-			//right
-			1, 4, 3,  4, 5, 3,
-			//left
-			6, 0, 7,  0, 2, 7,
-			//top
-			2, 3, 7,  3, 5, 7,
-			//bottom
-			6, 4, 0,  4, 1, 0,
-			//back
-			4, 6, 5,  6, 7, 5
-		];
-	} else {
-		return [
-			//front
-			0, 1, 2,  1, 3, 2,
-			//right
-			4, 5, 6,  5, 7, 6,
-			//left
-			8, 9, 10,  9, 11, 10,
-			//top
-			12, 13, 14,  13, 15, 14,
-			//bottom
-			16, 17, 18,  17, 19, 18,
-			//back
-			20, 21, 22,  21, 23, 22
-		];
+Utils.decodeDataUri = function(uri) {
+	const comma = uri.indexOf(",");
+	const data = uri.substring(comma + 1);
+	const text = (/;base64$/i.test(uri.substring(0, comma))) ? window.atob(data) : decodeURIComponent(data);
+	let bytes = new Uint8Array(text.length);
+	for (let i = 0; i < text.length; i++) {
+		bytes[i] = text.charCodeAt(i) & 0xFF;
 	}
+	return bytes.buffer;
 };
 
 /**
- * Create a face
- * @param {number} a     side length a
- * @param {number} b     side length b
- * @param {number} x     position of the center of the face
- * @param {number} y     position of the center of the face
- * @param {number} z     position of the center of the face
- * @param {Object} args  additional arguments
- *                       - color {(number)[]} color as array; if undefined then RGB
- *                       - strip {boolean} if indices should be generated for drawing as a triangle strip (true is default)
- *                       - orientation {Mat3} rotation matrix describing rotation over face center (default Mat3Identity)
+ * Parse binary glTF file (.glb)
+ * @since 2.4.0
+ * @param  {ArrayBuffer} data content of the file
+ * @return {Object}           object with properties json {Object} (content of the JSON chunk)
+ *                            and binary {ArrayBuffer,null} (content of the binary chunk, if there is one)
+ * @throws {Error}            if the data are not binary glTF 2.0
+ */
+Utils.parseGLB = function(data) {
+	const view = new DataView(data);
+	if (data.byteLength < 20 || view.getUint32(0, true) !== Utils.GLTF.MAGIC) {
+		throw new Error("Data are not binary glTF.");
+	}
+	if (view.getUint32(4, true) !== 2) {
+		throw new Error("Version " + view.getUint32(4, true) + " of binary glTF is not supported.");
+	}
+
+	const length = Math.min(view.getUint32(8, true), data.byteLength);
+	let json = null;
+	let binary = null;
+	for (let offset = 12; offset + 8 <= length;) {
+		const chunkLength = view.getUint32(offset, true);
+		const type = view.getUint32(offset + 4, true);
+		const chunk = data.slice(offset + 8, offset + 8 + chunkLength);
+		if (type === 0x4E4F534A) {
+			json = JSON.parse(new TextDecoder().decode(chunk));
+		} else if (type === 0x004E4942 && binary === null) {
+			binary = chunk;
+		}
+		offset += 8 + chunkLength;
+	}
+	if (json === null) throw new Error("Binary glTF does not have JSON chunk.");
+	return {json: json, binary: binary};
+};
+
+/**
+ * Content of glTF 2.0 file converted into objects of this library
+ * Every mesh is an array of Utils.Mesh, one for every primitive (points and lines are skipped). Colors of the meshes are
+ * vertex colors (COLOR_0) multiplied by base color of their material. Texture coordinates are kept as they are, glTF has
+ * origin of textures in the top left corner, so images should not be flipped when uploaded.
+ * Textures are created only if WebGL context is given, the same way as by Utils.loadTexture, i.e. WebGLTexture objects
+ * with image property, image is not uploaded. They also have sampler property with sampler from the file.
+ * @since 2.4.0
+ * @param {Object} json             content of .gltf file or JSON chunk of .glb file
+ * @param {(ArrayBuffer)[]} buffers data of buffers in the same order as in the file
+ * @param {Object} args             additional arguments
+ *                                  - gl {WebGLRenderingContext} context for creating textures (default undefined, no textures)
+ *                                  - baseUrl {string} address of the directory with the file, it is prepended to relative
+ *                                                     addresses of images (default "")
  * @constructor
  */
-Utils.Face = function(a, b, x, y, z, args) {
+Utils.GLTF = function(json, buffers, args) {
 	if (args === undefined) args = {};
-	if (args.strip === undefined) args.strip = true;
-	if (args.orientation === undefined) args.orientation = new Mat3Identity();
+	if (args.baseUrl === undefined) args.baseUrl = "";
 
-	this.vertices = this.createVertices(a, b, x, y, z, args.orientation);
-	this.colors = this.createColors(args.color);
-	this.textureCoords = this.createTextureCoords();
-	this.normals = this.createNormals(new Vec3D(x, y, z), this.vertices);
-	this.indices = this.createIndices(args.strip);
+	this.json = json;
+	this.buffers = buffers;
+	this.textures = (args.gl !== undefined) ? this.createTextures(args.gl, args.baseUrl) : [];
+	this.materials = (json.materials || []).map((material) => this.createMaterial(material));
+	this.meshes = (json.meshes || []).map((mesh) => this.createMeshes(mesh));
+	this.nodes = this.createNodes();
+	this.scenes = (json.scenes || []).map((scene) => (scene.nodes || []).map((i) => this.nodes[i]));
+	this.scene = (json.scene !== undefined) ? json.scene : 0;
+	// Promise resolved when images of all textures are loaded
+	this.loaded = Promise.all(this.textures.filter((texture) => texture !== null).map((texture) => new Promise((resolve, reject) => {
+		texture.image.onload = () => resolve(texture);
+		texture.image.onerror = () => reject(new Error("Texture \"" + texture.image.src + "\" could not be loaded!"));
+	})));
 };
 
 /**
- * Generate vertices for face
- * @param  {number} a   side length
- * @param  {number} b   side length
- * @param  {number} x   position of the center of the face
- * @param  {number} y   position of the center of the face
- * @param  {number} z   position of the center of the face
- * @param  {Mat3} or    rotation matrix describing rotation over face center (default Mat3Identity)
- * @return {(number)[]} array with vertices
+ * Magic number of binary glTF files ("glTF")
+ * @type {number}
  */
-Utils.Face.prototype.createVertices = function(a, b, x, y, z, or) {
+Utils.GLTF.MAGIC = 0x46546C67;
 
-	//bottom, left
-	const point1 = new Vec3D(-a, -b, 0).mul(or);
-	//bottom, right
-	const point2 = new Vec3D(a, -b, 0).mul(or);
-	//top, left
-	const point3 = new Vec3D(-a, b, 0).mul(or);
-	//top, right
-	const point4 = new Vec3D(a, b, 0).mul(or);
+/**
+ * Typed arrays for component types of accessors
+ * @type {Object}
+ */
+Utils.GLTF.componentTypes = {
+	5120: Int8Array,
+	5121: Uint8Array,
+	5122: Int16Array,
+	5123: Uint16Array,
+	5125: Uint32Array,
+	5126: Float32Array
+};
 
-	let vertices = [];
-	vertices.push(point1.x + x, point1.y + y, point1.z + z);
-	vertices.push(point2.x + x, point2.y + y, point2.z + z);
-	vertices.push(point3.x + x, point3.y + y, point3.z + z);
-	vertices.push(point4.x + x, point4.y + y, point4.z + z);
+/**
+ * Numbers of components for types of accessors
+ * @type {Object}
+ */
+Utils.GLTF.sizes = {SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16};
 
-	return vertices;
+/**
+ * Resolve address from the file relative to the file
+ * @param  {string} uri     address from the file
+ * @param  {string} baseUrl address of the directory with the file
+ * @return {string}         the address
+ */
+Utils.GLTF.resolveUri = function(uri, baseUrl) {
+	return (/^(\/|[a-z]+:)/i.test(uri)) ? uri : baseUrl + uri;
 };
 
 /**
- * Generate colors for face
- * @param  {number[]} color color as an array; if undefined then RGB
- * @return {(number)[]}     array with colors
+ * Create local matrix of a node from its matrix or translation, rotation and scale
+ * @param  {Object} node node from the file
+ * @return {Mat4}        the matrix
  */
-Utils.Face.prototype.createColors = function(color) {
-	let colors = [];
-	if (color !== undefined) {
-		for (let i = 0; i < 4; i++) {
-			for (let j = 0; j < color.length; j++) {
-				colors.push(color[j]);
-			}
+Utils.GLTF.createMatrix = function(node) {
+	let m = node.matrix;
+	if (m === undefined) {
+		const t = node.translation || [0, 0, 0];
+		const q = node.rotation || [0, 0, 0, 1];
+		const s = node.scale || [1, 1, 1];
+		const x = q[0], y = q[1], z = q[2], w = q[3];
+		m = [
+			(1 - 2 * (y * y + z * z)) * s[0], 2 * (x * y + z * w) * s[0], 2 * (x * z - y * w) * s[0], 0,
+			2 * (x * y - z * w) * s[1], (1 - 2 * (x * x + z * z)) * s[1], 2 * (y * z + x * w) * s[1], 0,
+			2 * (x * z + y * w) * s[2], 2 * (y * z - x * w) * s[2], (1 - 2 * (x * x + y * y)) * s[2], 0,
+			t[0], t[1], t[2], 1
+		];
+	}
+	// glTF matrices are column-major for column vectors, which is the same order as Utils.convert gives for row vectors
+	let matrix = new Mat4Identity();
+	for (let i = 0; i < 4; i++) {
+		for (let j = 0; j < 4; j++) {
+			matrix.mat[i][j] = m[i * 4 + j];
 		}
-	} else {
-		//bottom, left
-		colors.push(1.0, 0.0, 0.0);
-		//bottom, right
-		colors.push(0.0, 1.0, 0.0);
-		//top, left
-		colors.push(0.0, 0.0, 1.0);
-		//top, right
-		colors.push(1.0, 1.0, 1.0);
 	}
-	return colors;
+	return matrix;
 };
 
 /**
- * Generate texture coordinates for face
- * @since 2.0
- * @return {(number)[]} array with texture coords, always the same array
+ * Read data of an accessor, normalized integers are converted to floats
+ * @param  {number} index index of the accessor
+ * @return {Int8Array,Uint8Array,Int16Array,Uint16Array,Uint32Array,Float32Array} the data, components of all elements
+ *                                                                                  one after another
  */
-Utils.Face.prototype.createTextureCoords = function() {
-	return [
-		0, 1,
-		1, 1,
-		0, 0,
-		1, 0
-	];
+Utils.GLTF.prototype.getAccessor = function(index) {
+	const accessor = this.json.accessors[index];
+	const components = Utils.GLTF.sizes[accessor.type];
+	const normalized = accessor.normalized === true;
+	const type = (normalized) ? Float32Array : Utils.GLTF.componentTypes[accessor.componentType];
+	let result = new type(accessor.count * components);
+	// accessor without buffer view is initialized by zeros
+	if (accessor.bufferView !== undefined) {
+		this.readBufferView(accessor.bufferView, accessor.byteOffset || 0, accessor.componentType, normalized, components, result);
+	}
+	if (accessor.sparse !== undefined) {
+		const sparse = accessor.sparse;
+		let indices = new Uint32Array(sparse.count);
+		this.readBufferView(sparse.indices.bufferView, sparse.indices.byteOffset || 0, sparse.indices.componentType, false, 1, indices);
+		let values = new type(sparse.count * components);
+		this.readBufferView(sparse.values.bufferView, sparse.values.byteOffset || 0, accessor.componentType, normalized, components, values);
+		indices.forEach((element, i) => {
+			result.set(values.subarray(i * components, (i + 1) * components), element * components);
+		});
+	}
+	return result;
 };
 
 /**
- * Generate normals for face
- * @param  {Vec3D} pos   position of the center
- * @param  {(number)[]}  vertices vertices array
- * @return {(number)[]}  array with normals
+ * Read elements from a buffer view
+ * @param {number} index         index of the buffer view
+ * @param {number} byteOffset    offset of the first element in the buffer view
+ * @param {number} componentType component type of the elements
+ * @param {boolean} normalized   if integers should be converted to floats from 0 to 1 (or -1 to 1)
+ * @param {number} components    number of components of one element
+ * @param {TypedArray} target    array for the elements, its length gives number of elements
  */
-Utils.Face.prototype.createNormals = function(pos, vertices) {
-	let normals = [];
-	let pom = [];
-	for (let i = 0; i < vertices.length; i += 3) {
-		pom = Utils.convert(
-			new Vec3D(vertices[i] - pos.x, vertices[i + 1] - pos.y, vertices[i + 2] - pos.z).normalized()
-		);
-		normals.push(pom[0], pom[1], pom[2]);
+Utils.GLTF.prototype.readBufferView = function(index, byteOffset, componentType, normalized, components, target) {
+	const bufferView = this.json.bufferViews[index];
+	const size = Utils.GLTF.componentTypes[componentType].BYTES_PER_ELEMENT;
+	const stride = bufferView.byteStride || components * size;
+	const view = new DataView(this.buffers[bufferView.buffer], (bufferView.byteOffset || 0) + byteOffset);
+	const get = {5120: "getInt8", 5121: "getUint8", 5122: "getInt16", 5123: "getUint16", 5125: "getUint32", 5126: "getFloat32"}[componentType];
+	const max = {5120: 127, 5121: 255, 5122: 32767, 5123: 65535}[componentType];
+	const count = target.length / components;
+	for (let i = 0; i < count; i++) {
+		for (let k = 0; k < components; k++) {
+			let value = view[get](i * stride + k * size, true);
+			if (normalized && max !== undefined) value = Math.max(value / max, -1);
+			target[i * components + k] = value;
+		}
 	}
-	return normals;
 };
 
 /**
- * Generate indices for face
- * @param  {boolean} strip if face is going to be drawn with triangle strip
- * @return {(number)[]}    array with indices
+ * Create textures with images (from files, data URIs or buffer views)
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @param  {string} baseUrl           address of the directory with the file
+ * @return {(WebGLTexture)[]}         textures in the same order as in the file; null for textures without image
  */
-Utils.Face.prototype.createIndices = function(strip) {
-	if (strip) {
-		return [0, 0, 1, 2, 3, 3];
-	} else {
-		return [0, 1, 2, 1, 3, 2];
-	}
+Utils.GLTF.prototype.createTextures = function(gl, baseUrl) {
+	const json = this.json;
+	return (json.textures || []).map((texture) => {
+		if (texture.source === undefined) return null;
+		const image = json.images[texture.source];
+		let result = gl.createTexture();
+		result.sampler = (texture.sampler !== undefined) ? json.samplers[texture.sampler] : {};
+		result.image = new Image();
+		result.image.crossOrigin = "anonymous";
+		if (image.bufferView !== undefined) {
+			const bufferView = json.bufferViews[image.bufferView];
+			const bytes = new Uint8Array(this.buffers[bufferView.buffer], bufferView.byteOffset || 0, bufferView.byteLength);
+			result.image.src = URL.createObjectURL(new Blob([bytes], {type: image.mimeType}));
+		} else {
+			result.image.src = Utils.GLTF.resolveUri(image.uri, baseUrl);
+		}
+		return result;
+	});
 };
 
 /**
- * Create a sphere
- * @param {number} posx      position of the center of the sphere
- * @param {number} posy      position of the center of the sphere
- * @param {number} posz      position of the center of the sphere
- * @param {number} radius    radius of the sphere
- * @param {number} precision number of steps over the equator and the meridian, must be the same value
- *                           has big impact on resulting number of vertices
- *                           works only for even numbers
- *                           the higher the number is the more the "sphere" looks like an actual sphere
- *                           if equals 2 then it creates regular octahedron
- * @param {Object} args      additional arguments
- *                           - color {(number)[]} color of sphere (default white [1, 1, 1])
- *                           - strip {boolean} if indices should be generated for triangle strip (default true)
- *                           - randomColor {boolean} if true then colors are going to be random for every vertice (default false)
- * @constructor
+ * Create material with default values of missing parameters
+ * @param  {Object} material material from the file
+ * @return {Object}          material with properties name, baseColorFactor, baseColorTexture, metallicFactor,
+ *                           roughnessFactor, metallicRoughnessTexture, normalTexture, occlusionTexture, emissiveTexture,
+ *                           emissiveFactor, alphaMode, alphaCutoff and doubleSided;
+ *                           textures are null or objects with texture (WebGLTexture or null), index, texCoord
+ *                           and scale or strength from the file
  */
-Utils.Sphere = function(posx, posy, posz, radius, precision, args) {
-	if (args === undefined) args = {};
-	if (args.color === undefined) args.color = [1, 1, 1];
-	if (args.strip === undefined) args.strip = true;
-	if (args.randomColor === undefined) args.randomColor = false;
+Utils.GLTF.prototype.createMaterial = function(material) {
+	const pbr = material.pbrMetallicRoughness || {};
+	const texture = (info) => {
+		if (info === undefined) return null;
+		const result = (this.textures[info.index] !== undefined) ? this.textures[info.index] : null;
+		return Object.assign({texCoord: 0}, info, {texture: result});
+	};
+	return {
+		name: material.name || "",
+		baseColorFactor: pbr.baseColorFactor || [1, 1, 1, 1],
+		baseColorTexture: texture(pbr.baseColorTexture),
+		metallicFactor: (pbr.metallicFactor !== undefined) ? pbr.metallicFactor : 1,
+		roughnessFactor: (pbr.roughnessFactor !== undefined) ? pbr.roughnessFactor : 1,
+		metallicRoughnessTexture: texture(pbr.metallicRoughnessTexture),
+		normalTexture: texture(material.normalTexture),
+		occlusionTexture: texture(material.occlusionTexture),
+		emissiveTexture: texture(material.emissiveTexture),
+		emissiveFactor: material.emissiveFactor || [0, 0, 0],
+		alphaMode: material.alphaMode || "OPAQUE",
+		alphaCutoff: (material.alphaCutoff !== undefined) ? material.alphaCutoff : 0.5,
+		doubleSided: material.doubleSided === true
+	};
+};
 
-	let pos = new Vec3D(posx, posy, posz);
-	this.vertices = this.createVertices(pos, radius, precision);
-	this.colors = this.createColors(this.vertices.length / 3, args.color, args.randomColor);
-	this.normals = this.createNormals(pos, this.vertices);
-	this.textureCoords = this.createTextureCoords(precision);
-	this.indices = this.createIndices(precision, args.strip);
+/**
+ * Create objects for primitives of a mesh
+ * @param  {Object} mesh   mesh from the file
+ * @return {(Utils.Mesh)[]} objects for primitives with triangles
+ */
+Utils.GLTF.prototype.createMeshes = function(mesh) {
+	let result = [];
+	mesh.primitives.forEach((primitive) => {
+		const mode = (primitive.mode !== undefined) ? primitive.mode : Utils.TRIANGLES;
+		// points and lines
+		if (mode < Utils.TRIANGLES) return;
+
+		const attributes = primitive.attributes;
+		const get = (name) => (attributes[name] !== undefined) ? this.getAccessor(attributes[name]) : undefined;
+		const vertices = get("POSITION");
+		const count = vertices.length / 3;
+		let indices = Array.from({length: count}, (v, i) => i);
+		if (primitive.indices !== undefined) indices = Array.from(this.getAccessor(primitive.indices));
+		if (mode === 6) {
+			// triangle fan
+			let list = [];
+			for (let i = 1; i + 1 < indices.length; i++) {
+				list.push(indices[0], indices[i], indices[i + 1]);
+			}
+			indices = list;
+		}
+
+		const material = (primitive.material !== undefined) ? this.materials[primitive.material] : null;
+		const color = (material !== null) ? material.baseColorFactor.slice(0, 3) : [1, 1, 1];
+		let colors;
+		if (attributes.COLOR_0 !== undefined) {
+			const source = get("COLOR_0");
+			const components = source.length / count;
+			colors = new Float32Array(count * 3);
+			for (let i = 0; i < count; i++) {
+				for (let k = 0; k < 3; k++) {
+					colors[i * 3 + k] = source[i * components + k] * color[k];
+				}
+			}
+		}
+
+		result.push(new Utils.Mesh({
+			vertices: vertices,
+			normals: get("NORMAL"),
+			textureCoords: get("TEXCOORD_0"),
+			colors: colors,
+			indices: indices
+		}, {
+			name: mesh.name || "",
+			material: material,
+			color: color,
+			strip: mode === Utils.TRIANGLE_STRIP
+		}));
+	});
+	return result;
+};
+
+/**
+ * Create hierarchy of nodes
+ * @return {(Object)[]} nodes in the same order as in the file, every one has properties name, mesh (array of Utils.Mesh
+ *                      or null), matrix (local Mat4), worldMatrix (Mat4), parent (node or null) and children (array of nodes)
+ */
+Utils.GLTF.prototype.createNodes = function() {
+	const json = this.json.nodes || [];
+	let nodes = json.map((node) => ({
+		name: node.name || "",
+		mesh: (node.mesh !== undefined) ? this.meshes[node.mesh] : null,
+		matrix: Utils.GLTF.createMatrix(node),
+		worldMatrix: null,
+		parent: null,
+		children: []
+	}));
+	json.forEach((node, i) => {
+		(node.children || []).forEach((child) => {
+			nodes[child].parent = nodes[i];
+			nodes[i].children.push(nodes[child]);
+		});
+	});
+
+	// row vectors, so local matrix goes first
+	const update = (node) => {
+		node.worldMatrix = (node.parent === null) ? node.matrix : node.matrix.mul(node.parent.worldMatrix);
+		node.children.forEach(update);
+	};
+	nodes.filter((node) => node.parent === null).forEach(update);
+	return nodes;
+};
+
+/**
+ * Add meshes of a scene to Utils.Scene, every one transformed by world matrix of its node
+ * @param  {Utils.Scene} scene the scene
+ * @param  {number} index      index of glTF scene (default the scene given by the file, or all nodes if there are no scenes)
+ * @return {Utils.Scene}       the scene
+ */
+Utils.GLTF.prototype.addTo = function(scene, index) {
+	if (index === undefined) index = this.scene;
+	const add = (node) => {
+		if (node.mesh !== null) node.mesh.forEach((mesh) => scene.add(mesh, node.worldMatrix));
+		node.children.forEach(add);
+	};
+	const roots = (this.scenes[index] !== undefined) ? this.scenes[index] : this.nodes.filter((node) => node.parent === null);
+	roots.forEach(add);
+	return scene;
+};
+
+/**
+ * Load glTF 2.0 file (.gltf or .glb) with its buffers and images
+ * Buffers can be in separate files, in data URIs or in the binary chunk of .glb file.
+ * @since 2.4.0
+ * @param  {string} url  address of the file
+ * @param  {Object} args additional arguments of Utils.GLTF, baseUrl is the directory of the file by default
+ * @return {Promise}     resolved with Utils.GLTF when all buffers and images are loaded, rejected with Error otherwise
+ */
+Utils.loadGLTF = function(url, args) {
+	args = Object.assign({baseUrl: url.substring(0, url.lastIndexOf("/") + 1)}, args);
+	return Utils.getBinaryFromFileAsync(url).then((data) => {
+		let json;
+		let binary = null;
+		if (data.byteLength >= 4 && new DataView(data).getUint32(0, true) === Utils.GLTF.MAGIC) {
+			const glb = Utils.parseGLB(data);
+			json = glb.json;
+			binary = glb.binary;
+		} else {
+			json = JSON.parse(new TextDecoder().decode(data));
+		}
+
+		return Promise.all((json.buffers || []).map((buffer) => {
+			// buffer without address is the binary chunk
+			if (buffer.uri === undefined) return binary;
+			if (/^data:/i.test(buffer.uri)) return Utils.decodeDataUri(buffer.uri);
+			return Utils.getBinaryFromFileAsync(Utils.GLTF.resolveUri(buffer.uri, args.baseUrl));
+		})).then((buffers) => {
+			const gltf = new Utils.GLTF(json, buffers, args);
+			return gltf.loaded.then(() => gltf);
+		});
+	});
 };
 
 /**
- * Generate vertices for sphere
- * @param  {Vec3D} pos        position of the center
- * @param  {number} radius    radius of sphere
- * @param  {number} precision number of steps
- * @return {(number)[]}       array with vertices
+ * Get indices of all triangles of an object as regular triangles (triangle strips are converted)
+ * @since 2.4.0
+ * @param  {Block,Face,Sphere,Primitive,Mesh,Utils.Scene} obj object with indices
+ * @return {(number)[]}                                       indices, three for every triangle
  */
-Utils.Sphere.prototype.createVertices = function(pos, radius, precision) {
-	let step = Math.PI / precision;
-	let vertices = [];
-	let x, y, z;
-	for (let fi = 0, round1 = 0; round1 <= precision; fi += step, round1++) {
-		x = pos.x + radius * Math.cos(fi);// * Math.cos(0) == 1
-		y = pos.y + radius * Math.sin(fi);// * Math.cos(0) == 1
-		z = pos.z;// + radius * Math.sin(0) -> +0
-		vertices.push(x, y, z);
-		for (let psi = step, round2 = 1; round2 < 2 * precision; psi += step, round2++) {
-			x = pos.x + radius * Math.cos(fi) * Math.cos(psi);
-			y = pos.y + radius * Math.sin(fi) * Math.cos(psi);
-			z = pos.z + radius * Math.sin(psi);
-			vertices.push(x, y, z);
-		}
+Utils.getTriangles = function(obj) {
+	const indices = Utils.Geometry.getData(obj, "indices");
+	if (obj instanceof Utils.Scene) {
+		let list = [];
+		obj.submeshes.forEach((submesh) => {
+			let part = Array.from(indices.subarray(submesh.offset, submesh.offset + submesh.count));
+			if (submesh.mode === Utils.TRIANGLE_STRIP) part = Utils.stripToList(part);
+			for (let i = 0; i < part.length; i++) {
+				list.push(part[i]);
+			}
+		});
+		return list;
 	}
-	return vertices;
+	return (obj.strip) ? Utils.stripToList(Array.from(indices)) : Array.from(indices);
 };
 
 /**
- * Generate colors for sphere
- * @param  {number} count      number of vertices the sphere has
- * @param  {(number)[]} color  array with colors; ignored if (random === true)
- * @param  {boolean} random    if color should be random for every vertex
- * @return {(number)[]}        array with colors
+ * Format 32-bit float as the shortest string giving the same float, e.g. for text files
+ * @since 2.4.0
+ * @param  {number} value the number
+ * @return {string}       the string
  */
-Utils.Sphere.prototype.createColors = function(count, color, random) {
-	let colors = [];
-	if (random) {
-		for (let i = 0; i < count; i++) {
-			colors.push(Math.random(), Math.random(), Math.random());
-		}
-	} else {
-		for (let i = 0; i < count; i++) {
-			for (let j = 0; j < color.length; j++) {
-				colors.push(color[j]);
-			}
-		}
+Utils.formatFloat = function(value) {
+	for (let precision = 1; precision < 9; precision++) {
+		const rounded = Number(value.toPrecision(precision));
+		if (Math.fround(rounded) === Math.fround(value)) return String(rounded);
 	}
-	return colors;
+	return String(Math.fround(value));
 };
 
 /**
- * Generate normals for sphere
- * @param  {Vec3D} pos           position of the center
- * @param  {(number)[]} vertices array of vertices
- * @return {(number)[]}          array with normals
+ * Get text of file given as string or ArrayBuffer
+ * @since 2.4.0
+ * @param  {string,ArrayBuffer} data content of the file
+ * @return {string}                  the text
  */
-Utils.Sphere.prototype.createNormals = function(pos, vertices) {
-	let normals = [];
-	let pom = [];
-	for (let i = 0; i < vertices.length; i += 3) {
-		pom = Utils.convert(
-			new Vec3D(vertices[i] - pos.x, vertices[i + 1] - pos.y, vertices[i + 2] - pos.z).normalized()
-		);
-		normals.push(pom[0], pom[1], pom[2]);
-	}
-	return normals;
+Utils.decodeText = function(data) {
+	return (typeof data === "string") ? data : new TextDecoder().decode(data);
 };
 
 /**
- * Generate texture coordinates for sphere
- * @param  {number} precision number of steps
- * @return {(number)[]}       array with texture coordinates
+ * Parse STL file (ASCII or binary)
+ * Triangles do not share vertices, every vertex gets normal of its triangle (or computed normal if the file does not
+ * have it). Colors of triangles in binary files are read in VisCAM/SolidView format (bit 15 set, 5 bits for every
+ * color, red in the highest bits).
+ * @since 2.4.0
+ * @param  {string,ArrayBuffer} data content of the file
+ * @param  {Object} args             additional arguments
+ *                                   - color {(number)[]} color of triangles without color, only RGB components are used
+ *                                                        (default white [1, 1, 1])
+ * @return {Utils.Mesh}              the object, its name is name of the solid
  */
-Utils.Sphere.prototype.createTextureCoords = function(precision) {
-	let texCoords = [];
-	//precision == 4
-	const n = 1 / (precision * 2);//0.125
-	const n2 = n * 2;//0.25
-	for (let i = 0; i <= precision; i++) {
-		//0, 0.5, 0, 0.25, 0, 0,
-		//0.125, 0.5, 0.125, 0.25, 0.125, 0,
-		//0.25, 0.5, 0.25, 0.25, 0.25, 0,
-		//0.375, 0.5, 0.375, 0.25, 0.375, 0,
-		//0.5, 0.5, 0.5, 0.25, 0.5, 0,
-		for (let j = 0; j < precision / 2 + 1; j++) {
-			texCoords.push(n * i, 0.5 - j * n2);
-		}
-		//0.5, 0.25, 0.5, 0.5, 0.5, 0.75, 0.5, 1,
-		//0.625, 0.25, 0.625, 0.5, 0.625, 0.75, 0.625, 1,
-		//0.75, 0.25, 0.75, 0.5, 0.75, 0.75, 0.75, 1,
-		//0.875, 0.25, 0.875, 0.5, 0.875, 0.75, 0.875, 1,
-		//1, 0.25, 1, 0.5, 1, 0.75, 1, 1,
-		for (let j = 0; j < precision; j++) {
-			texCoords.push(0.5 + n * i, (j + 1) * n2);
+Utils.parseSTL = function(data, args) {
+	if (args === undefined) args = {};
+	if (args.color === undefined) args.color = [1, 1, 1];
+	// colors read from binary files are RGB, so alpha of the default color is dropped
+	const defaultColor = args.color.slice(0, 3);
+
+	let vertices = [], normals = [], colors = [];
+	let name = "";
+	const view = (typeof data === "string") ? null : new DataView(data);
+	let binary = false;
+	if (view !== null && data.byteLength >= 84) {
+		// ASCII file begins with "solid", binary ones sometimes too, but they have exact length
+		const start = new TextDecoder().decode(new Uint8Array(data, 0, 5));
+		binary = start !== "solid" || data.byteLength === 84 + view.getUint32(80, true) * 50;
+	}
+	if (binary) {
+		const count = view.getUint32(80, true);
+		for (let i = 0; i < count; i++) {
+			const offset = 84 + i * 50;
+			const normal = [0, 1, 2].map((k) => view.getFloat32(offset + k * 4, true));
+			for (let j = 0; j < 9; j++) {
+				vertices.push(view.getFloat32(offset + 12 + j * 4, true));
+			}
+			const attribute = view.getUint16(offset + 48, true);
+			let color = defaultColor;
+			if (attribute & 0x8000) {
+				color = [(attribute >> 10) & 31, (attribute >> 5) & 31, attribute & 31].map((value) => value / 31);
+			}
+			for (let j = 0; j < 3; j++) {
+				normals.push(normal[0], normal[1], normal[2]);
+				colors.push(color[0], color[1], color[2]);
+			}
 		}
-		//0, 0.75,
-		//0.125, 0.75,
-		//0.25, 0.75,
-		//0.375, 0.75,
-		//0.5, 0.75
-		for (let j = 0; j < precision / 2 - 1; j++) {
-			texCoords.push(n * i, 1 - (j + 1) * n2);
+	} else {
+		let normal = [0, 0, 0];
+		let loop = [];
+		Utils.decodeText(data).split("\n").forEach((line) => {
+			const parts = line.trim().split(/\s+/);
+			if (parts[0] === "solid") {
+				name = line.trim().substring(5).trim();
+			} else if (parts[0] === "facet") {
+				normal = parts.slice(2, 5).map(Number);
+			} else if (parts[0] === "outer") {
+				loop = [];
+			} else if (parts[0] === "vertex") {
+				loop.push(parts.slice(1, 4).map(Number));
+			} else if (parts[0] === "endloop") {
+				Utils.triangulatePolygon(loop).forEach((i) => {
+					vertices.push(loop[i][0], loop[i][1], loop[i][2]);
+					normals.push(normal[0], normal[1], normal[2]);
+					colors.push(defaultColor[0], defaultColor[1], defaultColor[2]);
+				});
+			}
+		});
+	}
+
+	// triangles without normal get normal computed from their vertices
+	const count = vertices.length / 3;
+	const indices = Array.from({length: count}, (v, i) => i);
+	const computed = Utils.computeNormals(vertices, indices);
+	for (let i = 0; i < normals.length; i += 3) {
+		if (normals[i] === 0 && normals[i + 1] === 0 && normals[i + 2] === 0) {
+			normals[i] = computed[i];
+			normals[i + 1] = computed[i + 1];
+			normals[i + 2] = computed[i + 2];
 		}
 	}
-	return texCoords;
+	return new Utils.Mesh({vertices: vertices, normals: normals, colors: colors, indices: indices}, {name: name});
 };
 
 /**
- * Generate indices for sphere
- * @param  {number} precision number of steps
- * @param  {boolean} strip    if true then triangle strip, regular triangle otherwise
- * @return {(number)[]}       array with indices
+ * Write object (usually Utils.Scene) into STL file
+ * Normal of every triangle is average of normals of its vertices, or it is computed from the vertices if the object
+ * does not have normals. Binary files contain colors of triangles (averages of colors of their vertices)
+ * in VisCAM/SolidView format.
+ * @since 2.4.0
+ * @param  {Utils.Scene,Block,Face,Sphere,Primitive,Mesh} obj the object
+ * @param  {Object} args                                        additional arguments
+ *                                                              - binary {boolean} if the file should be binary (default true)
+ *                                                              - name {string} name of the solid (default "scene")
+ * @return {ArrayBuffer,string}                                 content of the file, ArrayBuffer for binary file
  */
-Utils.Sphere.prototype.createIndices = function(precision, strip) {
-	const n = precision * 2;
-	const n2 = precision;
-	let indices = [];
-	let i, j, p, b;
-	if (strip) {
-		indices.push(n);
-		for (i = 0; i < n2; i++) {
-			p = i * n;
-			if (i !== 0) {
-				indices.push(p, p);
-			}
-			// from start to top
-			for (j = 0; j < n / 4; j++) {
-				indices.push(j + n + p, j + p);
-			}
-			// from top down
-			for (j = n / 4; j <= 3 * n / 4; j++) {
-				indices.push(j + p, j + n + p);
-			}
-			// from down to zero
-			for (j = 3 * n / 4; j < n; j++) {
-				indices.push(j + n + p, j + p);
+Utils.writeSTL = function(obj, args) {
+	if (args === undefined) args = {};
+	if (args.binary === undefined) args.binary = true;
+	if (args.name === undefined) args.name = "scene";
+
+	const vertices = Utils.Geometry.getData(obj, "vertices");
+	const count = vertices.length / 3;
+	let normals = Utils.Geometry.getData(obj, "normals");
+	if (normals === undefined || normals.length !== count * 3) normals = null;
+	let colors = Utils.Geometry.getData(obj, "colors");
+	const components = (colors !== undefined && count > 0) ? colors.length / count : 0;
+	const triangles = Utils.getTriangles(obj);
+
+	// normal and color of triangle starting at index i
+	const normal = (i) => {
+		const a = triangles[i], b = triangles[i + 1], c = triangles[i + 2];
+		let n;
+		if (normals !== null) {
+			n = [0, 1, 2].map((k) => normals[a * 3 + k] + normals[b * 3 + k] + normals[c * 3 + k]);
+		} else {
+			const e1 = [0, 1, 2].map((k) => vertices[b * 3 + k] - vertices[a * 3 + k]);
+			const e2 = [0, 1, 2].map((k) => vertices[c * 3 + k] - vertices[a * 3 + k]);
+			n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+		}
+		const length = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
+		return (length > 0) ? n.map((value) => value / length) : [0, 0, 0];
+	};
+	const color = (i) => {
+		const rgb = [0, 1, 2].map((k) => {
+			const sum = [0, 1, 2].reduce((total, j) => total + colors[triangles[i + j] * components + k], 0);
+			return Math.round(Math.min(Math.max(sum / 3, 0), 1) * 31);
+		});
+		return 0x8000 | (rgb[0] << 10) | (rgb[1] << 5) | rgb[2];
+	};
+
+	if (!args.binary) {
+		const format = (array) => Array.from(array).map(Utils.formatFloat).join(" ");
+		let lines = ["solid " + args.name];
+		for (let i = 0; i + 2 < triangles.length; i += 3) {
+			lines.push("  facet normal " + format(normal(i)), "    outer loop");
+			for (let j = 0; j < 3; j++) {
+				lines.push("      vertex " + format(vertices.slice(triangles[i + j] * 3, triangles[i + j] * 3 + 3)));
 			}
-			// close to zero
-			indices.push(n + p, p);
+			lines.push("    endloop", "  endfacet");
 		}
+		lines.push("endsolid " + args.name);
+		return lines.join("\n") + "\n";
+	}
 
-		b = n * (n2 - 1);
-		indices.push(b, b);// preparation for strip continuation
+	const total = triangles.length / 3;
+	let view = new DataView(new ArrayBuffer(84 + total * 50));
+	const header = "STL " + args.name;
+	for (let i = 0; i < Math.min(header.length, 80); i++) {
+		view.setUint8(i, header.charCodeAt(i) & 0x7F);
 	}
-	// regular triangles not strip
-	else {
-		// examples for
-			// n == 12
-			// precision == n2 == 6
-			// b == 60
-		for (i = 0; i < n/2; i++) {
-			// from start to top
-			//0, 12, 1, 1, 12, 13, /**/ 1, 13, 2, 2, 13, 14, /**/ 2, 14, 3, (3, 14, 15) /**/
-			p = i*n;
-			for (j = 0; j < n/4; j++) {
-				indices.push(j+p, j+n+p, j+1+p, j+1+p, j+n+p, j+n+1+p);
-			}
-			// from top down
-			//4, 16, 3, (3, 16, 15) /**/ 5, 17, 4, 4, 17, 16, /**/ 6, 18, 5, 5, 18, 17 ...
-			for (j = n/4; j < 3*n/4; j++) {
-				//indices.push(j+p, j+1+p, j+n+p, j+n+p, j+1+p);
-				indices.push(j+1+p, j+n+1+p, j+p, j+p, j+n+1+p, j+n+p);
-			}
-			// from down to zero
-			//(9, 21, 10,) 10, 21, 22, /**/ 10, 22, 11, 11, 22, 23
-			for (j = 3*n/4; j < n-1; j++) {
-				indices.push(j+p, j+n+p, j+1+p, j+1+p, j+n+p, j+n+1+p);
+	view.setUint32(80, total, true);
+	for (let t = 0; t < total; t++) {
+		const offset = 84 + t * 50;
+		normal(t * 3).forEach((value, k) => view.setFloat32(offset + k * 4, value, true));
+		for (let j = 0; j < 3; j++) {
+			for (let k = 0; k < 3; k++) {
+				view.setFloat32(offset + 12 + j * 12 + k * 4, vertices[triangles[t * 3 + j] * 3 + k], true);
 			}
-			// close to zero
-			//11, 23, 0, 0, 23, 12
-			indices.push(n-1+p, n*2-1+p, p, p, n*2-1+p, n+p);
 		}
+		view.setUint16(offset + 48, (components >= 3) ? color(t * 3) : 0, true);
 	}
-	return indices;
+	return view.buffer;
 };
 
 /**
- * Function for loading data from JSON file with AJAX
- * @param  {string}   url      address of file
- * @param  {Function} callback function to call after loading is complete; called with parsed JSON
+ * Sizes and DataView methods of PLY property types
+ * @type {Object}
  */
-Utils.getDataFromJSON = function(url, callback) {
-	Utils.getDataFromFile(url, (text) => {
-		callback(JSON.parse(text));
+Utils.plyTypes = {
+	char: [1, "getInt8"], int8: [1, "getInt8"],
+	uchar: [1, "getUint8"], uint8: [1, "getUint8"],
+	short: [2, "getInt16"], int16: [2, "getInt16"],
+	ushort: [2, "getUint16"], uint16: [2, "getUint16"],
+	int: [4, "getInt32"], int32: [4, "getInt32"],
+	uint: [4, "getUint32"], uint32: [4, "getUint32"],
+	float: [4, "getFloat32"], float32: [4, "getFloat32"],
+	double: [8, "getFloat64"], float64: [8, "getFloat64"]
+};
+
+/**
+ * Parse PLY file (ASCII or binary little endian)
+ * Vertices can have normals (nx, ny, nz), colors (red, green, blue, as integers from 0 to 255 or floats)
+ * and texture coordinates (s, t or u, v). Polygons are triangulated, other elements are skipped.
+ * @since 2.4.0
+ * @param  {string,ArrayBuffer} data content of the file
+ * @param  {Object} args             additional arguments
+ *                                   - color {(number)[]} color of vertices if the file does not have colors
+ *                                                        (default white [1, 1, 1])
+ * @return {Utils.Mesh}              the object
+ * @throws {Error}                   if the data are not PLY file or the format is not supported
+ */
+Utils.parsePLY = function(data, args) {
+	if (args === undefined) args = {};
+	if (args.color === undefined) args.color = [1, 1, 1];
+
+	// header, binary data are decoded only as long as needed to find its end
+	let header = null;
+	let length = 1024;
+	while (header === null) {
+		const text = (typeof data === "string") ? data : new TextDecoder("windows-1252").decode(new Uint8Array(data, 0, Math.min(length, data.byteLength)));
+		const match = /end_header[ \t]*\r?\n/.exec(text);
+		if (match !== null) {
+			header = text.substring(0, match.index + match[0].length);
+		} else if (typeof data === "string" || length >= data.byteLength) {
+			throw new Error("Data are not PLY file.");
+		}
+		length *= 2;
+	}
+	const lines = header.split(/\r?\n/).map((line) => line.trim().split(/\s+/));
+	if (lines[0][0] !== "ply") throw new Error("Data are not PLY file.");
+
+	let format = null;
+	let elements = [];
+	lines.forEach((parts) => {
+		if (parts[0] === "format") {
+			format = parts[1];
+		} else if (parts[0] === "element") {
+			elements.push({name: parts[1], count: parseInt(parts[2], 10), properties: []});
+		} else if (parts[0] === "property" && elements.length > 0) {
+			const properties = elements[elements.length - 1].properties;
+			if (parts[1] === "list") {
+				properties.push({name: parts[4], type: parts[3], countType: parts[2]});
+			} else {
+				properties.push({name: parts[2], type: parts[1]});
+			}
+		}
+	});
+	if (format !== "ascii" && format !== "binary_little_endian") {
+		throw new Error("Format \"" + format + "\" of PLY file is not supported.");
+	}
+
+	// reading of one value
+	let next;
+	if (format === "ascii") {
+		// header was decoded by one byte per character, so its length is also the offset of the body in bytes
+		const body = (typeof data === "string") ? data.substring(header.length) : Utils.decodeText(new Uint8Array(data, header.length));
+		const tokens = body.trim().split(/\s+/);
+		let position = 0;
+		next = () => Number(tokens[position++]);
+	} else {
+		const view = new DataView(data);
+		let offset = header.length;
+		next = (type) => {
+			const value = view[Utils.plyTypes[type][1]](offset, true);
+			offset += Utils.plyTypes[type][0];
+			return value;
+		};
+	}
+
+	let vertices = [], normals = [], colors = [], textureCoords = [], indices = [];
+	const has = {};
+	elements.forEach((element) => {
+		const names = element.properties.map((property) => property.name);
+		if (element.name === "vertex") {
+			has.normals = names.indexOf("nx") >= 0;
+			has.colors = names.indexOf("red") >= 0;
+			has.textureCoords = ["s", "u", "texture_u"].some((name) => names.indexOf(name) >= 0);
+		}
+		for (let i = 0; i < element.count; i++) {
+			let values = {};
+			element.properties.forEach((property) => {
+				if (property.countType !== undefined) {
+					const count = next(property.countType);
+					values[property.name] = Array.from({length: count}, () => next(property.type));
+				} else {
+					values[property.name] = next(property.type);
+				}
+			});
+
+			if (element.name === "vertex") {
+				vertices.push(values.x, values.y, values.z);
+				if (has.normals) normals.push(values.nx, values.ny, values.nz);
+				if (has.colors) {
+					const type = element.properties[names.indexOf("red")].type;
+					const scale = (type.indexOf("float") === 0 || type === "double") ? 1 : 255;
+					colors.push(values.red / scale, values.green / scale, values.blue / scale);
+				}
+				if (has.textureCoords) {
+					const u = [values.s, values.u, values.texture_u].find((value) => value !== undefined);
+					const v = [values.t, values.v, values.texture_v].find((value) => value !== undefined);
+					textureCoords.push(u, v);
+				}
+			} else if (element.name === "face") {
+				const face = (values.vertex_indices !== undefined) ? values.vertex_indices : values.vertex_index;
+				const points = face.map((index) => [vertices[index * 3], vertices[index * 3 + 1], vertices[index * 3 + 2]]);
+				Utils.triangulatePolygon(points).forEach((j) => indices.push(face[j]));
+			}
+		}
 	});
+
+	return new Utils.Mesh({
+		vertices: vertices,
+		normals: (has.normals) ? normals : undefined,
+		colors: (has.colors) ? colors : undefined,
+		textureCoords: (has.textureCoords) ? textureCoords : undefined,
+		indices: indices
+	}, {color: args.color});
 };
 
 /**
- * Function for loading data from text file with AJAX
- * @since 2.1
- * @param  {string}   url      address of file
- * @param  {Function} callback function to call after loading is complete; called with the received data
+ * Write object (usually Utils.Scene) into PLY file
+ * Vertices have positions, normals and colors (if the object has them), faces are triangles.
+ * @since 2.4.0
+ * @param  {Utils.Scene,Block,Face,Sphere,Primitive,Mesh} obj the object
+ * @param  {Object} args                                        additional arguments
+ *                                                              - binary {boolean} if the file should be binary little endian
+ *                                                                                 (default false)
+ *                                                              - normals {boolean} if normals should be written (default true)
+ *                                                              - colors {boolean} if colors should be written (default true)
+ * @return {ArrayBuffer,string}                                 content of the file, ArrayBuffer for binary file
  */
-Utils.getDataFromFile = function(url, callback) {
-	let _404 = false;
-	let unknown_error = false;
-	const http_request = new XMLHttpRequest();
+Utils.writePLY = function(obj, args) {
+	if (args === undefined) args = {};
+	if (args.binary === undefined) args.binary = false;
+	if (args.normals === undefined) args.normals = true;
+	if (args.colors === undefined) args.colors = true;
 
-	http_request.open("GET", url, true);
-	http_request.onreadystatechange = function() {
-		// http_request.readyState
-		// https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest
-			// 0	UNSENT open() has not been called yet.
-			// 1	OPENED send() has not been called yet.
-			// 2	HEADERS_RECEIVED send() has been called, and headers and status are available.
-			// 3	LOADING Downloading; responseText holds partial data.
-			// 4	DONE The operation is complete.
-		if (http_request.readyState === 4 && http_request.status === 200) {
-			callback(http_request.responseText);
-		} else if (http_request.status === 404) {
-			if (!_404) window.alert("File \"" + url + "\" was not found (404)!");
-			_404 = true;
-		} else if (http_request.status !== 200 && http_request.status !== 404) {
-			if (!unknown_error) window.alert("An error occurred when loading file \"" + url + "\"!");
-			unknown_error = true;
+	const vertices = Utils.Geometry.getData(obj, "vertices");
+	const count = vertices.length / 3;
+	const normals = Utils.Geometry.getData(obj, "normals");
+	const colors = Utils.Geometry.getData(obj, "colors");
+	const writeNormals = args.normals && normals !== undefined && normals.length === count * 3;
+	const components = (colors !== undefined && count > 0) ? colors.length / count : 0;
+	const writeColors = args.colors && components >= 3 && Number.isInteger(components);
+	const triangles = Utils.getTriangles(obj);
+
+	let header = ["ply", "format " + ((args.binary) ? "binary_little_endian" : "ascii") + " 1.0", "comment WebGL Utils",
+		"element vertex " + count, "property float x", "property float y", "property float z"];
+	if (writeNormals) header.push("property float nx", "property float ny", "property float nz");
+	if (writeColors) header.push("property uchar red", "property uchar green", "property uchar blue");
+	header.push("element face " + triangles.length / 3, "property list uchar uint vertex_indices", "end_header");
+	header = header.join("\n") + "\n";
+
+	const color = (i, k) => Math.round(Math.min(Math.max(colors[i * components + k], 0), 1) * 255);
+
+	if (!args.binary) {
+		let lines = [];
+		for (let i = 0; i < count; i++) {
+			let line = Array.from(vertices.slice(i * 3, i * 3 + 3)).map(Utils.formatFloat);
+			if (writeNormals) line = line.concat(Array.from(normals.slice(i * 3, i * 3 + 3)).map(Utils.formatFloat));
+			if (writeColors) line.push(color(i, 0), color(i, 1), color(i, 2));
+			lines.push(line.join(" "));
 		}
-	};
-	http_request.send(null);
+		for (let i = 0; i + 2 < triangles.length; i += 3) {
+			lines.push("3 " + triangles[i] + " " + triangles[i + 1] + " " + triangles[i + 2]);
+		}
+		return header + lines.join("\n") + "\n";
+	}
+
+	const vertexSize = 12 + ((writeNormals) ? 12 : 0) + ((writeColors) ? 3 : 0);
+	let bytes = new Uint8Array(header.length + count * vertexSize + triangles.length / 3 * 13);
+	for (let i = 0; i < header.length; i++) {
+		bytes[i] = header.charCodeAt(i);
+	}
+	let view = new DataView(bytes.buffer);
+	let offset = header.length;
+	for (let i = 0; i < count; i++) {
+		for (let k = 0; k < 3; k++) {
+			view.setFloat32(offset, vertices[i * 3 + k], true);
+			offset += 4;
+		}
+		if (writeNormals) {
+			for (let k = 0; k < 3; k++) {
+				view.setFloat32(offset, normals[i * 3 + k], true);
+				offset += 4;
+			}
+		}
+		if (writeColors) {
+			for (let k = 0; k < 3; k++) {
+				view.setUint8(offset++, color(i, k));
+			}
+		}
+	}
+	for (let i = 0; i + 2 < triangles.length; i += 3) {
+		view.setUint8(offset++, 3);
+		for (let k = 0; k < 3; k++) {
+			view.setUint32(offset, triangles[i + k], true);
+			offset += 4;
+		}
+	}
+	return bytes.buffer;
 };
 
 /**
@@ -1093,9 +6316,6 @@ Utils.Axis = {};
  * @param  {WebGLRenderingContext} gl WebGL context
  */
 Utils.Axis.init = function(gl) {
-	this.axisProgram = gl.createProgram();
-
-	let vs = gl.createShader(gl.VERTEX_SHADER);
 	let v = "attribute vec3 axisPosition;"+
 		"attribute vec3 axisColor;"+
 		""+
@@ -1108,11 +6328,7 @@ Utils.Axis.init = function(gl) {
 		"	gl_Position = axisProjection * axisModelView * vec4(axisPosition, 1.0);"+
 		"	vColor = vec4(axisColor, 1.0);"+
 		"}";
-	gl.shaderSource(vs, v);
-	gl.compileShader(vs);
-	gl.attachShader(this.axisProgram, vs);
 
-	let fs = gl.createShader(gl.FRAGMENT_SHADER);
 	let f = "precision mediump float;"+
 		""+
 		"varying vec4 vColor;"+
@@ -1120,11 +6336,14 @@ Utils.Axis.init = function(gl) {
 		"void main(void) {"+
 		"		gl_FragColor = vColor;"+
 		"}";
-	gl.shaderSource(fs, f);
-	gl.compileShader(fs);
-	gl.attachShader(this.axisProgram, fs);
 
-	gl.linkProgram(this.axisProgram);
+	// repeated initialization gets the same program from the cache
+	const cache = Utils.ShaderCache.get(gl);
+	const program = cache.getProgram(v, f);
+	if (this.program !== undefined) this.cache.release(this.program);
+	this.cache = cache;
+	this.program = program;
+	this.axisProgram = program.program;
 	gl.useProgram(this.axisProgram);
 
 	this.axisProgram.axisPosition = gl.getAttribLocation(this.axisProgram, "axisPosition");
@@ -1171,3 +6390,117 @@ Utils.Axis.draw = function(gl, modelView, projection) {
 
 	gl.drawArrays(gl.LINES, 0, 6);
 };
+
+/**
+ * Helper for drawing normals of vertices of objects as lines
+ * @since 2.4.0
+ */
+Utils.Normals = {};
+
+/**
+ * Initialization of program and shaders
+ * @param  {WebGLRenderingContext} gl WebGL context
+ */
+Utils.Normals.init = function(gl) {
+	let v = "attribute vec3 normalsPosition;"+
+		"attribute vec3 normalsColor;"+
+		""+
+		"uniform mat4 normalsProjection;"+
+		"uniform mat4 normalsModelView;"+
+		""+
+		"varying vec4 vColor;"+
+		""+
+		"void main(void) {"+
+		"	gl_Position = normalsProjection * normalsModelView * vec4(normalsPosition, 1.0);"+
+		"	vColor = vec4(normalsColor, 1.0);"+
+		"}";
+
+	let f = "precision mediump float;"+
+		""+
+		"varying vec4 vColor;"+
+		""+
+		"void main(void) {"+
+		"		gl_FragColor = vColor;"+
+		"}";
+
+	const cache = Utils.ShaderCache.get(gl);
+	const program = cache.getProgram(v, f);
+	if (this.program !== undefined) this.cache.release(this.program);
+	this.cache = cache;
+	this.program = program;
+	this.normalsProgram = program.program;
+	gl.useProgram(this.normalsProgram);
+
+	this.normalsProgram.normalsPosition = gl.getAttribLocation(this.normalsProgram, "normalsPosition");
+	this.normalsProgram.normalsColor = gl.getAttribLocation(this.normalsProgram, "normalsColor");
+	this.normalsProgram.normalsProjection = gl.getUniformLocation(this.normalsProgram, "normalsProjection");
+	this.normalsProgram.normalsModelView = gl.getUniformLocation(this.normalsProgram, "normalsModelView");
+
+	this.step = Float32Array.BYTES_PER_ELEMENT;//4
+	this.stride = 6 * this.step;//(3+3)*step
+};
+
+/**
+ * Create data of lines, every line goes from a vertex in direction of its normal
+ * @param  {Block,Face,Sphere,Primitive,Mesh,Utils.Scene} obj the object
+ * @param  {number} length                                   length of the lines (default 1)
+ * @param  {(number)[]} color                                color of the lines (default yellow [1, 1, 0])
+ * @return {Float32Array}                                    positions and colors of ends of the lines (6 items for every end)
+ */
+Utils.Normals.createData = function(obj, length, color) {
+	if (length === undefined) length = 1;
+	if (color === undefined) color = [1, 1, 0];
+	const vertices = Utils.Geometry.getData(obj, "vertices");
+	const normals = Utils.Geometry.getData(obj, "normals");
+	const count = vertices.length / 3;
+	let data = new Float32Array(count * 12);
+	for (let i = 0; i < count; i++) {
+		for (let k = 0; k < 3; k++) {
+			data[i * 12 + k] = vertices[i * 3 + k];
+			data[i * 12 + 3 + k] = color[k];
+			data[i * 12 + 6 + k] = vertices[i * 3 + k] + normals[i * 3 + k] * length;
+			data[i * 12 + 9 + k] = color[k];
+		}
+	}
+	return data;
+};
+
+/**
+ * Create buffer with lines of normals of an object
+ * @param  {WebGLRenderingContext} gl                       WebGL context
+ * @param  {Block,Face,Sphere,Primitive,Mesh,Utils.Scene} obj the object
+ * @param  {number} length                                   length of the lines (default 1)
+ * @param  {(number)[]} color                                color of the lines (default yellow [1, 1, 0])
+ * @return {WebGLBuffer}                                     the buffer, its count property is number of ends of the lines
+ */
+Utils.Normals.createBuffer = function(gl, obj, length, color) {
+	const data = this.createData(obj, length, color);
+	const buffer = gl.createBuffer();
+	gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+	gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+	buffer.itemSize = 6;
+	buffer.count = data.length / 6;
+	return buffer;
+};
+
+/**
+ * Draw normals. It has to be called after initialization.
+ * @param  {WebGLRenderingContext} gl WebGL context
+ * @param  {WebGLBuffer} buffer       buffer created by Utils.Normals.createBuffer
+ * @param  {Float32Array} modelView   array of 16 items (originally 4x4 matrix)
+ * @param  {Float32Array} projection  array of 16 items (originally 4x4 matrix)
+ */
+Utils.Normals.draw = function(gl, buffer, modelView, projection) {
+	gl.useProgram(this.normalsProgram);
+
+	gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+	gl.enableVertexAttribArray(this.normalsProgram.normalsPosition);
+	gl.enableVertexAttribArray(this.normalsProgram.normalsColor);
+	gl.vertexAttribPointer(this.normalsProgram.normalsPosition, 3, gl.FLOAT, false, this.stride, 0);
+	gl.vertexAttribPointer(this.normalsProgram.normalsColor, 3, gl.FLOAT, false, this.stride, this.step * 3);
+
+	gl.uniformMatrix4fv(this.normalsProgram.normalsProjection, false, projection);
+	gl.uniformMatrix4fv(this.normalsProgram.normalsModelView, false, modelView);
+
+	gl.drawArrays(gl.LINES, 0, buffer.count);
+};